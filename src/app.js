@@ -1,29 +1,29 @@
 const express = require("express");
-const swaggerJsdoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
-const swaggerOptions = require("./swagger/config");
+const { generateOpenApiDocument } = require("./swagger/openapi");
+const { negotiateLocale } = require("./middleware/locale");
+const { notFoundHandler, errorHandler } = require("./middleware/errors");
 
 // Import des routes
+const authRoutes = require("./routes/auth");
 const productsRoutes = require("./routes/products");
 const usersRoutes = require("./routes/users");
+const userGamesRoutes = require("./routes/user-games");
 const ordersRoutes = require("./routes/orders");
+const cartsRoutes = require("./routes/carts");
 const reviewsRoutes = require("./routes/reviews");
+const taxRoutes = require("./routes/tax");
+const couponsRoutes = require("./routes/coupons");
 const f2pGamesRoutes = require("./routes/f2p-games");
 
 const app = express();
 
+// Langue des messages, choisie avant tout traitement pour que les erreurs du parseur JSON soient traduites
+app.use(negotiateLocale);
+
 // Middleware pour parser le JSON
 app.use(express.json());
 
-// Configuration Swagger
-const specs = swaggerJsdoc(swaggerOptions);
-
-// Route Swagger UI
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(specs, {
-  customCss: '.swagger-ui .topbar { display: none }',
-  customSiteTitle: "Marketplace API Documentation"
-}));
-
 /**
  * @swagger
  * /:
@@ -44,11 +44,37 @@ app.get("/", (req, res) => {
   res.send("Hello World!");
 });
 
-// Routes de l'API
-app.use("/products", productsRoutes);
-app.use("/users", usersRoutes);
-app.use("/orders", ordersRoutes);
-app.use("/reviews", reviewsRoutes);
-app.use("/f2p-games", f2pGamesRoutes);
+// Routes de l'API, avec leur préfixe
+const mounts = [
+  { path: "/auth", router: authRoutes },
+  { path: "/products", router: productsRoutes },
+  { path: "/users", router: usersRoutes },
+  { path: "/users/:id/games", router: userGamesRoutes },
+  { path: "/orders", router: ordersRoutes },
+  { path: "/carts", router: cartsRoutes },
+  { path: "/reviews", router: reviewsRoutes },
+  { path: "/tax", router: taxRoutes },
+  { path: "/coupons", router: couponsRoutes },
+  { path: "/f2p-games", router: f2pGamesRoutes }
+];
+
+mounts.forEach(({ path, router }) => app.use(path, router));
+
+// Documentation OpenAPI, générée à partir des blocs @swagger et des schémas de validation des routes
+const openApiDocument = generateOpenApiDocument(mounts);
+
+app.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument);
+});
+
+// Route Swagger UI
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(openApiDocument, {
+  customCss: '.swagger-ui .topbar { display: none }',
+  customSiteTitle: "Marketplace API Documentation"
+}));
+
+// Routes inconnues et erreurs, renvoyées au format problem+json
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,143 @@
+const path = require("path");
+const dotenv = require("dotenv");
+const z = require("zod");
+
+// Charge le fichier .env (ou celui désigné par ENV_FILE) sans écraser les variables déjà définies,
+// ce qui permet de lancer côte à côte des instances de dev, de test et de prod
+dotenv.config({ path: path.resolve(process.env.ENV_FILE || ".env"), quiet: true });
+
+const EnvSchema = z.object({
+  NODE_ENV: z.enum(["development", "test", "production"]).default("development"),
+  PORT: z.coerce.number().int().min(1).max(65535).default(8000),
+
+  // Connexion PostgreSQL : DATABASE_URL est prioritaire sur les variables DB_* séparées
+  DATABASE_URL: z.string().url("DATABASE_URL doit être une URL postgres:// valide").optional(),
+  DB_HOST: z.string().min(1).default("localhost"),
+  DB_PORT: z.coerce.number().int().min(1).max(65535).default(5432),
+  DB_NAME: z.string().min(1).default("mydb"),
+  DB_USER: z.string().min(1).default("user"),
+  DB_PASSWORD: z.string().default("password"),
+  DB_POOL_MAX: z.coerce.number().int().min(1).default(10),
+  DB_SSL: z.enum(["disable", "allow", "prefer", "require", "verify-full"]).default("disable"),
+  DB_IDLE_TIMEOUT: z.coerce.number().int().min(0).default(0),
+  DB_CONNECT_TIMEOUT: z.coerce.number().int().min(1).default(30),
+  DB_STATEMENT_TIMEOUT_MS: z.coerce.number().int().min(0).default(0),
+
+  // Pays de livraison (code ISO à 2 lettres) dont les taux de TVA s'appliquent quand la commande n'en précise pas
+  TAX_DEFAULT_COUNTRY: z.string().regex(/^[A-Za-z]{2}$/, "TAX_DEFAULT_COUNTRY doit être un code pays ISO à 2 lettres").default("FR"),
+
+  // Durée de vie en heures d'un panier anonyme, prolongée à chaque modification
+  CART_ANONYMOUS_TTL_HOURS: z.coerce.number().int().positive().default(168),
+
+  // Nombre d'éléments par page des routes de liste quand limit n'est pas précisé, et maximum accepté
+  PAGINATION_DEFAULT_LIMIT: z.coerce.number().int().positive().default(10),
+  PAGINATION_MAX_LIMIT: z.coerce.number().int().positive().default(100),
+
+  // Langue des messages quand ni ?lang= ni Accept-Language ne désignent une langue prise en charge
+  DEFAULT_LOCALE: z.enum(["fr", "en"]).default("fr"),
+
+  // API FreeToGame : URL de base (ex: un serveur local pour les tests), délai maximal d'un appel,
+  // nouvelles tentatives (délai initial doublé à chaque fois), durée de fraîcheur des réponses en cache
+  // puis durée pendant laquelle elles restent servies, et circuit ouvert après N échecs consécutifs
+  FREETOGAME_API_URL: z.string().url("FREETOGAME_API_URL doit être une URL valide").default("https://www.freetogame.com/api"),
+  FREETOGAME_TIMEOUT_MS: z.coerce.number().int().positive().default(5000),
+  FREETOGAME_RETRIES: z.coerce.number().int().min(0).default(2),
+  FREETOGAME_RETRY_DELAY_MS: z.coerce.number().int().min(0).default(200),
+  FREETOGAME_CACHE_TTL_SECONDS: z.coerce.number().int().min(0).default(300),
+  FREETOGAME_CACHE_STALE_SECONDS: z.coerce.number().int().min(0).default(86400),
+  FREETOGAME_BREAKER_THRESHOLD: z.coerce.number().int().positive().default(5),
+  FREETOGAME_BREAKER_COOLDOWN_SECONDS: z.coerce.number().int().positive().default(30),
+  // Intervalle en minutes de l'import des jeux FreeToGame dans le catalogue (0 = import manuel uniquement)
+  FREETOGAME_SYNC_INTERVAL_MINUTES: z.coerce.number().int().min(0).default(0),
+
+  // Nombre de signalements d'abus en attente à partir duquel un avis publié repasse en file de modération
+  REVIEW_REPORT_THRESHOLD: z.coerce.number().int().positive().default(3),
+
+  JWT_SECRET: z.string().min(32, "JWT_SECRET doit contenir au moins 32 caractères").optional(),
+  JWT_EXPIRES_IN: z.coerce.number().int().positive().default(3600),
+}).superRefine((env, ctx) => {
+  if (env.PAGINATION_DEFAULT_LIMIT > env.PAGINATION_MAX_LIMIT) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["PAGINATION_DEFAULT_LIMIT"],
+      message: "PAGINATION_DEFAULT_LIMIT ne peut pas dépasser PAGINATION_MAX_LIMIT",
+    });
+  }
+
+  if (env.NODE_ENV === "production" && !env.JWT_SECRET) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ["JWT_SECRET"],
+      message: "JWT_SECRET est obligatoire en production",
+    });
+  }
+});
+
+// Valide les variables d'environnement et construit la configuration de l'application
+function loadConfig(env = process.env) {
+  // Une variable vide (ex: "JWT_SECRET=" dans .env) est considérée comme non définie
+  const definedVars = Object.fromEntries(Object.entries(env).filter(([, value]) => value !== ""));
+  const result = EnvSchema.safeParse(definedVars);
+
+  if (!result.success) {
+    const details = result.error.errors
+      .map(issue => `  - ${issue.path.join(".")}: ${issue.message}`)
+      .join("\n");
+    throw new Error(`Configuration invalide :\n${details}`);
+  }
+
+  const vars = result.data;
+
+  return {
+    env: vars.NODE_ENV,
+    port: vars.PORT,
+    database: {
+      url: vars.DATABASE_URL,
+      host: vars.DB_HOST,
+      port: vars.DB_PORT,
+      name: vars.DB_NAME,
+      user: vars.DB_USER,
+      password: vars.DB_PASSWORD,
+      poolMax: vars.DB_POOL_MAX,
+      ssl: vars.DB_SSL === "disable" ? false : vars.DB_SSL,
+      idleTimeout: vars.DB_IDLE_TIMEOUT,
+      connectTimeout: vars.DB_CONNECT_TIMEOUT,
+      statementTimeout: vars.DB_STATEMENT_TIMEOUT_MS,
+    },
+    tax: {
+      defaultCountry: vars.TAX_DEFAULT_COUNTRY.toUpperCase(),
+    },
+    carts: {
+      anonymousTtlHours: vars.CART_ANONYMOUS_TTL_HOURS,
+    },
+    pagination: {
+      defaultLimit: vars.PAGINATION_DEFAULT_LIMIT,
+      maxLimit: vars.PAGINATION_MAX_LIMIT,
+    },
+    i18n: {
+      defaultLocale: vars.DEFAULT_LOCALE,
+    },
+    freeToGame: {
+      baseUrl: vars.FREETOGAME_API_URL.replace(/\/+$/, ""),
+      timeoutMs: vars.FREETOGAME_TIMEOUT_MS,
+      retries: vars.FREETOGAME_RETRIES,
+      retryDelayMs: vars.FREETOGAME_RETRY_DELAY_MS,
+      cacheTtlSeconds: vars.FREETOGAME_CACHE_TTL_SECONDS,
+      cacheStaleSeconds: vars.FREETOGAME_CACHE_STALE_SECONDS,
+      breakerThreshold: vars.FREETOGAME_BREAKER_THRESHOLD,
+      breakerCooldownSeconds: vars.FREETOGAME_BREAKER_COOLDOWN_SECONDS,
+      syncIntervalMinutes: vars.FREETOGAME_SYNC_INTERVAL_MINUTES,
+    },
+    reviews: {
+      reportThreshold: vars.REVIEW_REPORT_THRESHOLD,
+    },
+    auth: {
+      jwtSecret: vars.JWT_SECRET,
+      jwtExpiresIn: vars.JWT_EXPIRES_IN,
+    },
+  };
+}
+
+const config = loadConfig();
+
+module.exports = config;
@@ -0,0 +1,224 @@
+// Catalogue des messages en anglais, mêmes clés que src/locales/fr.js
+module.exports = {
+  titles: {
+    400: "Bad request",
+    401: "Authentication required",
+    403: "Forbidden",
+    404: "Not found",
+    409: "Conflict",
+    413: "Payload too large",
+    500: "Internal server error",
+    502: "Bad gateway",
+    503: "Service unavailable"
+  },
+
+  errors: {
+    // Requête et serveur
+    VALIDATION_FAILED: "Invalid data",
+    MALFORMED_JSON: "The request body is not valid JSON",
+    PAYLOAD_TOO_LARGE: "The request body is too large",
+    ROUTE_NOT_FOUND: "Unknown route: {method} {path}",
+    NOTHING_TO_UPDATE: "No data to update",
+    INTERNAL_ERROR: "Internal server error",
+
+    // PostgreSQL
+    INVALID_PARAMETER: "A parameter does not have the expected format",
+    VALUE_OUT_OF_RANGE: "A value is out of the allowed range",
+    MISSING_VALUE: "A required value is missing",
+    CONSTRAINT_VIOLATION: "A value does not satisfy the validation rules",
+    ALREADY_EXISTS: "This value is already in use",
+    RESOURCE_IN_USE: "This resource is still used by other data",
+    REFERENCE_NOT_FOUND: "A referenced resource does not exist",
+    TRANSACTION_CONFLICT: "The request conflicted with another one, please retry",
+    QUERY_TIMEOUT: "The request took too long, please retry",
+
+    // Authentification et droits
+    AUTHENTICATION_REQUIRED: "Authentication required",
+    INVALID_TOKEN: "Invalid or expired authentication token",
+    INVALID_CREDENTIALS: "Invalid credentials",
+    ROLE_NOT_ALLOWED: "Your role does not allow this action",
+    NOT_ACCOUNT_OWNER: "You can only modify your own account",
+
+    // Listes et pagination
+    INVALID_LIST_QUERY: "Invalid list parameters",
+    UNKNOWN_FILTER: "Unknown filter: {parameter}",
+    OPERATOR_NOT_ALLOWED: "Operator {operator} is not allowed for {field} (allowed: {operators})",
+    FILTER_REPEATED: "The {parameter} filter can only be given once",
+    TOO_MANY_VALUES: "The {parameter} filter accepts at most {max} values",
+    INVALID_FILTER_VALUE: "Invalid value for {parameter}: {type} expected",
+    PARAMETER_REPEATED: "The {parameter} parameter can only be given once",
+    SORT_NOT_ALLOWED: "Cannot sort on {field}",
+    UNKNOWN_FIELDS: "Unknown fields: {fields}",
+    INVALID_PAGINATION: "Invalid pagination parameters",
+    CURSORS_COMBINED: "after and before cannot be used together",
+    PAGE_WITH_CURSOR: "page cannot be combined with {direction}",
+    INVALID_CURSOR: "Invalid or expired {parameter} cursor, or cursor issued for another sort",
+    INVALID_COUNT_MODE: "count must be one of {modes}",
+
+    // Utilisateurs
+    USER_NOT_FOUND: "User not found",
+    USER_ALREADY_EXISTS: "A user with this username or email already exists",
+    LAST_ADMIN: "Cannot remove the role or delete the account of the last administrator",
+
+    // Produits et stock
+    PRODUCT_NOT_FOUND: "Product not found",
+    PRODUCTS_NOT_FOUND: "One or more products do not exist",
+    PRODUCT_NAME_TAKEN: "A product with this name already exists",
+    DERIVED_FIELDS_READ_ONLY: "These fields are computed automatically and cannot be modified directly",
+    EMPTY_SEARCH: "The search must contain at least one word",
+    NEGATIVE_STOCK: "Stock cannot become negative",
+    INSUFFICIENT_STOCK: "Insufficient stock for one or more products",
+    PRODUCTS_RETIRED: "One or more products have been withdrawn from the catalog and can no longer be ordered",
+    PRODUCT_RETIRED: "This product has been withdrawn from the catalog and can no longer be ordered",
+
+    // Commandes
+    ORDER_NOT_FOUND: "Order not found",
+    NOT_ORDER_OWNER: "You can only access your own orders",
+    ORDER_STATUS_NOT_EDITABLE: "An order's status is changed through POST /orders/:id/transitions",
+    ORDER_ITEMS_LOCKED: "An order's items can no longer be modified once it is paid",
+    ORDER_NOT_DELETABLE: "Only pending or cancelled orders can be deleted",
+    TRANSITION_NOT_ALLOWED: "Cannot change status from {orderStatus} to {requestedStatus}",
+    TRANSITION_FORBIDDEN: "You are not allowed to make this status change",
+
+    // Paniers
+    CART_NOT_FOUND: "Cart not found",
+    NOT_CART_OWNER: "You can only access your own cart",
+    CART_ITEM_NOT_FOUND: "This product is not in the cart",
+    CART_EMPTY: "The cart is empty",
+    ANONYMOUS_CART_NOT_FOUND: "Anonymous cart not found or expired",
+    ANONYMOUS_CART_CHECKOUT: "An anonymous cart must first be merged into your cart through POST /carts/merge",
+
+    // Taxes
+    UNKNOWN_TAX_CLASS: "Unknown tax class: {taxClass}",
+    TAX_CLASS_CODE_TAKEN: "A tax class with this code already exists",
+    TAX_RATE_OVERLAP: "The period overlaps another rate for this country and tax class",
+    TAX_RATE_MISSING: "No VAT rate in force for country {country} and these tax classes",
+
+    // Codes promo
+    COUPON_NOT_FOUND: "Coupon not found",
+    COUPON_CODE_TAKEN: "A coupon with this code already exists",
+    UNKNOWN_PRODUCTS: "Unknown products",
+    UNKNOWN_COUPON: "Unknown coupon code: {couponCode}",
+    COUPON_INACTIVE: "This coupon is no longer active",
+    COUPON_NOT_STARTED: "This coupon is not valid yet",
+    COUPON_EXPIRED: "This coupon has expired",
+    COUPON_MIN_BASKET: "The basket must reach €{minBasket} excluding tax to use this coupon",
+    COUPON_NOT_APPLICABLE: "No product of the order is eligible for this coupon",
+    COUPON_EXHAUSTED: "This coupon has reached its maximum number of uses",
+    COUPON_USER_LIMIT: "You have already used this coupon the maximum number of times",
+
+    // Avis
+    REVIEW_NOT_FOUND: "Review not found",
+    REVIEW_ALREADY_EXISTS: "You have already reviewed this product",
+    NOT_REVIEW_AUTHOR: "You can only modify your own reviews",
+    CANNOT_MODERATE_OWN_REVIEW: "You cannot moderate your own reviews",
+    CANNOT_REPORT_OWN_REVIEW: "You cannot report your own reviews",
+    REVIEW_NOT_REPORTABLE: "Only a published review can be reported (current status: {reviewStatus})",
+    REVIEW_ALREADY_REPORTED: "You have already reported this review, your report is awaiting moderation",
+
+    // Jeux Free-to-Play
+    GAME_NOT_FOUND: "Game not found",
+    USER_GAME_NOT_FOUND: "This game is not in the user's library",
+    USER_GAME_ALREADY_EXISTS: "This game is already in the user's library",
+    UPSTREAM_UNAVAILABLE: "The FreeToGame API is unreachable",
+    UPSTREAM_ERROR: "FreeToGame API error: {upstreamStatus}",
+    UPSTREAM_NOT_FOUND: "Resource not found on the FreeToGame API",
+    UPSTREAM_CIRCUIT_OPEN: "The FreeToGame API is temporarily unavailable, retry in {retryAfter} s",
+    UPSTREAM_EMPTY_CATALOG: "The FreeToGame API returned no games, import cancelled",
+    SYNC_IN_PROGRESS: "A catalog import is already running",
+    UPSTREAM_INVALID_PAYLOAD: "The FreeToGame API returned an invalid response"
+  },
+
+  validation: {
+    ID_INVALID: "The ID must be a positive integer",
+    DATE_INVALID: "The date must use the YYYY-MM-DD format",
+    PRICE_NOT_POSITIVE: "The price must be positive",
+    PRICE_TOO_HIGH: "The price cannot exceed {maximum}",
+    PRICE_PRECISION: "The price cannot have more than 2 decimals",
+    NAME_REQUIRED: "The name is required",
+    NAME_TOO_LONG: "The name cannot exceed {maximum} characters",
+    DESCRIPTION_REQUIRED: "The description is required",
+    DESCRIPTION_TOO_LONG: "The description cannot exceed {maximum} characters",
+    TAX_CLASS_EMPTY: "The tax class cannot be empty",
+    TAX_CLASS_REQUIRED: "The tax class is required",
+    QUANTITY_NOT_INTEGER: "The quantity must be an integer",
+    QUANTITY_ZERO: "The quantity cannot be zero",
+    QUANTITY_NOT_POSITIVE: "The quantity must be a positive integer",
+    REASON_REQUIRED: "The reason is required",
+    REASON_TOO_LONG: "The reason cannot exceed {maximum} characters",
+    SEARCH_TOO_LONG: "The search cannot exceed {maximum} characters",
+    MIN_PRICE_NEGATIVE: "The minimum price cannot be negative",
+    MAX_PRICE_NEGATIVE: "The maximum price cannot be negative",
+    PRICE_RANGE_INVALID: "The minimum price must be lower than or equal to the maximum price",
+    USERNAME_REQUIRED: "The username is required",
+    USERNAME_TOO_SHORT: "The username must contain at least {minimum} characters",
+    EMAIL_INVALID: "Invalid email format",
+    PASSWORD_REQUIRED: "The password is required",
+    PASSWORD_TOO_SHORT: "The password must contain at least {minimum} characters",
+    ROLE_INVALID: "The role must be one of: {options}",
+    PRODUCT_ID_INVALID: "The product ID must be a positive integer",
+    ITEMS_REQUIRED: "At least one product is required",
+    COUNTRY_INVALID: "The country must be a 2-letter ISO code (e.g. FR)",
+    COUPON_CODE_INVALID: "The coupon code must contain 3 to 50 characters among A-Z, 0-9, _ and -",
+    COUPON_TYPE_INVALID: "The type must be one of: {options}",
+    COUPON_VALUE_NOT_POSITIVE: "The value must be positive",
+    COUPON_VALUE_TOO_HIGH: "The value cannot exceed {maximum}",
+    COUPON_VALUE_PRECISION: "The value cannot have more than 2 decimals",
+    PERCENTAGE_TOO_HIGH: "A percentage cannot exceed 100",
+    MIN_BASKET_NEGATIVE: "The minimum basket cannot be negative",
+    MIN_BASKET_TOO_HIGH: "The minimum basket cannot exceed {maximum}",
+    MIN_BASKET_PRECISION: "The minimum basket cannot have more than 2 decimals",
+    STARTS_AT_INVALID: "The start date must use the ISO 8601 format",
+    ENDS_AT_INVALID: "The end date must use the ISO 8601 format",
+    MAX_USES_INVALID: "The usage limit must be a positive integer",
+    MAX_USES_PER_USER_INVALID: "The per-user limit must be a positive integer",
+    CART_TOKEN_INVALID: "The cart token is invalid",
+    ORDER_STATUS_INVALID: "The status must be one of: {options}",
+    TAX_CLASS_CODE_INVALID: "The code must contain 1 to 30 characters among a-z, 0-9 and _",
+    RATE_OUT_OF_RANGE: "The rate must be between 0 and 1",
+    VALID_FROM_INVALID: "The start date must use the YYYY-MM-DD format",
+    VALID_TO_INVALID: "The end date must use the YYYY-MM-DD format",
+    END_BEFORE_START: "The end date must be after the start date",
+    SCORE_TOO_LOW: "The score must be at least {minimum}",
+    SCORE_TOO_HIGH: "The score must be at most {maximum}",
+    CONTENT_REQUIRED: "The review content is required",
+    CONTENT_TOO_LONG: "The content cannot exceed {maximum} characters",
+    REVIEW_STATUS_INVALID: "The decision must be one of: {options}",
+    REJECTION_REASON_REQUIRED: "A reason is required to reject a review",
+    PLATFORM_INVALID: "The platform must be one of: {options}",
+    CATEGORY_INVALID: "Unknown category, possible categories: {options}",
+    SORT_BY_INVALID: "The sort must be one of: {options}",
+    TAG_INVALID: "Tags must be known categories separated by dots (e.g. 3d.mmorpg)",
+    GAME_ID_INVALID: "The game ID must be a positive integer",
+    GAME_STATUS_INVALID: "The status must be one of: {options}",
+    HOURS_PLAYED_NEGATIVE: "Hours played cannot be negative",
+    HOURS_PLAYED_TOO_HIGH: "Hours played cannot exceed {maximum}",
+    HOURS_PLAYED_PRECISION: "Hours played cannot have more than one decimal",
+    RATING_INVALID: "The rating must be an integer from 1 to 5",
+    LIMIT_INVALID: "The limit must be an integer from 1 to 50",
+
+    // Messages génériques, selon le type d'erreur Zod
+    REQUIRED: "This field is required",
+    INVALID_TYPE: "Invalid type: {expected} expected, {received} received",
+    INVALID_ENUM_VALUE: "Invalid value, expected one of: {options}",
+    INVALID_STRING: "Invalid format",
+    INVALID_DATE: "Invalid date",
+    TOO_SHORT: "Must contain at least {minimum} characters",
+    TOO_LONG: "Cannot exceed {maximum} characters",
+    TOO_FEW_ITEMS: "Must contain at least {minimum} items",
+    TOO_MANY_ITEMS: "Cannot contain more than {maximum} items",
+    TOO_SMALL: "Must be greater than or equal to {minimum}",
+    TOO_BIG: "Must be lower than or equal to {maximum}",
+    UNRECOGNIZED_KEYS: "Unrecognized fields: {keys}",
+    INVALID_VALUE: "Invalid value"
+  },
+
+  messages: {
+    USER_DELETED: "User deleted successfully",
+    PRODUCT_DELETED: "Product deleted successfully",
+    ORDER_DELETED: "Order deleted successfully",
+    COUPON_DELETED: "Coupon deleted successfully",
+    REVIEW_DELETED: "Review deleted successfully",
+    USER_GAME_DELETED: "Game removed from the library"
+  }
+};
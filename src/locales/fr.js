@@ -0,0 +1,230 @@
+// Catalogue des messages en français, indexé par les codes stables renvoyés par l'API.
+// Les paramètres entre accolades (ex: {taxClass}) sont remplacés par src/utils/i18n.js
+module.exports = {
+  // Titres des réponses problem+json, un par statut HTTP
+  titles: {
+    400: "Requête invalide",
+    401: "Authentification requise",
+    403: "Accès refusé",
+    404: "Ressource introuvable",
+    409: "Conflit",
+    413: "Requête trop volumineuse",
+    500: "Erreur du serveur",
+    502: "Service externe indisponible",
+    503: "Service temporairement indisponible"
+  },
+
+  // Erreurs renvoyées par les routes (code du problème ou d'une entrée de errors)
+  errors: {
+    // Requête et serveur
+    VALIDATION_FAILED: "Données invalides",
+    MALFORMED_JSON: "Le corps de la requête n'est pas un JSON valide",
+    PAYLOAD_TOO_LARGE: "Le corps de la requête est trop volumineux",
+    ROUTE_NOT_FOUND: "Route inconnue: {method} {path}",
+    NOTHING_TO_UPDATE: "Aucune donnée à mettre à jour",
+    INTERNAL_ERROR: "Erreur du serveur",
+
+    // PostgreSQL
+    INVALID_PARAMETER: "Un paramètre n'a pas le format attendu",
+    VALUE_OUT_OF_RANGE: "Une valeur dépasse les limites autorisées",
+    MISSING_VALUE: "Une valeur obligatoire est manquante",
+    CONSTRAINT_VIOLATION: "Une valeur ne respecte pas les règles de validation",
+    ALREADY_EXISTS: "Cette valeur est déjà utilisée",
+    RESOURCE_IN_USE: "Cette ressource est encore utilisée par d'autres données",
+    REFERENCE_NOT_FOUND: "Une ressource référencée n'existe pas",
+    TRANSACTION_CONFLICT: "La requête est entrée en conflit avec une autre, veuillez réessayer",
+    QUERY_TIMEOUT: "La requête a pris trop de temps, veuillez réessayer",
+
+    // Authentification et droits
+    AUTHENTICATION_REQUIRED: "Authentification requise",
+    INVALID_TOKEN: "Jeton d'authentification invalide ou expiré",
+    INVALID_CREDENTIALS: "Identifiants invalides",
+    ROLE_NOT_ALLOWED: "Votre rôle ne permet pas d'effectuer cette action",
+    NOT_ACCOUNT_OWNER: "Vous ne pouvez modifier que votre propre compte",
+
+    // Listes et pagination
+    INVALID_LIST_QUERY: "Paramètres de liste invalides",
+    UNKNOWN_FILTER: "Filtre inconnu: {parameter}",
+    OPERATOR_NOT_ALLOWED: "Opérateur {operator} non autorisé pour {field} (autorisés : {operators})",
+    FILTER_REPEATED: "Le filtre {parameter} ne peut être fourni qu'une fois",
+    TOO_MANY_VALUES: "Le filtre {parameter} accepte au plus {max} valeurs",
+    INVALID_FILTER_VALUE: "Valeur invalide pour {parameter} : {type} attendu",
+    PARAMETER_REPEATED: "Le paramètre {parameter} ne peut être fourni qu'une fois",
+    SORT_NOT_ALLOWED: "Tri impossible sur {field}",
+    UNKNOWN_FIELDS: "Champs inconnus: {fields}",
+    INVALID_PAGINATION: "Paramètres de pagination invalides",
+    CURSORS_COMBINED: "after et before ne peuvent pas être utilisés ensemble",
+    PAGE_WITH_CURSOR: "page ne peut pas être combiné avec {direction}",
+    INVALID_CURSOR: "Curseur {parameter} invalide, expiré ou émis pour un autre tri",
+    INVALID_COUNT_MODE: "count doit valoir {modes}",
+
+    // Utilisateurs
+    USER_NOT_FOUND: "Utilisateur non trouvé",
+    USER_ALREADY_EXISTS: "Un utilisateur avec ce nom d'utilisateur ou cet email existe déjà",
+    LAST_ADMIN: "Impossible de retirer le rôle du dernier administrateur ou de supprimer son compte",
+
+    // Produits et stock
+    PRODUCT_NOT_FOUND: "Produit non trouvé",
+    PRODUCTS_NOT_FOUND: "Un ou plusieurs produits n'existent pas",
+    PRODUCT_NAME_TAKEN: "Un produit avec ce nom existe déjà",
+    DERIVED_FIELDS_READ_ONLY: "Ces champs sont calculés automatiquement et ne peuvent pas être modifiés directement",
+    EMPTY_SEARCH: "La recherche doit contenir au moins un mot",
+    NEGATIVE_STOCK: "Le stock ne peut pas devenir négatif",
+    INSUFFICIENT_STOCK: "Stock insuffisant pour un ou plusieurs produits",
+    PRODUCTS_RETIRED: "Un ou plusieurs produits ont été retirés du catalogue et ne peuvent plus être commandés",
+    PRODUCT_RETIRED: "Ce produit a été retiré du catalogue et ne peut plus être commandé",
+
+    // Commandes
+    ORDER_NOT_FOUND: "Commande non trouvée",
+    NOT_ORDER_OWNER: "Vous ne pouvez accéder qu'à vos propres commandes",
+    ORDER_STATUS_NOT_EDITABLE: "Le statut d'une commande se modifie via POST /orders/:id/transitions",
+    ORDER_ITEMS_LOCKED: "Les lignes d'une commande ne sont plus modifiables une fois payée",
+    ORDER_NOT_DELETABLE: "Seules les commandes en attente ou annulées peuvent être supprimées",
+    TRANSITION_NOT_ALLOWED: "Transition impossible de {orderStatus} vers {requestedStatus}",
+    TRANSITION_FORBIDDEN: "Vous ne pouvez pas effectuer ce changement de statut",
+
+    // Paniers
+    CART_NOT_FOUND: "Panier non trouvé",
+    NOT_CART_OWNER: "Vous ne pouvez accéder qu'à votre propre panier",
+    CART_ITEM_NOT_FOUND: "Ce produit n'est pas dans le panier",
+    CART_EMPTY: "Le panier est vide",
+    ANONYMOUS_CART_NOT_FOUND: "Panier anonyme non trouvé ou expiré",
+    ANONYMOUS_CART_CHECKOUT: "Un panier anonyme doit d'abord être fusionné dans votre panier via POST /carts/merge",
+
+    // Taxes
+    UNKNOWN_TAX_CLASS: "Classe de taxe inconnue: {taxClass}",
+    TAX_CLASS_CODE_TAKEN: "Une classe de taxe avec ce code existe déjà",
+    TAX_RATE_OVERLAP: "La période chevauche un autre taux pour ce pays et cette classe de taxe",
+    TAX_RATE_MISSING: "Aucun taux de TVA en vigueur pour le pays {country} et ces classes de taxe",
+
+    // Codes promo
+    COUPON_NOT_FOUND: "Code promo non trouvé",
+    COUPON_CODE_TAKEN: "Un code promo avec ce code existe déjà",
+    UNKNOWN_PRODUCTS: "Produits inconnus",
+    UNKNOWN_COUPON: "Code promo inconnu: {couponCode}",
+    COUPON_INACTIVE: "Ce code promo n'est plus actif",
+    COUPON_NOT_STARTED: "Ce code promo n'est pas encore valide",
+    COUPON_EXPIRED: "Ce code promo a expiré",
+    COUPON_MIN_BASKET: "Le panier doit atteindre {minBasket} € hors taxes pour utiliser ce code promo",
+    COUPON_NOT_APPLICABLE: "Aucun produit de la commande n'est concerné par ce code promo",
+    COUPON_EXHAUSTED: "Ce code promo a atteint son nombre maximal d'utilisations",
+    COUPON_USER_LIMIT: "Vous avez déjà utilisé ce code promo le nombre maximal de fois",
+
+    // Avis
+    REVIEW_NOT_FOUND: "Avis non trouvé",
+    REVIEW_ALREADY_EXISTS: "Vous avez déjà laissé un avis pour ce produit",
+    NOT_REVIEW_AUTHOR: "Vous ne pouvez modifier que vos propres avis",
+    CANNOT_MODERATE_OWN_REVIEW: "Vous ne pouvez pas modérer vos propres avis",
+    CANNOT_REPORT_OWN_REVIEW: "Vous ne pouvez pas signaler vos propres avis",
+    REVIEW_NOT_REPORTABLE: "Seul un avis publié peut être signalé (statut actuel : {reviewStatus})",
+    REVIEW_ALREADY_REPORTED: "Vous avez déjà signalé cet avis, votre signalement est en attente de modération",
+
+    // Jeux Free-to-Play
+    GAME_NOT_FOUND: "Jeu non trouvé",
+    USER_GAME_NOT_FOUND: "Ce jeu n'est pas dans la bibliothèque de l'utilisateur",
+    USER_GAME_ALREADY_EXISTS: "Ce jeu est déjà dans la bibliothèque de l'utilisateur",
+    UPSTREAM_UNAVAILABLE: "L'API FreeToGame est injoignable",
+    UPSTREAM_ERROR: "Erreur API FreeToGame: {upstreamStatus}",
+    UPSTREAM_NOT_FOUND: "Ressource introuvable sur l'API FreeToGame",
+    UPSTREAM_CIRCUIT_OPEN: "L'API FreeToGame est temporairement indisponible, réessayez dans {retryAfter} s",
+    UPSTREAM_EMPTY_CATALOG: "L'API FreeToGame n'a renvoyé aucun jeu, import annulé",
+    SYNC_IN_PROGRESS: "Un import du catalogue est déjà en cours",
+    UPSTREAM_INVALID_PAYLOAD: "L'API FreeToGame a renvoyé une réponse invalide"
+  },
+
+  // Messages de validation des schémas Zod (src/models/schemas.js), puis messages génériques
+  // utilisés quand le schéma n'en précise pas
+  validation: {
+    ID_INVALID: "L'ID doit être un entier positif",
+    DATE_INVALID: "La date doit être au format AAAA-MM-JJ",
+    PRICE_NOT_POSITIVE: "Le prix doit être positif",
+    PRICE_TOO_HIGH: "Le prix ne peut pas dépasser {maximum}",
+    PRICE_PRECISION: "Le prix ne peut pas avoir plus de 2 décimales",
+    NAME_REQUIRED: "Le nom est requis",
+    NAME_TOO_LONG: "Le nom ne peut pas dépasser {maximum} caractères",
+    DESCRIPTION_REQUIRED: "La description est requise",
+    DESCRIPTION_TOO_LONG: "La description ne peut pas dépasser {maximum} caractères",
+    TAX_CLASS_EMPTY: "La classe de taxe ne peut pas être vide",
+    TAX_CLASS_REQUIRED: "La classe de taxe est requise",
+    QUANTITY_NOT_INTEGER: "La quantité doit être un entier",
+    QUANTITY_ZERO: "La quantité ne peut pas être nulle",
+    QUANTITY_NOT_POSITIVE: "La quantité doit être un entier positif",
+    REASON_REQUIRED: "La raison est requise",
+    REASON_TOO_LONG: "La raison ne peut pas dépasser {maximum} caractères",
+    SEARCH_TOO_LONG: "La recherche ne peut pas dépasser {maximum} caractères",
+    MIN_PRICE_NEGATIVE: "Le prix minimum ne peut pas être négatif",
+    MAX_PRICE_NEGATIVE: "Le prix maximum ne peut pas être négatif",
+    PRICE_RANGE_INVALID: "Le prix minimum doit être inférieur ou égal au prix maximum",
+    USERNAME_REQUIRED: "Le nom d'utilisateur est requis",
+    USERNAME_TOO_SHORT: "Le nom d'utilisateur doit contenir au moins {minimum} caractères",
+    EMAIL_INVALID: "Format d'email invalide",
+    PASSWORD_REQUIRED: "Le mot de passe est requis",
+    PASSWORD_TOO_SHORT: "Le mot de passe doit contenir au moins {minimum} caractères",
+    ROLE_INVALID: "Le rôle doit être l'un de : {options}",
+    PRODUCT_ID_INVALID: "L'ID produit doit être un entier positif",
+    ITEMS_REQUIRED: "Au moins un produit est requis",
+    COUNTRY_INVALID: "Le pays doit être un code ISO à 2 lettres (ex: FR)",
+    COUPON_CODE_INVALID: "Le code promo doit contenir de 3 à 50 caractères parmi A-Z, 0-9, _ et -",
+    COUPON_TYPE_INVALID: "Le type doit être l'un de : {options}",
+    COUPON_VALUE_NOT_POSITIVE: "La valeur doit être positive",
+    COUPON_VALUE_TOO_HIGH: "La valeur ne peut pas dépasser {maximum}",
+    COUPON_VALUE_PRECISION: "La valeur ne peut pas avoir plus de 2 décimales",
+    PERCENTAGE_TOO_HIGH: "Un pourcentage ne peut pas dépasser 100",
+    MIN_BASKET_NEGATIVE: "Le panier minimum ne peut pas être négatif",
+    MIN_BASKET_TOO_HIGH: "Le panier minimum ne peut pas dépasser {maximum}",
+    MIN_BASKET_PRECISION: "Le panier minimum ne peut pas avoir plus de 2 décimales",
+    STARTS_AT_INVALID: "La date de début doit être au format ISO 8601",
+    ENDS_AT_INVALID: "La date de fin doit être au format ISO 8601",
+    MAX_USES_INVALID: "La limite d'utilisation doit être un entier positif",
+    MAX_USES_PER_USER_INVALID: "La limite par utilisateur doit être un entier positif",
+    CART_TOKEN_INVALID: "Le jeton de panier est invalide",
+    ORDER_STATUS_INVALID: "Le statut doit être l'un de : {options}",
+    TAX_CLASS_CODE_INVALID: "Le code doit contenir de 1 à 30 caractères parmi a-z, 0-9 et _",
+    RATE_OUT_OF_RANGE: "Le taux doit être compris entre 0 et 1",
+    VALID_FROM_INVALID: "La date de début doit être au format AAAA-MM-JJ",
+    VALID_TO_INVALID: "La date de fin doit être au format AAAA-MM-JJ",
+    END_BEFORE_START: "La date de fin doit être postérieure à la date de début",
+    SCORE_TOO_LOW: "Le score doit être au moins {minimum}",
+    SCORE_TOO_HIGH: "Le score doit être au maximum {maximum}",
+    CONTENT_REQUIRED: "Le contenu de l'avis est requis",
+    CONTENT_TOO_LONG: "Le contenu ne peut pas dépasser {maximum} caractères",
+    REVIEW_STATUS_INVALID: "La décision doit être l'une de : {options}",
+    REJECTION_REASON_REQUIRED: "Le motif est obligatoire pour refuser un avis",
+    PLATFORM_INVALID: "La plateforme doit être l'une de : {options}",
+    CATEGORY_INVALID: "Catégorie inconnue, catégories possibles : {options}",
+    SORT_BY_INVALID: "Le tri doit être l'un de : {options}",
+    TAG_INVALID: "Les tags doivent être des catégories connues séparées par des points (ex: 3d.mmorpg)",
+    GAME_ID_INVALID: "L'ID du jeu doit être un entier positif",
+    GAME_STATUS_INVALID: "Le statut doit être l'un de : {options}",
+    HOURS_PLAYED_NEGATIVE: "Les heures de jeu ne peuvent pas être négatives",
+    HOURS_PLAYED_TOO_HIGH: "Les heures de jeu ne peuvent pas dépasser {maximum}",
+    HOURS_PLAYED_PRECISION: "Les heures de jeu ne peuvent pas avoir plus d'une décimale",
+    RATING_INVALID: "La note doit être un entier de 1 à 5",
+    LIMIT_INVALID: "La limite doit être un entier de 1 à 50",
+
+    // Messages génériques, selon le type d'erreur Zod
+    REQUIRED: "Ce champ est requis",
+    INVALID_TYPE: "Type invalide : {expected} attendu, {received} reçu",
+    INVALID_ENUM_VALUE: "Valeur invalide, valeurs possibles : {options}",
+    INVALID_STRING: "Format invalide",
+    INVALID_DATE: "Date invalide",
+    TOO_SHORT: "Doit contenir au moins {minimum} caractères",
+    TOO_LONG: "Ne peut pas dépasser {maximum} caractères",
+    TOO_FEW_ITEMS: "Doit contenir au moins {minimum} éléments",
+    TOO_MANY_ITEMS: "Ne peut pas contenir plus de {maximum} éléments",
+    TOO_SMALL: "Doit être supérieur ou égal à {minimum}",
+    TOO_BIG: "Doit être inférieur ou égal à {maximum}",
+    UNRECOGNIZED_KEYS: "Champs non reconnus : {keys}",
+    INVALID_VALUE: "Valeur invalide"
+  },
+
+  // Messages des réponses réussies
+  messages: {
+    USER_DELETED: "Utilisateur supprimé avec succès",
+    PRODUCT_DELETED: "Produit supprimé avec succès",
+    ORDER_DELETED: "Commande supprimée avec succès",
+    COUPON_DELETED: "Code promo supprimé avec succès",
+    REVIEW_DELETED: "Avis supprimé avec succès",
+    USER_GAME_DELETED: "Jeu retiré de la bibliothèque"
+  }
+};
@@ -0,0 +1,91 @@
+const { sql } = require("../config/database");
+const { verifyToken } = require("../utils/jwt");
+const { can, isAdmin } = require("../utils/policies");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+// Retrouve l'utilisateur correspondant au jeton Bearer de la requête
+// Renvoie undefined sans en-tête, null si le jeton est invalide ou le compte supprimé
+async function resolveUser(req) {
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return undefined;
+  }
+
+  const payload = verifyToken(token);
+
+  if (!payload) {
+    return null;
+  }
+
+  // Recharger l'utilisateur pour refuser les jetons d'un compte supprimé
+  // et appliquer immédiatement un changement de rôle
+  const [user] = await sql`
+    SELECT id, username, email, role, created_at, updated_at
+    FROM users WHERE id = ${payload.sub}
+  `;
+
+  return user || null;
+}
+
+// Jeton fourni mais invalide, expiré ou d'un compte supprimé
+function invalidToken(res) {
+  res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+  return new UnauthorizedError("INVALID_TOKEN");
+}
+
+// Vérifie le jeton Bearer et attache l'utilisateur authentifié à req.user
+async function authenticate(req, res, next) {
+  const user = await resolveUser(req);
+
+  if (user === undefined) {
+    res.set("WWW-Authenticate", "Bearer");
+    throw new UnauthorizedError("AUTHENTICATION_REQUIRED");
+  }
+
+  if (user === null) {
+    throw invalidToken(res);
+  }
+
+  req.user = user;
+  next();
+}
+
+// Attache l'utilisateur à req.user si un jeton est fourni, sans rendre l'authentification obligatoire
+async function optionalAuthenticate(req, res, next) {
+  const user = await resolveUser(req);
+
+  if (user === null) {
+    throw invalidToken(res);
+  }
+
+  req.user = user;
+  next();
+}
+
+// Autorise uniquement les rôles déclarés pour l'action dans la politique d'accès
+function authorize(action) {
+  return (req, res, next) => {
+    if (!can(req.user, action)) {
+      throw new ForbiddenError("ROLE_NOT_ALLOWED");
+    }
+    next();
+  };
+}
+
+// Autorise uniquement l'utilisateur dont l'ID correspond au paramètre de route (ou un administrateur)
+function requireSelf(param = "id") {
+  return (req, res, next) => {
+    if (String(req.user.id) !== String(req.params[param]) && !isAdmin(req.user)) {
+      throw new ForbiddenError("NOT_ACCOUNT_OWNER");
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  optionalAuthenticate,
+  authorize,
+  requireSelf
+};
@@ -0,0 +1,172 @@
+const { ZodError } = require("zod");
+const { PostgresError } = require("postgres");
+const { AppError, NotFoundError } = require("../utils/errors");
+const { hasTranslation, translate } = require("../utils/i18n");
+
+// Erreurs PostgreSQL causées par la requête du client, avec leur statut et leur code stable
+const POSTGRES_ERRORS = {
+  "22P02": { status: 400, code: "INVALID_PARAMETER" },
+  "22003": { status: 400, code: "VALUE_OUT_OF_RANGE" },
+  "22007": { status: 400, code: "INVALID_PARAMETER" },
+  "22008": { status: 400, code: "INVALID_PARAMETER" },
+  "23502": { status: 400, code: "MISSING_VALUE" },
+  "23514": { status: 400, code: "CONSTRAINT_VIOLATION" },
+  "23505": { status: 409, code: "ALREADY_EXISTS" },
+  "40001": { status: 503, code: "TRANSACTION_CONFLICT" },
+  "40P01": { status: 503, code: "TRANSACTION_CONFLICT" },
+  "57014": { status: 503, code: "QUERY_TIMEOUT" }
+};
+
+// Une clé étrangère est violée soit en supprimant une ligne encore référencée,
+// soit en référençant une ligne qui n'existe pas
+function foreignKeyError(error) {
+  return /still referenced/.test(error.detail || "")
+    ? new AppError(409, "RESOURCE_IN_USE")
+    : new AppError(400, "REFERENCE_NOT_FOUND");
+}
+
+// Champ concerné par une contrainte d'unicité nommée par PostgreSQL (ex: users_email_key → email)
+function uniqueField(error) {
+  const match = /^(.+)_key$/.exec(error.constraint_name || "");
+  return match && error.table_name && match[1].startsWith(`${error.table_name}_`)
+    ? match[1].slice(error.table_name.length + 1)
+    : undefined;
+}
+
+// Message générique d'une erreur Zod dont le schéma ne fournit pas de code du catalogue
+function genericValidationKey(issue) {
+  switch (issue.code) {
+    case "invalid_type":
+      return "INVALID_TYPE";
+    case "invalid_enum_value":
+      return "INVALID_ENUM_VALUE";
+    case "invalid_string":
+      return "INVALID_STRING";
+    case "invalid_date":
+      return "INVALID_DATE";
+    case "unrecognized_keys":
+      return "UNRECOGNIZED_KEYS";
+    case "too_small":
+      return issue.type === "string" ? "TOO_SHORT" : issue.type === "array" ? "TOO_FEW_ITEMS" : "TOO_SMALL";
+    case "too_big":
+      return issue.type === "string" ? "TOO_LONG" : issue.type === "array" ? "TOO_MANY_ITEMS" : "TOO_BIG";
+    default:
+      return "INVALID_VALUE";
+  }
+}
+
+// Clé du catalogue d'une erreur Zod : le message du schéma est un code de la section validation
+// (ex: PRICE_NOT_POSITIVE). Un champ absent est toujours signalé comme requis
+function validationKey(issue) {
+  if (issue.code === "invalid_type" && issue.received === "undefined") {
+    return "validation.REQUIRED";
+  }
+
+  return hasTranslation(`validation.${issue.message}`)
+    ? `validation.${issue.message}`
+    : `validation.${genericValidationKey(issue)}`;
+}
+
+// Convertit une erreur quelconque en AppError, null si elle doit être traitée comme une erreur du serveur
+function toAppError(error) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error instanceof ZodError) {
+    return new AppError(400, "VALIDATION_FAILED", {
+      errors: error.errors.map(issue => ({
+        path: issue.path.join("."),
+        code: issue.code,
+        key: validationKey(issue),
+        params: issue
+      }))
+    });
+  }
+
+  if (error instanceof PostgresError) {
+    if (error.code === "23503") {
+      return foreignKeyError(error);
+    }
+
+    const mapped = POSTGRES_ERRORS[error.code];
+    if (mapped) {
+      const field = error.code === "23505" ? uniqueField(error) : undefined;
+      return new AppError(mapped.status, mapped.code, field ? { field } : {});
+    }
+  }
+
+  // Erreurs du parseur JSON d'Express
+  if (error.type === "entity.parse.failed") {
+    return new AppError(400, "MALFORMED_JSON");
+  }
+
+  if (error.type === "entity.too.large") {
+    return new AppError(413, "PAYLOAD_TOO_LARGE");
+  }
+
+  return null;
+}
+
+// Traduit le message de chaque entrée de errors (erreurs de validation, de liste ou de pagination).
+// Une entrée porte la clé de son message (key, sinon errors.<code>) et ses paramètres, qui ne sont pas renvoyés
+function localizeErrors(locale, errors) {
+  return errors.map(({ key, params = {}, ...error }) => ({
+    ...error,
+    message: translate(locale, key || `errors.${error.code}`, { ...params, parameter: error.parameter })
+  }));
+}
+
+// Réponse application/problem+json dans la langue négociée (req.locale) : type et code identifient
+// le problème, detail décrit cette occurrence
+function sendProblem(req, res, { status, code, extensions }) {
+  const { errors, ...members } = extensions;
+
+  res.status(status).type("application/problem+json").json({
+    type: `urn:problem:${code.toLowerCase().replace(/_/g, "-")}`,
+    title: translate(req.locale, hasTranslation(`titles.${status}`) ? `titles.${status}` : "titles.500"),
+    status,
+    code,
+    detail: translate(req.locale, `errors.${code}`, extensions),
+    instance: req.originalUrl,
+    ...members,
+    ...(errors ? { errors: localizeErrors(req.locale, errors) } : {})
+  });
+}
+
+// Route inconnue : 404 au même format que les autres erreurs
+function notFoundHandler(req, res, next) {
+  next(new NotFoundError("ROUTE_NOT_FOUND", { method: req.method, path: req.path }));
+}
+
+// Middleware d'erreur final. Les handlers async lèvent leurs erreurs (Express 5 transmet les promesses
+// rejetées) : les erreurs applicatives, de validation et de PostgreSQL deviennent des réponses
+// problem+json, les autres sont journalisées et renvoyées comme erreurs du serveur sans détail
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  const appError = toAppError(error);
+
+  if (!appError) {
+    console.error(`Erreur lors du traitement de ${req.method} ${req.originalUrl}:`, error);
+    return sendProblem(req, res, { status: 500, code: "INTERNAL_ERROR", extensions: {} });
+  }
+
+  if (appError.status >= 500) {
+    console.error(`Erreur lors du traitement de ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  // Délai avant une nouvelle tentative (ex: circuit FreeToGame ouvert), aussi exposé en en-tête
+  if (appError.extensions.retryAfter) {
+    res.set("Retry-After", String(appError.extensions.retryAfter));
+  }
+
+  sendProblem(req, res, appError);
+}
+
+module.exports = {
+  notFoundHandler,
+  errorHandler
+};
@@ -0,0 +1,14 @@
+const { resolveLocale } = require("../utils/i18n");
+
+// Choisit la langue des messages de la réponse (?lang= puis Accept-Language) et l'annonce
+// dans Content-Language ; les routes et le middleware d'erreur la lisent dans req.locale
+function negotiateLocale(req, res, next) {
+  req.locale = resolveLocale(req.query.lang, req.headers["accept-language"]);
+  res.set("Content-Language", req.locale);
+  res.vary("Accept-Language");
+  next();
+}
+
+module.exports = {
+  negotiateLocale
+};
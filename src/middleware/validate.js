@@ -0,0 +1,28 @@
+// Emplacements de la requête validés, dans l'ordre où ils sont vérifiés
+const LOCATIONS = ["params", "query", "body"];
+
+// Valide req.params, req.query et req.body avec les schémas Zod de la route avant son handler,
+// qui reçoit les valeurs converties (ex: id en nombre, pays en majuscules, valeurs par défaut).
+// Une erreur de validation est transmise au middleware d'erreur (400 VALIDATION_FAILED).
+// Les schémas sont aussi attachés au middleware : la documentation OpenAPI en est générée
+// (voir src/swagger/openapi.js)
+function validate(schemas) {
+  function validateRequest(req, res, next) {
+    LOCATIONS.filter(location => schemas[location]).forEach(location => {
+      // Sans corps JSON, req.body est undefined : il est validé comme un objet vide
+      const value = schemas[location].parse(location === "body" ? req.body ?? {} : req[location]);
+
+      // req.query est un accesseur en lecture seule dans Express 5 : la valeur validée le masque
+      Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+    });
+
+    next();
+  }
+
+  validateRequest.schemas = schemas;
+  return validateRequest;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,77 @@
+// Schéma initial : reprend les tables créées auparavant par initializeDatabase
+// Toutes les instructions sont idempotentes pour qu'une base existante adopte
+// cette migration sans perte de données
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE IF NOT EXISTS products (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      about TEXT NOT NULL,
+      price DECIMAL(10,2) NOT NULL CHECK (price > 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      email VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS orders (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      product_ids INTEGER[] NOT NULL,
+      total DECIMAL(10,2) NOT NULL CHECK (total >= 0),
+      payment BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`
+    CREATE TABLE IF NOT EXISTS reviews (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      score INTEGER NOT NULL CHECK (score >= 1 AND score <= 5),
+      content TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, product_id)
+    )
+  `;
+
+  // Colonnes ajoutées au fil du temps par initializeDatabase
+  await sql`
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS reviews_ids INTEGER[] DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS total_score DECIMAL(3,2) DEFAULT 0.00
+  `;
+
+  await sql`
+    ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'customer'
+      CHECK (role IN ('admin', 'seller', 'customer'))
+  `;
+
+  await sql`
+    ALTER TABLE users ALTER COLUMN password_hash TYPE VARCHAR(255)
+  `;
+}
+
+async function down(sql) {
+  await sql`DROP TABLE IF EXISTS reviews`;
+  await sql`DROP TABLE IF EXISTS orders`;
+  await sql`DROP TABLE IF EXISTS users`;
+  await sql`DROP TABLE IF EXISTS products`;
+}
+
+module.exports = { up, down };
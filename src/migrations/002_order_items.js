@@ -0,0 +1,57 @@
+// Lignes de commande avec quantité et instantané du prix et de la TVA au moment de l'achat,
+// en remplacement du tableau orders.product_ids
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE order_items (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      product_id INTEGER REFERENCES products(id) ON DELETE SET NULL,
+      product_name VARCHAR(255) NOT NULL,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price >= 0),
+      vat_rate DECIMAL(5,4) NOT NULL CHECK (vat_rate >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(order_id, product_id)
+    )
+  `;
+
+  await sql`CREATE INDEX order_items_order_id_idx ON order_items (order_id)`;
+
+  // Reprise des commandes existantes : les IDs en double deviennent des quantités.
+  // Le prix payé n'ayant pas été conservé, on reprend le prix actuel du produit et
+  // la TVA de 20% appliquée jusqu'ici ; les produits déjà supprimés ne peuvent pas être repris
+  await sql`
+    INSERT INTO order_items (order_id, product_id, product_name, quantity, unit_price, vat_rate)
+    SELECT o.id, p.id, p.name, COUNT(*), p.price, 0.2
+    FROM orders o
+    CROSS JOIN LATERAL unnest(o.product_ids) AS item(product_id)
+    JOIN products p ON p.id = item.product_id
+    GROUP BY o.id, p.id, p.name, p.price
+  `;
+
+  await sql`ALTER TABLE orders DROP COLUMN product_ids`;
+}
+
+async function down(sql) {
+  await sql`ALTER TABLE orders ADD COLUMN product_ids INTEGER[] NOT NULL DEFAULT '{}'`;
+
+  // Chaque ligne redevient autant d'IDs que sa quantité
+  await sql`
+    UPDATE orders o
+    SET product_ids = items.product_ids
+    FROM (
+      SELECT oi.order_id, array_agg(oi.product_id ORDER BY oi.id) AS product_ids
+      FROM order_items oi
+      CROSS JOIN LATERAL generate_series(1, oi.quantity)
+      WHERE oi.product_id IS NOT NULL
+      GROUP BY oi.order_id
+    ) items
+    WHERE o.id = items.order_id
+  `;
+
+  await sql`ALTER TABLE orders ALTER COLUMN product_ids DROP DEFAULT`;
+  await sql`DROP TABLE order_items`;
+}
+
+module.exports = { up, down };
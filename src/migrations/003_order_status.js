@@ -0,0 +1,42 @@
+// Cycle de vie des commandes : un statut remplace le booléen payment,
+// et chaque changement de statut est historisé
+
+async function up(sql) {
+  await sql`
+    ALTER TABLE orders
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'pending'
+      CHECK (status IN ('pending', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'))
+  `;
+
+  await sql`UPDATE orders SET status = 'paid' WHERE payment = TRUE`;
+  await sql`ALTER TABLE orders DROP COLUMN payment`;
+
+  await sql`
+    CREATE TABLE order_status_history (
+      id SERIAL PRIMARY KEY,
+      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      from_status VARCHAR(20),
+      to_status VARCHAR(20) NOT NULL,
+      changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX order_status_history_order_id_idx ON order_status_history (order_id)`;
+
+  // Statut initial des commandes existantes, daté de leur création
+  await sql`
+    INSERT INTO order_status_history (order_id, from_status, to_status, created_at)
+    SELECT id, NULL, status, created_at FROM orders
+  `;
+}
+
+async function down(sql) {
+  await sql`DROP TABLE order_status_history`;
+  await sql`ALTER TABLE orders ADD COLUMN payment BOOLEAN DEFAULT FALSE`;
+  await sql`UPDATE orders SET payment = status IN ('paid', 'shipped', 'delivered')`;
+  await sql`ALTER TABLE orders DROP COLUMN status`;
+}
+
+module.exports = { up, down };
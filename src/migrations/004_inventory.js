@@ -0,0 +1,32 @@
+// Stock disponible par produit et registre des mouvements de stock pour le rapprochement.
+// Les produits existants démarrent à 0 : leur stock réel doit être saisi par un administrateur
+
+async function up(sql) {
+  await sql`
+    ALTER TABLE products
+    ADD COLUMN stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0)
+  `;
+
+  await sql`
+    CREATE TABLE stock_movements (
+      id SERIAL PRIMARY KEY,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL CHECK (quantity <> 0),
+      stock_after INTEGER NOT NULL CHECK (stock_after >= 0),
+      type VARCHAR(20) NOT NULL CHECK (type IN ('reservation', 'release', 'adjustment')),
+      order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+      created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX stock_movements_product_id_idx ON stock_movements (product_id)`;
+}
+
+async function down(sql) {
+  await sql`DROP TABLE stock_movements`;
+  await sql`ALTER TABLE products DROP COLUMN stock`;
+}
+
+module.exports = { up, down };
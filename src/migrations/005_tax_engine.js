@@ -0,0 +1,132 @@
+// Moteur de taxes : classes de taxe attribuées aux produits, taux par pays et par classe avec
+// période de validité, et détail des taxes par ligne et par taux conservé sur chaque commande
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE tax_classes (
+      code VARCHAR(30) PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`
+    INSERT INTO tax_classes (code, name) VALUES
+      ('standard', 'Taux normal'),
+      ('reduced', 'Taux réduit (livres, alimentation...)'),
+      ('super_reduced', 'Taux particulier (presse, médicaments remboursables...)')
+  `;
+
+  await sql`
+    CREATE TABLE tax_rates (
+      id SERIAL PRIMARY KEY,
+      country CHAR(2) NOT NULL CHECK (country ~ '^[A-Z]{2}$'),
+      tax_class VARCHAR(30) NOT NULL REFERENCES tax_classes(code) ON UPDATE CASCADE,
+      rate DECIMAL(5,4) NOT NULL CHECK (rate >= 0 AND rate < 1),
+      valid_from DATE NOT NULL,
+      valid_to DATE CHECK (valid_to > valid_from),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX tax_rates_lookup_idx ON tax_rates (country, tax_class, valid_from)`;
+
+  // Taux en vigueur dans quelques pays de l'UE ; la France reprend les 20% appliqués jusqu'ici
+  await sql`
+    INSERT INTO tax_rates (country, tax_class, rate, valid_from) VALUES
+      ('FR', 'standard', 0.2, '2014-01-01'),
+      ('FR', 'reduced', 0.055, '2014-01-01'),
+      ('FR', 'super_reduced', 0.021, '2014-01-01'),
+      ('BE', 'standard', 0.21, '2014-01-01'),
+      ('BE', 'reduced', 0.06, '2014-01-01'),
+      ('DE', 'standard', 0.19, '2021-01-01'),
+      ('DE', 'reduced', 0.07, '2021-01-01'),
+      ('ES', 'standard', 0.21, '2014-01-01'),
+      ('ES', 'reduced', 0.10, '2014-01-01'),
+      ('ES', 'super_reduced', 0.04, '2014-01-01'),
+      ('IT', 'standard', 0.22, '2014-01-01'),
+      ('IT', 'reduced', 0.10, '2014-01-01'),
+      ('IT', 'super_reduced', 0.04, '2014-01-01')
+  `;
+
+  await sql`
+    ALTER TABLE products
+    ADD COLUMN tax_class VARCHAR(30) NOT NULL DEFAULT 'standard'
+      REFERENCES tax_classes(code) ON UPDATE CASCADE
+  `;
+
+  // Montants de chaque ligne, la taxe étant arrondie au centime ligne par ligne
+  await sql`
+    ALTER TABLE order_items
+    ADD COLUMN tax_class VARCHAR(30),
+    ADD COLUMN subtotal DECIMAL(10,2),
+    ADD COLUMN tax_amount DECIMAL(10,2),
+    ADD COLUMN total DECIMAL(10,2)
+  `;
+
+  await sql`
+    UPDATE order_items SET
+      tax_class = 'standard',
+      subtotal = unit_price * quantity,
+      tax_amount = ROUND(unit_price * quantity * vat_rate, 2),
+      total = unit_price * quantity + ROUND(unit_price * quantity * vat_rate, 2)
+  `;
+
+  await sql`
+    ALTER TABLE order_items
+    ALTER COLUMN tax_class SET NOT NULL,
+    ALTER COLUMN subtotal SET NOT NULL,
+    ALTER COLUMN tax_amount SET NOT NULL,
+    ALTER COLUMN total SET NOT NULL
+  `;
+
+  await sql`
+    ALTER TABLE orders
+    ADD COLUMN country CHAR(2) NOT NULL DEFAULT 'FR',
+    ADD COLUMN subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN tax_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN tax_breakdown JSONB NOT NULL DEFAULT '[]'
+  `;
+
+  // Reprise des commandes existantes : le total déjà facturé est conservé tel quel. Il était arrondi
+  // globalement, le détail par taux (arrondi ligne par ligne) peut donc s'en écarter d'un centime
+  await sql`
+    UPDATE orders o SET
+      subtotal = lines.subtotal,
+      tax_total = o.total - lines.subtotal,
+      tax_breakdown = lines.breakdown
+    FROM (
+      SELECT order_id, SUM(taxable) AS subtotal,
+             jsonb_agg(jsonb_build_object('rate', rate, 'taxableAmount', taxable, 'taxAmount', tax) ORDER BY rate DESC) AS breakdown
+      FROM (
+        SELECT order_id, vat_rate AS rate, SUM(subtotal) AS taxable, SUM(tax_amount) AS tax
+        FROM order_items
+        GROUP BY order_id, vat_rate
+      ) rates
+      GROUP BY order_id
+    ) lines
+    WHERE lines.order_id = o.id
+  `;
+}
+
+async function down(sql) {
+  await sql`
+    ALTER TABLE orders
+    DROP COLUMN country,
+    DROP COLUMN subtotal,
+    DROP COLUMN tax_total,
+    DROP COLUMN tax_breakdown
+  `;
+  await sql`
+    ALTER TABLE order_items
+    DROP COLUMN tax_class,
+    DROP COLUMN subtotal,
+    DROP COLUMN tax_amount,
+    DROP COLUMN total
+  `;
+  await sql`ALTER TABLE products DROP COLUMN tax_class`;
+  await sql`DROP TABLE tax_rates`;
+  await sql`DROP TABLE tax_classes`;
+}
+
+module.exports = { up, down };
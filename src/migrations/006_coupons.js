@@ -0,0 +1,58 @@
+// Codes promo : remise en pourcentage ou montant fixe, sur toute la commande ou certains produits,
+// avec panier minimum, période de validité et limites d'utilisation. La remise s'applique avant TVA
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE coupons (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(50) UNIQUE NOT NULL CHECK (code = UPPER(code)),
+      description TEXT,
+      type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed')),
+      value DECIMAL(10,2) NOT NULL CHECK (value > 0 AND (type = 'fixed' OR value <= 100)),
+      product_ids INTEGER[] NOT NULL DEFAULT '{}',
+      min_basket DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_basket >= 0),
+      starts_at TIMESTAMPTZ,
+      ends_at TIMESTAMPTZ CHECK (ends_at > starts_at),
+      max_uses INTEGER CHECK (max_uses > 0),
+      max_uses_per_user INTEGER CHECK (max_uses_per_user > 0),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  // Une utilisation par commande ; annuler la commande libère l'utilisation
+  await sql`
+    CREATE TABLE coupon_redemptions (
+      id SERIAL PRIMARY KEY,
+      coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+      order_id INTEGER UNIQUE NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      discount DECIMAL(10,2) NOT NULL CHECK (discount >= 0),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `;
+
+  await sql`CREATE INDEX coupon_redemptions_coupon_user_idx ON coupon_redemptions (coupon_id, user_id)`;
+
+  await sql`
+    ALTER TABLE orders
+    ADD COLUMN coupon_code VARCHAR(50),
+    ADD COLUMN discount_total DECIMAL(10,2) NOT NULL DEFAULT 0
+  `;
+
+  // Part de la remise affectée à chaque ligne, déduite de son montant hors taxes
+  await sql`
+    ALTER TABLE order_items
+    ADD COLUMN discount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount >= 0)
+  `;
+}
+
+async function down(sql) {
+  await sql`ALTER TABLE order_items DROP COLUMN discount`;
+  await sql`ALTER TABLE orders DROP COLUMN coupon_code, DROP COLUMN discount_total`;
+  await sql`DROP TABLE coupon_redemptions`;
+  await sql`DROP TABLE coupons`;
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Paniers persistants : un panier par utilisateur, ou un panier anonyme identifié par un jeton
+// secret (seule son empreinte est stockée) et supprimé après une période d'inactivité
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE carts (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+      token_hash CHAR(64) UNIQUE,
+      expires_at TIMESTAMPTZ,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (
+        (user_id IS NOT NULL AND token_hash IS NULL AND expires_at IS NULL)
+        OR (user_id IS NULL AND token_hash IS NOT NULL AND expires_at IS NOT NULL)
+      )
+    )
+  `;
+
+  await sql`CREATE INDEX carts_expires_at_idx ON carts (expires_at) WHERE expires_at IS NOT NULL`;
+
+  await sql`
+    CREATE TABLE cart_items (
+      cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+      product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+      quantity INTEGER NOT NULL CHECK (quantity > 0),
+      added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (cart_id, product_id)
+    )
+  `;
+}
+
+async function down(sql) {
+  await sql`DROP TABLE cart_items`;
+  await sql`DROP TABLE carts`;
+}
+
+module.exports = { up, down };
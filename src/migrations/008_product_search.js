@@ -0,0 +1,22 @@
+// Recherche plein texte sur le nom et la description des produits : vecteur calculé par PostgreSQL
+// avec les racinisations française et anglaise, le nom (poids A) primant sur la description (poids B)
+
+async function up(sql) {
+  await sql`
+    ALTER TABLE products
+    ADD COLUMN search_vector tsvector GENERATED ALWAYS AS (
+      setweight(to_tsvector('french', coalesce(name, '')), 'A')
+      || setweight(to_tsvector('english', coalesce(name, '')), 'A')
+      || setweight(to_tsvector('french', coalesce(about, '')), 'B')
+      || setweight(to_tsvector('english', coalesce(about, '')), 'B')
+    ) STORED
+  `;
+
+  await sql`CREATE INDEX products_search_vector_idx ON products USING GIN (search_vector)`;
+}
+
+async function down(sql) {
+  await sql`ALTER TABLE products DROP COLUMN search_vector`;
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Produits importés d'un catalogue externe (jeux FreeToGame) : source et identifiant externes, avec les
+// informations du jeu. Un produit importé peut être gratuit ; il est marqué comme retiré (retired) quand
+// il disparaît du catalogue externe, sans être supprimé des commandes et avis qui le référencent
+
+async function up(sql) {
+  await sql`
+    ALTER TABLE products
+    ADD COLUMN external_source VARCHAR(50),
+    ADD COLUMN external_id VARCHAR(100),
+    ADD COLUMN genre VARCHAR(100),
+    ADD COLUMN platform VARCHAR(100),
+    ADD COLUMN publisher VARCHAR(255),
+    ADD COLUMN thumbnail TEXT,
+    ADD COLUMN release_date DATE,
+    ADD COLUMN retired BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN synced_at TIMESTAMP,
+    ADD CONSTRAINT products_external_ref_check CHECK ((external_source IS NULL) = (external_id IS NULL)),
+    ADD CONSTRAINT products_external_ref_key UNIQUE (external_source, external_id)
+  `;
+
+  await sql`ALTER TABLE products DROP CONSTRAINT products_price_check`;
+  await sql`
+    ALTER TABLE products
+    ADD CONSTRAINT products_price_check CHECK (price > 0 OR (external_source IS NOT NULL AND price = 0))
+  `;
+}
+
+async function down(sql) {
+  // Sans leur référence externe, les produits importés seraient recréés en double au prochain import
+  await sql`DELETE FROM products WHERE external_source IS NOT NULL`;
+  await sql`ALTER TABLE products DROP CONSTRAINT products_price_check`;
+  await sql`ALTER TABLE products ADD CONSTRAINT products_price_check CHECK (price > 0)`;
+  await sql`
+    ALTER TABLE products
+    DROP COLUMN external_source,
+    DROP COLUMN external_id,
+    DROP COLUMN genre,
+    DROP COLUMN platform,
+    DROP COLUMN publisher,
+    DROP COLUMN thumbnail,
+    DROP COLUMN release_date,
+    DROP COLUMN retired,
+    DROP COLUMN synced_at
+  `;
+}
+
+module.exports = { up, down };
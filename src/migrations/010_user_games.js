@@ -0,0 +1,27 @@
+// Bibliothèque de jeux Free-to-Play de chaque utilisateur : jeu FreeToGame (identifiant externe, les jeux
+// ne sont pas des produits), statut, heures de jeu et note personnelle de 1 à 5
+
+async function up(sql) {
+  await sql`
+    CREATE TABLE user_games (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      game_id INTEGER NOT NULL CHECK (game_id > 0),
+      status VARCHAR(20) NOT NULL DEFAULT 'wishlist' CHECK (status IN ('wishlist', 'playing', 'completed', 'dropped')),
+      hours_played DECIMAL(7,1) NOT NULL DEFAULT 0 CHECK (hours_played >= 0),
+      rating SMALLINT CHECK (rating >= 1 AND rating <= 5),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, game_id)
+    )
+  `;
+
+  // Classements des jeux les plus joués et les mieux notés, tous utilisateurs confondus
+  await sql`CREATE INDEX user_games_game_id_idx ON user_games (game_id)`;
+}
+
+async function down(sql) {
+  await sql`DROP TABLE user_games`;
+}
+
+module.exports = { up, down };
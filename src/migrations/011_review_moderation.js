@@ -0,0 +1,58 @@
+// Modération des avis : un avis est publié (approved) ou refusé (rejected, avec un motif) par un modérateur
+// avant de compter dans le score du produit. Les signalements d'abus des utilisateurs (review_reports)
+// renvoient un avis publié en file de modération à partir d'un seuil. Ajoute le rôle moderator
+
+async function up(sql) {
+  // Les avis existants sont déjà publiés ; les nouveaux attendent la modération
+  await sql`
+    ALTER TABLE reviews
+    ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'approved' CHECK (status IN ('pending', 'approved', 'rejected')),
+    ADD COLUMN rejection_reason TEXT,
+    ADD COLUMN moderated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN moderated_at TIMESTAMP
+  `;
+  await sql`ALTER TABLE reviews ALTER COLUMN status SET DEFAULT 'pending'`;
+
+  // File de modération, du plus ancien au plus récent
+  await sql`CREATE INDEX reviews_status_created_at_idx ON reviews (status, created_at)`;
+
+  await sql`
+    CREATE TABLE review_reports (
+      id SERIAL PRIMARY KEY,
+      review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      resolved_at TIMESTAMP
+    )
+  `;
+
+  // Un seul signalement en attente par utilisateur et par avis ; il peut signaler à nouveau
+  // l'avis une fois son signalement traité par un modérateur
+  await sql`
+    CREATE UNIQUE INDEX review_reports_open_key ON review_reports (review_id, user_id) WHERE resolved_at IS NULL
+  `;
+
+  await sql`ALTER TABLE users DROP CONSTRAINT users_role_check`;
+  await sql`
+    ALTER TABLE users
+    ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'seller', 'customer', 'moderator'))
+  `;
+}
+
+async function down(sql) {
+  await sql`UPDATE users SET role = 'customer' WHERE role = 'moderator'`;
+  await sql`ALTER TABLE users DROP CONSTRAINT users_role_check`;
+  await sql`ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'seller', 'customer'))`;
+  await sql`DROP TABLE review_reports`;
+  await sql`DROP INDEX reviews_status_created_at_idx`;
+  await sql`
+    ALTER TABLE reviews
+    DROP COLUMN status,
+    DROP COLUMN rejection_reason,
+    DROP COLUMN moderated_by,
+    DROP COLUMN moderated_at
+  `;
+}
+
+module.exports = { up, down };
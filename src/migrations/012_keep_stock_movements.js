@@ -0,0 +1,26 @@
+// Le registre des mouvements de stock est conservé quand un produit est supprimé, pour le rapprochement :
+// les mouvements du produit sont gardés avec un product_id vide au lieu d'être supprimés en cascade
+
+async function up(sql) {
+  await sql`ALTER TABLE stock_movements DROP CONSTRAINT stock_movements_product_id_fkey`;
+  await sql`
+    ALTER TABLE stock_movements
+    ALTER COLUMN product_id DROP NOT NULL,
+    ADD CONSTRAINT stock_movements_product_id_fkey
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+  `;
+}
+
+async function down(sql) {
+  // Les mouvements des produits supprimés ne peuvent pas revenir à la suppression en cascade
+  await sql`DELETE FROM stock_movements WHERE product_id IS NULL`;
+  await sql`ALTER TABLE stock_movements DROP CONSTRAINT stock_movements_product_id_fkey`;
+  await sql`
+    ALTER TABLE stock_movements
+    ALTER COLUMN product_id SET NOT NULL,
+    ADD CONSTRAINT stock_movements_product_id_fkey
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+  `;
+}
+
+module.exports = { up, down };
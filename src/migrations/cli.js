@@ -0,0 +1,44 @@
+const { sql } = require("../config/database");
+const { migrate, rollback, status, createMigration } = require("./runner");
+
+// Commandes : up (appliquer), down (annuler la dernière), status, create <nom>
+async function main(command, arg) {
+  switch (command) {
+    case "up": {
+      const applied = await migrate();
+      if (applied.length === 0) {
+        console.log("🟢 Base de données à jour, aucune migration en attente");
+      }
+      break;
+    }
+    case "down": {
+      const reverted = await rollback();
+      if (!reverted) {
+        console.log("🟢 Aucune migration à annuler");
+      }
+      break;
+    }
+    case "status": {
+      const entries = await status();
+      entries.forEach(entry => {
+        const appliedAt = entry.appliedAt ? new Date(entry.appliedAt).toISOString() : "-";
+        console.log(`${String(entry.version).padStart(3, "0")}_${entry.name}  ${entry.state.padEnd(8)}  ${appliedAt}`);
+      });
+      break;
+    }
+    case "create": {
+      console.log(`🟢 Migration créée: src/migrations/${createMigration(arg)}`);
+      break;
+    }
+    default:
+      throw new Error("Commande inconnue, utiliser: up | down | status | create <nom>");
+  }
+}
+
+main(process.argv[2], process.argv[3])
+  .then(() => sql.end())
+  .catch(async error => {
+    console.error("🔴 Erreur lors des migrations:", error.message);
+    await sql.end();
+    process.exit(1);
+  });
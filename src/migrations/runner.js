@@ -0,0 +1,225 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { sql } = require("../config/database");
+
+const MIGRATIONS_DIR = __dirname;
+
+// Fichiers de migration : numéro sur 3 chiffres suivi d'un nom (ex: 001_initial_schema.js)
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// Clé du verrou consultatif partagé par toutes les instances du serveur
+const MIGRATIONS_LOCK_KEY = 4242001;
+
+// Charge les migrations du dossier, triées par numéro, avec la somme de contrôle de leur fichier
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const filePath = path.join(MIGRATIONS_DIR, file);
+      const { up, down } = require(filePath);
+
+      if (typeof up !== "function" || typeof down !== "function") {
+        throw new Error(`La migration ${file} doit exporter les fonctions up et down`);
+      }
+
+      return {
+        version: parseInt(match[1]),
+        name: match[2],
+        file,
+        checksum: crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex"),
+        up,
+        down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Numéro de migration en double: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Exécute fn sur une connexion dédiée qui détient le verrou des migrations,
+// pour que deux serveurs démarrés en même temps ne migrent pas en parallèle
+async function withMigrationLock(fn) {
+  const connection = await sql.reserve();
+
+  try {
+    await connection`SELECT pg_advisory_lock(${MIGRATIONS_LOCK_KEY})`;
+
+    try {
+      await connection`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `;
+
+      return await fn(connection);
+    } finally {
+      await connection`SELECT pg_advisory_unlock(${MIGRATIONS_LOCK_KEY})`;
+    }
+  } finally {
+    connection.release();
+  }
+}
+
+// Exécute une étape de migration dans une transaction sur la connexion verrouillée
+async function runInTransaction(connection, fn) {
+  await connection`BEGIN`;
+
+  try {
+    await fn();
+    await connection`COMMIT`;
+  } catch (error) {
+    await connection`ROLLBACK`;
+    throw error;
+  }
+}
+
+// Compare les migrations appliquées en base avec les fichiers présents
+function computeStatus(migrations, appliedRows) {
+  const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+  const entries = migrations.map(migration => {
+    const row = applied.get(migration.version);
+
+    if (!row) {
+      return { version: migration.version, name: migration.name, state: "pending", appliedAt: null };
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row.checksum === migration.checksum ? "applied" : "modified",
+      appliedAt: row.applied_at
+    };
+  });
+
+  // Migrations appliquées dont le fichier a disparu
+  appliedRows
+    .filter(row => !migrations.some(migration => migration.version === row.version))
+    .forEach(row => entries.push({ version: row.version, name: row.name, state: "missing", appliedAt: row.applied_at }));
+
+  return entries.sort((a, b) => a.version - b.version);
+}
+
+// Refuse de continuer si une migration déjà appliquée a été modifiée ou supprimée
+function assertIntegrity(entries) {
+  const broken = entries.filter(entry => entry.state === "modified" || entry.state === "missing");
+
+  if (broken.length > 0) {
+    const list = broken.map(entry => `${entry.version}_${entry.name} (${entry.state})`).join(", ");
+    throw new Error(`Migrations appliquées incohérentes avec les fichiers: ${list}`);
+  }
+}
+
+// Applique toutes les migrations en attente, renvoie celles qui ont été appliquées
+async function migrate() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async connection => {
+    const appliedRows = await connection`SELECT * FROM schema_migrations ORDER BY version`;
+    const entries = computeStatus(migrations, appliedRows);
+    assertIntegrity(entries);
+
+    const pending = migrations.filter(migration =>
+      entries.some(entry => entry.version === migration.version && entry.state === "pending")
+    );
+
+    for (const migration of pending) {
+      await runInTransaction(connection, async () => {
+        await migration.up(connection);
+        await connection`
+          INSERT INTO schema_migrations (version, name, checksum)
+          VALUES (${migration.version}, ${migration.name}, ${migration.checksum})
+        `;
+      });
+      console.log(`🟢 Migration appliquée: ${migration.file}`);
+    }
+
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Annule la dernière migration appliquée, renvoie null s'il n'y en a aucune
+async function rollback() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async connection => {
+    const [last] = await connection`
+      SELECT * FROM schema_migrations ORDER BY version DESC LIMIT 1
+    `;
+
+    if (!last) {
+      return null;
+    }
+
+    const migration = migrations.find(m => m.version === last.version);
+
+    if (!migration) {
+      throw new Error(`Fichier introuvable pour la migration ${last.version}_${last.name}`);
+    }
+
+    if (migration.checksum !== last.checksum) {
+      throw new Error(`La migration ${migration.file} a été modifiée depuis son application`);
+    }
+
+    await runInTransaction(connection, async () => {
+      await migration.down(connection);
+      await connection`DELETE FROM schema_migrations WHERE version = ${migration.version}`;
+    });
+    console.log(`🟠 Migration annulée: ${migration.file}`);
+
+    return { version: migration.version, name: migration.name };
+  });
+}
+
+// État de chaque migration : applied, pending, modified ou missing
+async function status() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async connection => {
+    const appliedRows = await connection`SELECT * FROM schema_migrations ORDER BY version`;
+    return computeStatus(migrations, appliedRows);
+  });
+}
+
+// Crée un nouveau fichier de migration numéroté à la suite des existants
+function createMigration(name) {
+  const slug = String(name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+
+  if (!slug) {
+    throw new Error("Le nom de la migration est requis");
+  }
+
+  const migrations = loadMigrations();
+  const version = migrations.length > 0 ? migrations[migrations.length - 1].version + 1 : 1;
+  const file = `${String(version).padStart(3, "0")}_${slug}.js`;
+
+  fs.writeFileSync(path.join(MIGRATIONS_DIR, file), `async function up(sql) {
+}
+
+async function down(sql) {
+}
+
+module.exports = { up, down };
+`);
+
+  return file;
+}
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  createMigration
+};
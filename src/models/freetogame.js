@@ -0,0 +1,121 @@
+const z = require("zod");
+
+// Réponses de l'API FreeToGame, en snake_case, converties en modèle Game en camelCase (composant
+// Game de la documentation). Seuls l'id et le titre sont indispensables : un champ facultatif
+// absent ou mal formé devient null plutôt que de rejeter le jeu
+
+// Catégories (et tags) de jeux reconnues par l'API FreeToGame
+const GAME_CATEGORIES = [
+  "mmorpg", "shooter", "strategy", "moba", "racing", "sports", "social", "sandbox", "open-world", "survival",
+  "pvp", "pve", "pixel", "voxel", "zombie", "turn-based", "first-person", "third-person", "top-down", "tank",
+  "space", "sailing", "side-scroller", "superhero", "permadeath", "card", "battle-royale", "mmo", "mmofps",
+  "mmotps", "3d", "2d", "anime", "fantasy", "sci-fi", "fighting", "action-rpg", "action", "military",
+  "martial-arts", "flight", "low-spec", "tower-defense", "horror", "mmorts"
+];
+
+const RELEASE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Texte facultatif : chaîne non vide une fois nettoyée, sinon null
+const OptionalText = z.unknown().transform(value => typeof value === "string" && value.trim() ? value.trim() : null);
+
+// Date de sortie AAAA-MM-JJ, null si l'API n'en fournit pas de valide (ex: "0000-00-00")
+const ReleaseDate = z.unknown().transform(value =>
+  typeof value === "string" && RELEASE_DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : null
+);
+
+const UpstreamGameSchema = z.object({
+  id: z.coerce.number().int().positive(),
+  title: z.string().trim().min(1),
+  thumbnail: OptionalText,
+  short_description: OptionalText,
+  game_url: OptionalText,
+  genre: OptionalText,
+  platform: OptionalText,
+  publisher: OptionalText,
+  developer: OptionalText,
+  release_date: ReleaseDate,
+  freetogame_profile_url: OptionalText,
+});
+
+const UpstreamGameDetailSchema = UpstreamGameSchema.extend({
+  status: OptionalText,
+  description: OptionalText,
+  minimum_system_requirements: z.object({
+    os: OptionalText,
+    processor: OptionalText,
+    memory: OptionalText,
+    graphics: OptionalText,
+    storage: OptionalText,
+  }).nullable().catch(null),
+  // Captures d'écran ({ id, image }) réduites à leur URL, les entrées sans image sont ignorées
+  screenshots: z.unknown().transform(value => Array.isArray(value)
+    ? value.map(screenshot => screenshot && screenshot.image).filter(image => typeof image === "string" && image)
+    : []),
+});
+
+function toGame(game) {
+  return {
+    id: game.id,
+    title: game.title,
+    thumbnail: game.thumbnail,
+    shortDescription: game.short_description,
+    gameUrl: game.game_url,
+    genre: game.genre,
+    platform: game.platform,
+    publisher: game.publisher,
+    developer: game.developer,
+    releaseDate: game.release_date,
+    profileUrl: game.freetogame_profile_url
+  };
+}
+
+function toGameDetail(game) {
+  return {
+    ...toGame(game),
+    status: game.status,
+    description: game.description,
+    minimumSystemRequirements: game.minimum_system_requirements,
+    screenshots: game.screenshots
+  };
+}
+
+// Liste de jeux de /games ou /filter : les entrées invalides sont écartées et journalisées,
+// le reste de la liste est conservé. Renvoie null si la réponse n'est pas une liste
+function parseGameList(data) {
+  if (!Array.isArray(data)) {
+    return null;
+  }
+
+  const games = [];
+
+  data.forEach((entry, index) => {
+    const result = UpstreamGameSchema.safeParse(entry);
+
+    if (result.success) {
+      games.push(toGame(result.data));
+    } else {
+      const issues = result.error.errors.map(issue => `${issue.path.join(".")}: ${issue.message}`).join(", ");
+      console.warn(`🟠 Jeu FreeToGame invalide écarté (entrée ${index}, id ${entry && entry.id}): ${issues}`);
+    }
+  });
+
+  return games;
+}
+
+// Détail d'un jeu de /game, null si la réponse n'est pas un jeu valide
+function parseGameDetail(data) {
+  const result = UpstreamGameDetailSchema.safeParse(data);
+
+  if (!result.success) {
+    console.warn(`🟠 Détail de jeu FreeToGame invalide: ${result.error.errors.map(issue => issue.path.join(".")).join(", ")}`);
+    return null;
+  }
+
+  return toGameDetail(result.data);
+}
+
+module.exports = {
+  GAME_CATEGORIES,
+  parseGameList,
+  parseGameDetail
+};
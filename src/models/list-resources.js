@@ -0,0 +1,158 @@
+// Paramètres de liste autorisés pour chaque ressource : champs filtrables avec leur type et leurs
+// opérateurs, champs triables, tri par défaut et champs sélectionnables avec fields=.
+// alias préfixe les colonnes quand la requête de liste fait des jointures
+
+const USER_LIST = {
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    username: { type: "string", operators: ["eq", "in", "like"] },
+    role: { type: "string", operators: ["eq", "in"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    updated_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "username", "role", "created_at", "updated_at"],
+  defaultSort: "id",
+  fields: ["id", "username", "email", "role", "created_at", "updated_at"]
+};
+
+const ORDER_LIST = {
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    user_id: { type: "integer", operators: ["eq", "in"] },
+    status: { type: "string", operators: ["eq", "in"] },
+    country: { type: "string", operators: ["eq", "in"] },
+    coupon_code: { type: "string", operators: ["eq", "in"] },
+    subtotal: { type: "number", operators: ["eq", "gte", "lte"] },
+    total: { type: "number", operators: ["eq", "gte", "lte"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    updated_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "user_id", "status", "country", "subtotal", "total", "created_at", "updated_at"],
+  defaultSort: "-created_at",
+  fields: [
+    "id", "user_id", "status", "country", "coupon_code", "subtotal", "discount_total", "tax_total", "total",
+    "tax_breakdown", "created_at", "updated_at", "user", "items"
+  ]
+};
+
+const REVIEW_LIST = {
+  alias: "r",
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    user_id: { type: "integer", operators: ["eq", "in"] },
+    product_id: { type: "integer", operators: ["eq", "in"] },
+    score: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+    content: { type: "string", operators: ["like"] },
+    status: { type: "string", operators: ["eq", "in"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    updated_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "user_id", "product_id", "score", "created_at", "updated_at"],
+  defaultSort: "-created_at",
+  fields: [
+    "id", "user_id", "product_id", "score", "content", "status", "rejection_reason", "moderated_by", "moderated_at",
+    "created_at", "updated_at", "username", "email", "product_name"
+  ]
+};
+
+// File de modération : avis en attente, du plus ancien au plus récent, avec leurs signalements en attente
+const REVIEW_QUEUE_LIST = {
+  alias: "r",
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    user_id: { type: "integer", operators: ["eq", "in"] },
+    product_id: { type: "integer", operators: ["eq", "in"] },
+    score: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    updated_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "user_id", "product_id", "score", "created_at", "updated_at"],
+  defaultSort: "created_at",
+  fields: [...REVIEW_LIST.fields, "report_count", "reports"]
+};
+
+const COUPON_LIST = {
+  alias: "c",
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    code: { type: "string", operators: ["eq", "in", "like"] },
+    type: { type: "string", operators: ["eq", "in"] },
+    value: { type: "number", operators: ["eq", "gte", "lte"] },
+    active: { type: "boolean", operators: ["eq"] },
+    starts_at: { type: "date", operators: ["gte", "lte"] },
+    ends_at: { type: "date", operators: ["gte", "lte"] },
+    created_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "code", "value", "starts_at", "ends_at", "created_at"],
+  defaultSort: "-created_at",
+  fields: [
+    "id", "code", "description", "type", "value", "product_ids", "min_basket", "starts_at", "ends_at", "max_uses",
+    "max_uses_per_user", "active", "uses", "created_at", "updated_at"
+  ]
+};
+
+// Registre des mouvements de stock d'un produit, du plus récent au plus ancien
+const STOCK_MOVEMENT_LIST = {
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    type: { type: "string", operators: ["eq", "in"] },
+    order_id: { type: "integer", operators: ["eq", "in"] },
+    created_by: { type: "integer", operators: ["eq", "in"] },
+    quantity: { type: "integer", operators: ["gte", "lte"] },
+    created_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "quantity", "created_at"],
+  defaultSort: "-id",
+  fields: ["id", "product_id", "quantity", "stock_after", "type", "order_id", "created_by", "reason", "created_at"]
+};
+
+const USER_GAME_LIST = {
+  filters: {
+    game_id: { type: "integer", operators: ["eq", "in"] },
+    status: { type: "string", operators: ["eq", "in"] },
+    hours_played: { type: "number", operators: ["gte", "lte"] },
+    rating: { type: "integer", operators: ["eq", "in", "gte", "lte"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    updated_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["game_id", "status", "hours_played", "rating", "created_at", "updated_at"],
+  defaultSort: "-updated_at",
+  fields: ["id", "user_id", "game_id", "status", "hours_played", "rating", "created_at", "updated_at", "game"]
+};
+
+// name, about et price sont les paramètres de la recherche plein texte de GET /products
+const PRODUCT_LIST = {
+  filters: {
+    id: { type: "integer", operators: ["eq", "in"] },
+    price: { type: "number", operators: ["gte", "lte"] },
+    stock: { type: "integer", operators: ["eq", "gte", "lte"] },
+    total_score: { type: "number", operators: ["gte", "lte"] },
+    tax_class: { type: "string", operators: ["eq", "in"] },
+    created_at: { type: "date", operators: ["gte", "lte"] },
+    external_source: { type: "string", operators: ["eq", "in"] },
+    external_id: { type: "string", operators: ["eq", "in"] },
+    genre: { type: "string", operators: ["eq", "in"] },
+    platform: { type: "string", operators: ["eq", "in", "like"] },
+    publisher: { type: "string", operators: ["eq", "in", "like"] },
+    release_date: { type: "date", operators: ["gte", "lte"] },
+    retired: { type: "boolean", operators: ["eq"] }
+  },
+  sort: ["id", "name", "price", "stock", "total_score", "created_at", "release_date"],
+  defaultSort: "id",
+  fields: [
+    "id", "name", "about", "price", "created_at", "reviews_ids", "total_score", "stock", "tax_class",
+    "external_source", "external_id", "genre", "platform", "publisher", "thumbnail", "release_date", "retired", "synced_at",
+    "rank", "highlight"
+  ]
+};
+
+module.exports = {
+  USER_LIST,
+  ORDER_LIST,
+  REVIEW_LIST,
+  REVIEW_QUEUE_LIST,
+  PRODUCT_LIST,
+  COUPON_LIST,
+  STOCK_MOVEMENT_LIST,
+  USER_GAME_LIST
+};
@@ -1,65 +1,357 @@
 const z = require("zod");
+const { ALL_ROLES } = require("../utils/policies");
+const { ORDER_STATUSES } = require("../utils/order-status");
+const { MAX_AMOUNT_CENTS, hasCentPrecision, fromCents } = require("../utils/money");
+const { GAME_CATEGORIES } = require("./freetogame");
+
+// Les messages sont des codes du catalogue src/locales (section validation), traduits dans la langue
+// du client par le middleware d'erreur avec les paramètres de l'erreur Zod (ex: {minimum})
+
+// Message d'une valeur hors de l'énumération ; les autres erreurs (ex: champ absent) gardent le message par défaut
+function enumError(code) {
+  return (issue, ctx) => ({ message: issue.code === "invalid_enum_value" ? code : ctx.defaultError });
+}
+
+// Identifiant numérique d'une ressource dans le chemin (ex: /products/:id), reçu sous forme de texte
+const IdSchema = z.coerce.number({ invalid_type_error: "ID_INVALID" })
+  .int("ID_INVALID")
+  .positive("ID_INVALID")
+  .max(2147483647, "ID_INVALID");
+
+// Paramètres de chemin des routes /:id
+const IdParamsSchema = z.object({
+  id: IdSchema,
+});
+
+// Montant en euros : strictement positif, au centime près (voir src/utils/money.js)
+const PriceSchema = z.number()
+  .positive("PRICE_NOT_POSITIVE")
+  .max(fromCents(MAX_AMOUNT_CENTS), "PRICE_TOO_HIGH")
+  .refine(hasCentPrecision, "PRICE_PRECISION");
 
 // Schemas pour les produits
 const ProductSchema = z.object({
-  name: z.string().min(1, "Le nom est requis"),
-  about: z.string().min(1, "La description est requise"),
-  price: z.number().positive("Le prix doit être positif"),
+  name: z.string().min(1, "NAME_REQUIRED"),
+  about: z.string().min(1, "DESCRIPTION_REQUIRED"),
+  price: PriceSchema,
+  tax_class: z.string().min(1, "TAX_CLASS_EMPTY").default("standard")
+    .describe("Classe de taxe déterminant le taux de TVA appliqué (voir GET /tax/classes)"),
+});
+
+// Schema pour la mise à jour partielle d'un produit
+const ProductPartialUpdateSchema = ProductSchema.partial();
+
+// Colonnes calculées automatiquement à partir des avis, ou du registre de stock pour stock,
+// jamais modifiables directement par le client
+const PRODUCT_DERIVED_FIELDS = ["reviews_ids", "total_score", "stock"];
+
+// Schema pour un ajustement manuel de stock (réassort, casse, inventaire...)
+const StockAdjustmentSchema = z.object({
+  quantity: z.number().int("QUANTITY_NOT_INTEGER").refine(quantity => quantity !== 0, "QUANTITY_ZERO"),
+  reason: z.string().min(1, "REASON_REQUIRED").max(500, "REASON_TOO_LONG"),
 });
 
+// Paramètres de recherche de GET /products : q porte sur le nom et la description, name et about
+// sur un seul champ ; price est l'ancien nom de maxPrice. Les autres paramètres (filtres, tri,
+// pagination) sont conservés pour parseListQuery et parsePagination
+const ProductSearchSchema = z.object({
+  q: z.string().max(200, "SEARCH_TOO_LONG").optional().describe("Recherche dans le nom et la description"),
+  name: z.string().max(200, "SEARCH_TOO_LONG").optional().describe("Recherche dans le nom uniquement"),
+  about: z.string().max(200, "SEARCH_TOO_LONG").optional().describe("Recherche dans la description uniquement"),
+  minPrice: z.coerce.number().min(0, "MIN_PRICE_NEGATIVE").optional().describe("Prix minimum (inclus)"),
+  maxPrice: z.coerce.number().min(0, "MAX_PRICE_NEGATIVE").optional().describe("Prix maximum (inclus)"),
+  price: z.coerce.number().min(0, "MAX_PRICE_NEGATIVE").optional().describe("Ancien nom de maxPrice"),
+}).passthrough().transform(({ price, ...filters }) => ({ ...filters, maxPrice: filters.maxPrice ?? price }))
+  .refine(
+    ({ minPrice, maxPrice }) => minPrice === undefined || maxPrice === undefined || minPrice <= maxPrice,
+    { message: "PRICE_RANGE_INVALID", path: ["minPrice"] }
+  );
+
 // Schemas pour les utilisateurs
 const UserSchema = z.object({
-  username: z.string().min(3, "Le nom d'utilisateur doit contenir au moins 3 caractères"),
-  email: z.string().email("Format d'email invalide"),
-  password: z.string().min(6, "Le mot de passe doit contenir au moins 6 caractères"),
+  username: z.string().min(3, "USERNAME_TOO_SHORT"),
+  email: z.string().email("EMAIL_INVALID"),
+  password: z.string().min(6, "PASSWORD_TOO_SHORT"),
 });
 
 // Schema pour la mise à jour complète d'un utilisateur
 const UserUpdateSchema = z.object({
-  username: z.string().min(3, "Le nom d'utilisateur doit contenir au moins 3 caractères").optional(),
-  email: z.string().email("Format d'email invalide").optional(),
-  password: z.string().min(6, "Le mot de passe doit contenir au moins 6 caractères").optional(),
+  username: z.string().min(3, "USERNAME_TOO_SHORT").optional(),
+  email: z.string().email("EMAIL_INVALID").optional(),
+  password: z.string().min(6, "PASSWORD_TOO_SHORT").optional(),
 });
 
 // Schema pour la mise à jour partielle d'un utilisateur
 const UserPartialUpdateSchema = z.object({
-  username: z.string().min(3, "Le nom d'utilisateur doit contenir au moins 3 caractères").optional(),
-  email: z.string().email("Format d'email invalide").optional(),
-  password: z.string().min(6, "Le mot de passe doit contenir au moins 6 caractères").optional(),
+  username: z.string().min(3, "USERNAME_TOO_SHORT").optional(),
+  email: z.string().email("EMAIL_INVALID").optional(),
+  password: z.string().min(6, "PASSWORD_TOO_SHORT").optional(),
+});
+
+// Schema pour le changement de rôle d'un utilisateur (réservé aux administrateurs)
+const UserRoleSchema = z.object({
+  role: z.enum(ALL_ROLES, { errorMap: enumError("ROLE_INVALID") }),
+});
+
+// Schema pour la connexion d'un utilisateur
+const LoginSchema = z.object({
+  username: z.string().min(1, "USERNAME_REQUIRED"),
+  password: z.string().min(1, "PASSWORD_REQUIRED"),
+});
+
+// Schema pour une ligne de commande
+const OrderItemSchema = z.object({
+  productId: z.number().int().positive("PRODUCT_ID_INVALID"),
+  quantity: z.number().int().positive("QUANTITY_NOT_POSITIVE").default(1),
 });
 
-// Schemas pour les commandes
+// Liste de lignes de commande, les produits en double sont regroupés en une seule ligne
+const OrderItemsSchema = z.array(OrderItemSchema)
+  .min(1, "ITEMS_REQUIRED")
+  .describe("Lignes de commande (un même produit présent plusieurs fois est regroupé)")
+  .transform(items => Object.values(items.reduce((merged, { productId, quantity }) => {
+    merged[productId] = { productId, quantity: (merged[productId]?.quantity || 0) + quantity };
+    return merged;
+  }, {})));
+
+// Pays de livraison, dont les taux de TVA s'appliquent à la commande
+const CountrySchema = z.string()
+  .regex(/^[A-Za-z]{2}$/, "COUNTRY_INVALID")
+  .describe("Pays de livraison (code ISO à 2 lettres), dont les taux de TVA s'appliquent")
+  .transform(country => country.toUpperCase());
+
+// Code promo, comparé sans tenir compte de la casse
+const CouponCodeSchema = z.string()
+  .regex(/^[A-Za-z0-9_-]{3,50}$/, "COUPON_CODE_INVALID")
+  .describe("Code promo, dont la remise est déduite du montant hors taxes avant TVA")
+  .transform(code => code.toUpperCase());
+
+// Schemas pour les commandes (l'utilisateur est celui du jeton d'authentification)
 const OrderSchema = z.object({
-  userId: z.number().int().positive("L'ID utilisateur doit être un entier positif"),
-  productIds: z.array(z.number().int().positive("L'ID produit doit être un entier positif")).min(1, "Au moins un produit est requis"),
+  items: OrderItemsSchema,
+  country: CountrySchema.optional(),
+  couponCode: CouponCodeSchema.optional(),
 });
 
+// Seuls les lignes, le pays de livraison et le code promo (null pour le retirer) sont modifiables,
+// le statut passe par POST /orders/:id/transitions
 const OrderUpdateSchema = z.object({
-  userId: z.number().int().positive("L'ID utilisateur doit être un entier positif").optional(),
-  productIds: z.array(z.number().int().positive("L'ID produit doit être un entier positif")).min(1, "Au moins un produit est requis").optional(),
-  payment: z.boolean().optional(),
+  items: OrderItemsSchema.optional(),
+  country: CountrySchema.optional()
+    .describe("Nouveau pays de livraison ; sans nouvelles lignes, les lignes actuelles sont recalculées"),
+  couponCode: CouponCodeSchema.nullable().optional()
+    .describe("Nouveau code promo, null pour retirer celui de la commande ; le code conservé est revérifié"),
+});
+
+// Schemas pour les paniers : ajout d'un produit, changement de quantité et passage en commande
+const CartItemSchema = OrderItemSchema;
+
+// Paramètres de chemin des routes /carts/:id/items/:productId
+const CartItemParamsSchema = z.object({
+  id: IdSchema,
+  productId: IdSchema,
+});
+
+// Pays de livraison de l'aperçu des prix renvoyé avec le panier
+const CartPreviewQuerySchema = z.object({
+  country: CountrySchema.optional().describe("Pays de livraison de l'aperçu des prix (TAX_DEFAULT_COUNTRY par défaut)"),
+});
+
+const CartItemUpdateSchema = z.object({
+  quantity: z.number().int().positive("QUANTITY_NOT_POSITIVE"),
+});
+
+const CartCheckoutSchema = z.object({
+  country: CountrySchema.optional(),
+  couponCode: CouponCodeSchema.optional(),
+});
+
+// Fusion d'un panier anonyme, désigné par son jeton, dans le panier de l'utilisateur
+const CartMergeSchema = z.object({
+  token: z.string().regex(/^[a-f0-9]{64}$/, "CART_TOKEN_INVALID").describe("Jeton du panier anonyme"),
+});
+
+const COUPON_TYPES = ["percentage", "fixed"];
+
+// Champs d'un code promo : value est un pourcentage (15 = 15 %) ou un montant hors taxes en euros,
+// productIds limite la remise à certains produits (toute la commande si vide)
+const CouponFieldsSchema = z.object({
+  code: CouponCodeSchema,
+  description: z.string().max(500, "DESCRIPTION_TOO_LONG").nullable().optional(),
+  type: z.enum(COUPON_TYPES, { errorMap: enumError("COUPON_TYPE_INVALID") }),
+  value: z.number()
+    .positive("COUPON_VALUE_NOT_POSITIVE")
+    .max(fromCents(MAX_AMOUNT_CENTS), "COUPON_VALUE_TOO_HIGH")
+    .refine(hasCentPrecision, "COUPON_VALUE_PRECISION"),
+  productIds: z.array(z.number().int().positive("PRODUCT_ID_INVALID")).default([]),
+  minBasket: z.number()
+    .min(0, "MIN_BASKET_NEGATIVE")
+    .max(fromCents(MAX_AMOUNT_CENTS), "MIN_BASKET_TOO_HIGH")
+    .refine(hasCentPrecision, "MIN_BASKET_PRECISION")
+    .default(0),
+  startsAt: z.string().datetime({ offset: true, message: "STARTS_AT_INVALID" }).nullable().optional(),
+  endsAt: z.string().datetime({ offset: true, message: "ENDS_AT_INVALID" }).nullable().optional(),
+  maxUses: z.number().int().positive("MAX_USES_INVALID").nullable().optional(),
+  maxUsesPerUser: z.number().int().positive("MAX_USES_PER_USER_INVALID").nullable().optional(),
+  active: z.boolean().default(true),
+});
+
+// Schema pour un code promo, avec les contrôles qui portent sur plusieurs champs
+const CouponSchema = CouponFieldsSchema.superRefine((coupon, ctx) => {
+  if (coupon.type === "percentage" && coupon.value > 100) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["value"], message: "PERCENTAGE_TOO_HIGH" });
+  }
+
+  if (coupon.startsAt && coupon.endsAt && new Date(coupon.endsAt) <= new Date(coupon.startsAt)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ["endsAt"], message: "END_BEFORE_START" });
+  }
+});
+
+// Schema pour la mise à jour partielle d'un code promo, revalidé avec CouponSchema une fois
+// fusionné avec le code promo existant
+const CouponUpdateSchema = CouponFieldsSchema.partial();
+
+// Schema pour un changement de statut de commande
+const OrderTransitionSchema = z.object({
+  status: z.enum(ORDER_STATUSES, { errorMap: enumError("ORDER_STATUS_INVALID") }),
+  reason: z.string().max(500, "REASON_TOO_LONG").optional(),
 });
 
-// Schemas pour les avis
+// Schema pour une classe de taxe
+const TaxClassSchema = z.object({
+  code: z.string().regex(/^[a-z0-9_]{1,30}$/, "TAX_CLASS_CODE_INVALID"),
+  name: z.string().min(1, "NAME_REQUIRED").max(100, "NAME_TOO_LONG"),
+});
+
+// Schema pour un taux de TVA, valable de validFrom inclus à validTo exclu (sans fin si absent)
+const TaxRateSchema = z.object({
+  country: CountrySchema,
+  taxClass: z.string().min(1, "TAX_CLASS_REQUIRED"),
+  rate: z.number().min(0, "RATE_OUT_OF_RANGE").lt(1, "RATE_OUT_OF_RANGE"),
+  validFrom: z.string().date("VALID_FROM_INVALID"),
+  validTo: z.string().date("VALID_TO_INVALID").optional(),
+}).refine(rate => !rate.validTo || rate.validTo > rate.validFrom, {
+  message: "END_BEFORE_START",
+  path: ["validTo"],
+});
+
+// Filtres de GET /tax/rates
+const TaxRateQuerySchema = z.object({
+  country: CountrySchema.optional().describe("Code pays ISO à 2 lettres"),
+  date: z.string().date("DATE_INVALID").optional().describe("Ne renvoie que les taux en vigueur à cette date"),
+});
+
+// Schemas pour les avis (l'auteur est celui du jeton d'authentification)
 const ReviewSchema = z.object({
-  userId: z.number().int().positive("L'ID utilisateur doit être un entier positif"),
-  productId: z.number().int().positive("L'ID produit doit être un entier positif"),
-  score: z.number().int().min(1, "Le score doit être au moins 1").max(5, "Le score doit être au maximum 5"),
-  content: z.string().min(1, "Le contenu de l'avis est requis").max(1000, "Le contenu ne peut pas dépasser 1000 caractères"),
+  productId: z.number().int().positive("PRODUCT_ID_INVALID"),
+  score: z.number().int().min(1, "SCORE_TOO_LOW").max(5, "SCORE_TOO_HIGH"),
+  content: z.string().min(1, "CONTENT_REQUIRED").max(1000, "CONTENT_TOO_LONG"),
 });
 
 const ReviewUpdateSchema = z.object({
-  score: z.number().int().min(1, "Le score doit être au moins 1").max(5, "Le score doit être au maximum 5").optional(),
-  content: z.string().min(1, "Le contenu de l'avis est requis").max(1000, "Le contenu ne peut pas dépasser 1000 caractères").optional(),
+  score: z.number().int().min(1, "SCORE_TOO_LOW").max(5, "SCORE_TOO_HIGH").optional(),
+  content: z.string().min(1, "CONTENT_REQUIRED").max(1000, "CONTENT_TOO_LONG").optional(),
+});
+
+// Décision d'un modérateur sur un avis : le motif est obligatoire pour un refus
+const REVIEW_MODERATION_STATUSES = ["approved", "rejected"];
+
+const ReviewModerationSchema = z.object({
+  status: z.enum(REVIEW_MODERATION_STATUSES, { errorMap: enumError("REVIEW_STATUS_INVALID") }),
+  reason: z.string().trim().min(1, "REASON_REQUIRED").max(500, "REASON_TOO_LONG").optional()
+    .describe("Motif du refus, affiché à l'auteur de l'avis"),
+}).refine(decision => decision.status !== "rejected" || decision.reason, {
+  message: "REJECTION_REASON_REQUIRED",
+  path: ["reason"],
+});
+
+// Signalement d'abus sur un avis
+const ReviewReportSchema = z.object({
+  reason: z.string().trim().min(1, "REASON_REQUIRED").max(500, "REASON_TOO_LONG"),
+});
+
+// Filtres de GET /f2p-games, transmis à l'API FreeToGame
+// Les catégories et tags sont vérifiés avant d'appeler l'API FreeToGame, sans tenir compte de la casse
+const toLowerCase = value => typeof value === "string" ? value.trim().toLowerCase() : value;
+
+const F2PGameQuerySchema = z.object({
+  platform: z.enum(["pc", "browser", "all"], { errorMap: enumError("PLATFORM_INVALID") }).optional()
+    .describe("Plateforme des jeux"),
+  category: z.preprocess(toLowerCase, z.enum(GAME_CATEGORIES, { errorMap: enumError("CATEGORY_INVALID") })).optional()
+    .describe("Catégorie des jeux"),
+  sortBy: z.enum(["release-date", "popularity", "alphabetical", "relevance"], { errorMap: enumError("SORT_BY_INVALID") }).optional()
+    .describe("Méthode de tri"),
+  tag: z.preprocess(toLowerCase, z.string().refine(
+    tags => tags.split(".").every(tag => GAME_CATEGORIES.includes(tag)),
+    "TAG_INVALID"
+  )).optional().describe("Tags multiples séparés par des points, parmi les catégories (ex: 3d.mmorpg.fantasy.pvp)"),
+});
+
+// Bibliothèque de jeux d'un utilisateur : jeu FreeToGame, statut, heures de jeu et note personnelle
+const USER_GAME_STATUSES = ["wishlist", "playing", "completed", "dropped"];
+
+// Paramètres de chemin des routes /users/:id/games/:gameId
+const UserGameParamsSchema = z.object({
+  id: IdSchema,
+  gameId: IdSchema,
+});
+
+const UserGameFieldsSchema = z.object({
+  status: z.enum(USER_GAME_STATUSES, { errorMap: enumError("GAME_STATUS_INVALID") }),
+  hoursPlayed: z.number().min(0, "HOURS_PLAYED_NEGATIVE").max(100000, "HOURS_PLAYED_TOO_HIGH")
+    .multipleOf(0.1, "HOURS_PLAYED_PRECISION")
+    .describe("Heures de jeu, au dixième d'heure près"),
+  rating: z.number().int("RATING_INVALID").min(1, "RATING_INVALID").max(5, "RATING_INVALID").nullable()
+    .describe("Note personnelle de 1 à 5, null pour la retirer"),
+});
+
+const UserGameSchema = UserGameFieldsSchema.partial().extend({
+  gameId: z.number().int().positive("GAME_ID_INVALID").describe("Identifiant du jeu dans l'API FreeToGame (voir GET /f2p-games)"),
+  status: UserGameFieldsSchema.shape.status.default("wishlist"),
+});
+
+const UserGameUpdateSchema = UserGameFieldsSchema.partial();
+
+// Taille des classements de GET /f2p-games/rankings
+const GameRankingsQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1, "LIMIT_INVALID").max(50, "LIMIT_INVALID").default(10)
+    .describe("Nombre de jeux de chaque classement"),
 });
 
 module.exports = {
+  IdParamsSchema,
   ProductSchema,
+  ProductPartialUpdateSchema,
+  PRODUCT_DERIVED_FIELDS,
+  StockAdjustmentSchema,
+  ProductSearchSchema,
   UserSchema,
   UserUpdateSchema,
   UserPartialUpdateSchema,
+  UserRoleSchema,
+  LoginSchema,
   OrderSchema,
   OrderUpdateSchema,
+  OrderTransitionSchema,
+  CartItemSchema,
+  CartItemParamsSchema,
+  CartPreviewQuerySchema,
+  CartItemUpdateSchema,
+  CartCheckoutSchema,
+  CartMergeSchema,
+  CouponSchema,
+  CouponUpdateSchema,
+  TaxClassSchema,
+  TaxRateSchema,
+  TaxRateQuerySchema,
   ReviewSchema,
-  ReviewUpdateSchema
+  ReviewUpdateSchema,
+  ReviewModerationSchema,
+  ReviewReportSchema,
+  F2PGameQuerySchema,
+  USER_GAME_STATUSES,
+  UserGameParamsSchema,
+  UserGameSchema,
+  UserGameUpdateSchema,
+  GameRankingsQuerySchema
 }; 
\ No newline at end of file
@@ -0,0 +1,97 @@
+const express = require("express");
+const router = express.Router();
+const { sql } = require("../config/database");
+const { LoginSchema } = require("../models/schemas");
+const { verifyUserPassword } = require("../utils/helpers");
+const { signToken, JWT_EXPIRES_IN } = require("../utils/jwt");
+const { authenticate } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { UnauthorizedError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Connecte un utilisateur
+ *     description: Vérifie les identifiants et renvoie un jeton d'accès signé à transmettre dans l'en-tête Authorization
+ *     tags: [Authentification]
+ *     responses:
+ *       200:
+ *         description: Connexion réussie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 3600
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         description: Identifiants invalides
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Connexion d'un utilisateur et émission d'un jeton d'accès
+router.post("/login", validate({ body: LoginSchema }), async (req, res) => {
+  const { username, password } = req.body;
+
+  const [user] = await sql`
+    SELECT id, username, email, role, password_hash, created_at, updated_at
+    FROM users WHERE username = ${username}
+  `;
+
+  // Même message que l'utilisateur existe ou non pour ne pas révéler les comptes
+  // (les anciens hash SHA512 sont mis à niveau vers scrypt lors de cette vérification)
+  if (!user || !(await verifyUserPassword(user, password))) {
+    throw new UnauthorizedError("INVALID_CREDENTIALS");
+  }
+
+  const { password_hash, ...publicUser } = user;
+  const accessToken = signToken({ sub: String(user.id), username: user.username });
+
+  res.json({
+    accessToken,
+    tokenType: "Bearer",
+    expiresIn: JWT_EXPIRES_IN,
+    user: publicUser
+  });
+});
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Récupère l'utilisateur connecté
+ *     description: Renvoie l'utilisateur correspondant au jeton d'accès fourni
+ *     tags: [Authentification]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Utilisateur authentifié
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+// Récupération de l'utilisateur authentifié
+router.get("/me", authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,545 @@
+const express = require("express");
+const crypto = require("crypto");
+const router = express.Router();
+const config = require("../config");
+const { sql } = require("../config/database");
+const {
+  IdParamsSchema,
+  CartItemSchema,
+  CartItemParamsSchema,
+  CartPreviewQuerySchema,
+  CartItemUpdateSchema,
+  CartCheckoutSchema,
+  CartMergeSchema
+} = require("../models/schemas");
+const { authenticate, optionalAuthenticate } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../utils/transaction");
+const { priceOrder, placeOrder } = require("../utils/checkout");
+const { resolveTaxRates, computeLineAmounts } = require("../utils/tax");
+const { toCents, fromCents } = require("../utils/money");
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require("../utils/errors");
+
+// En-tête portant le jeton d'un panier anonyme
+const CART_TOKEN_HEADER = "X-Cart-Token";
+
+/**
+ * @swagger
+ * /carts:
+ *   post:
+ *     summary: Crée ou récupère un panier
+ *     description: |
+ *       Authentifié, renvoie le panier de l'utilisateur (créé au besoin, un seul panier par utilisateur).
+ *       Sans authentification, crée un panier anonyme et renvoie son jeton `token`, à transmettre ensuite dans
+ *       l'en-tête `X-Cart-Token`. Un panier anonyme expire après `CART_ANONYMOUS_TTL_HOURS` heures sans modification.
+ *     tags: [Paniers]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier existant de l'utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       201:
+ *         description: Panier créé (avec son jeton s'il est anonyme)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Cart'
+ *                 - type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: Jeton du panier anonyme, renvoyé une seule fois
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Création d'un panier anonyme, ou récupération du panier de l'utilisateur authentifié. Le pays de
+// l'aperçu est validé avant la création, pour ne pas perdre le jeton d'un panier anonyme
+router.post("/", optionalAuthenticate, validate({ query: CartPreviewQuerySchema }), async (req, res) => {
+  const country = previewCountry(req);
+
+  if (req.user) {
+    const [createdCart] = await sql`
+      INSERT INTO carts (user_id) VALUES (${req.user.id})
+      ON CONFLICT (user_id) DO NOTHING
+      RETURNING *
+    `;
+    const cart = createdCart || (await sql`SELECT * FROM carts WHERE user_id = ${req.user.id}`)[0];
+
+    return respondWithCart(res, cart, country, createdCart ? 201 : 200);
+  }
+
+  // Les paniers anonymes expirés sont supprimés à la création des nouveaux
+  await purgeExpiredCarts();
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const [cart] = await sql`
+    INSERT INTO carts (token_hash, expires_at)
+    VALUES (${hashCartToken(token)}, NOW() + make_interval(hours => ${config.carts.anonymousTtlHours}))
+    RETURNING *
+  `;
+
+  await respondWithCart(res, cart, country, 201, { token });
+});
+
+/**
+ * @swagger
+ * /carts/merge:
+ *   post:
+ *     summary: Fusionne un panier anonyme dans le panier de l'utilisateur
+ *     description: |
+ *       À appeler après la connexion : les produits du panier anonyme sont ajoutés au panier de l'utilisateur
+ *       (les quantités d'un même produit s'additionnent), puis le panier anonyme est supprimé.
+ *     tags: [Paniers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Panier de l'utilisateur après fusion
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Fusion d'un panier anonyme dans le panier de l'utilisateur authentifié
+router.post("/merge", authenticate, validate({ query: CartPreviewQuerySchema, body: CartMergeSchema }), async (req, res) => {
+  const { token } = req.body;
+  const country = previewCountry(req);
+
+  const cart = await withTransaction(async tx => {
+    const [anonymousCart] = await tx`
+      SELECT * FROM carts
+      WHERE token_hash = ${hashCartToken(token)} AND expires_at > NOW()
+      FOR UPDATE
+    `;
+
+    if (!anonymousCart) {
+      throw new NotFoundError("ANONYMOUS_CART_NOT_FOUND");
+    }
+
+    await tx`
+      INSERT INTO carts (user_id) VALUES (${req.user.id})
+      ON CONFLICT (user_id) DO NOTHING
+    `;
+    const [cart] = await tx`
+      SELECT * FROM carts WHERE user_id = ${req.user.id} FOR UPDATE
+    `;
+
+    await tx`
+      INSERT INTO cart_items (cart_id, product_id, quantity, added_at)
+      SELECT ${cart.id}, product_id, quantity, added_at FROM cart_items WHERE cart_id = ${anonymousCart.id}
+      ON CONFLICT (cart_id, product_id) DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity
+    `;
+    await tx`DELETE FROM carts WHERE id = ${anonymousCart.id}`;
+
+    return touchCart(cart.id, tx);
+  });
+
+  await respondWithCart(res, cart, country);
+});
+
+/**
+ * @swagger
+ * /carts/{id}:
+ *   get:
+ *     summary: Récupère un panier avec l'aperçu des prix
+ *     description: |
+ *       Renvoie les produits du panier avec leur prix actuel, la TVA du pays de livraison et les totaux,
+ *       calculés comme pour une commande. Le panier d'un utilisateur n'est accessible qu'à lui,
+ *       un panier anonyme à qui présente son jeton dans l'en-tête `X-Cart-Token`.
+ *     tags: [Paniers]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Panier trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération d'un panier avec l'aperçu des prix et de la TVA
+router.get("/:id", optionalAuthenticate, validate({ params: IdParamsSchema, query: CartPreviewQuerySchema }), async (req, res) => {
+  const country = previewCountry(req);
+  const cart = await findCart(req, req.params.id);
+
+  await respondWithCart(res, cart, country);
+});
+
+/**
+ * @swagger
+ * /carts/{id}/items:
+ *   post:
+ *     summary: Ajoute un produit au panier
+ *     description: Si le produit est déjà dans le panier, la quantité ajoutée s'additionne à la quantité actuelle
+ *     tags: [Paniers]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Produit retiré du catalogue
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Ajout d'un produit au panier
+router.post("/:id/items", optionalAuthenticate, validate({ params: IdParamsSchema, query: CartPreviewQuerySchema, body: CartItemSchema }), async (req, res) => {
+  const { productId, quantity } = req.body;
+  const country = previewCountry(req);
+  const cart = await findCart(req, req.params.id);
+
+  const [product] = await sql`
+    SELECT id, tax_class, retired FROM products WHERE id = ${productId}
+  `;
+
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND");
+  }
+
+  // Un produit retiré du catalogue externe ne peut plus être commandé
+  if (product.retired) {
+    throw new ConflictError("PRODUCT_RETIRED");
+  }
+
+  // Un produit sans taux de TVA dans le pays de livraison ne pourrait pas être commandé
+  const { missing } = await resolveTaxRates(country, [product]);
+
+  if (missing.length > 0) {
+    throw new BadRequestError("TAX_RATE_MISSING", { country, taxClasses: missing });
+  }
+
+  await sql`
+    INSERT INTO cart_items (cart_id, product_id, quantity)
+    VALUES (${cart.id}, ${productId}, ${quantity})
+    ON CONFLICT (cart_id, product_id) DO UPDATE SET quantity = cart_items.quantity + EXCLUDED.quantity
+  `;
+
+  await respondWithCart(res, await touchCart(cart.id), country);
+});
+
+/**
+ * @swagger
+ * /carts/{id}/items/{productId}:
+ *   patch:
+ *     summary: Modifie la quantité d'un produit du panier
+ *     tags: [Paniers]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Retire un produit du panier
+ *     tags: [Paniers]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CartToken'
+ *     responses:
+ *       200:
+ *         description: Panier mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Cart'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Modification de la quantité d'un produit du panier
+router.patch("/:id/items/:productId", optionalAuthenticate, validate({ params: CartItemParamsSchema, query: CartPreviewQuerySchema, body: CartItemUpdateSchema }), async (req, res) => {
+  const { quantity } = req.body;
+  const country = previewCountry(req);
+  const cart = await findCart(req, req.params.id);
+
+  const [item] = await sql`
+    UPDATE cart_items SET quantity = ${quantity}
+    WHERE cart_id = ${cart.id} AND product_id = ${req.params.productId}
+    RETURNING *
+  `;
+
+  if (!item) {
+    throw new NotFoundError("CART_ITEM_NOT_FOUND");
+  }
+
+  await respondWithCart(res, await touchCart(cart.id), country);
+});
+
+// Retrait d'un produit du panier
+router.delete("/:id/items/:productId", optionalAuthenticate, validate({ params: CartItemParamsSchema, query: CartPreviewQuerySchema }), async (req, res) => {
+  const country = previewCountry(req);
+  const cart = await findCart(req, req.params.id);
+
+  const [item] = await sql`
+    DELETE FROM cart_items
+    WHERE cart_id = ${cart.id} AND product_id = ${req.params.productId}
+    RETURNING *
+  `;
+
+  if (!item) {
+    throw new NotFoundError("CART_ITEM_NOT_FOUND");
+  }
+
+  await respondWithCart(res, await touchCart(cart.id), country);
+});
+
+/**
+ * @swagger
+ * /carts/{id}/checkout:
+ *   post:
+ *     summary: Transforme le panier en commande
+ *     description: |
+ *       Crée une commande en attente à partir des produits du panier, puis vide le panier, le tout dans une
+ *       même transaction : en cas de refus (stock insuffisant, code promo invalide...), le panier est conservé.
+ *       Un panier anonyme doit d'abord être fusionné dans celui de l'utilisateur (POST /carts/merge).
+ *     tags: [Paniers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Commande créée, panier vidé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Stock insuffisant, produit retiré du catalogue, ou panier anonyme non fusionné
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortageError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Passage en commande du panier de l'utilisateur authentifié
+router.post("/:id/checkout", authenticate, validate({ params: IdParamsSchema, body: CartCheckoutSchema }), async (req, res) => {
+  const { country = config.tax.defaultCountry, couponCode } = req.body;
+
+  const { order } = await withTransaction(async tx => {
+    // Verrouiller le panier : aucun produit ne peut y être ajouté pendant le passage en commande
+    const cart = await findCart(req, req.params.id, tx, { forUpdate: true });
+
+    if (cart.user_id === null) {
+      throw new ConflictError("ANONYMOUS_CART_CHECKOUT");
+    }
+
+    const cartItems = await tx`
+      SELECT product_id, quantity FROM cart_items
+      WHERE cart_id = ${cart.id}
+      ORDER BY added_at, product_id
+    `;
+
+    if (cartItems.length === 0) {
+      throw new BadRequestError("CART_EMPTY");
+    }
+
+    const items = cartItems.map(item => ({ productId: item.product_id, quantity: item.quantity }));
+    const placed = await placeOrder(req.user.id, { items, country, couponCode }, tx);
+
+    await tx`DELETE FROM cart_items WHERE cart_id = ${cart.id}`;
+    await touchCart(cart.id, tx);
+
+    return placed;
+  });
+
+  res.status(201).json(order);
+});
+
+// Empreinte SHA-256 d'un jeton de panier anonyme, seule stockée en base
+function hashCartToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Supprime les paniers anonymes arrivés à expiration
+async function purgeExpiredCarts(db = sql) {
+  await db`DELETE FROM carts WHERE expires_at <= NOW()`;
+}
+
+// Retrouve un panier non expiré accessible au demandeur : son propriétaire, ou le porteur du jeton
+// s'il est anonyme. Lève une erreur si le panier n'existe pas ou n'est pas accessible
+async function findCart(req, id, db = sql, { forUpdate = false } = {}) {
+  const [cart] = await db`
+    SELECT * FROM carts
+    WHERE id = ${id} AND (expires_at IS NULL OR expires_at > NOW())
+    ${forUpdate ? db`FOR UPDATE` : db``}
+  `;
+
+  if (!cart) {
+    throw new NotFoundError("CART_NOT_FOUND");
+  }
+
+  const token = req.get(CART_TOKEN_HEADER);
+  const allowed = cart.user_id !== null
+    ? Boolean(req.user) && req.user.id === cart.user_id
+    : Boolean(token) && hashCartToken(token) === cart.token_hash;
+
+  if (!allowed) {
+    throw new ForbiddenError("NOT_CART_OWNER");
+  }
+
+  return cart;
+}
+
+// Date la dernière modification du panier et prolonge la durée de vie d'un panier anonyme
+async function touchCart(id, db = sql) {
+  const [cart] = await db`
+    UPDATE carts SET
+      updated_at = CURRENT_TIMESTAMP,
+      expires_at = CASE
+        WHEN expires_at IS NULL THEN NULL
+        ELSE NOW() + make_interval(hours => ${config.carts.anonymousTtlHours})
+      END
+    WHERE id = ${id}
+    RETURNING *
+  `;
+
+  return cart;
+}
+
+// Panier avec ses produits au prix actuel et l'aperçu de la TVA pour le pays de livraison,
+// calculés comme pour une commande. Si un taux de TVA manque dans ce pays, l'aperçu ne donne
+// que les montants hors taxes, avec tax_available à false et les classes de taxe sans taux
+async function getCartDetails(cart, country, db = sql) {
+  const rows = await db`
+    SELECT ci.product_id, ci.quantity, ci.added_at, p.name, p.price, p.tax_class, p.stock
+    FROM cart_items ci
+    JOIN products p ON p.id = ci.product_id
+    WHERE ci.cart_id = ${cart.id}
+    ORDER BY ci.added_at, ci.product_id
+  `;
+
+  const items = rows.map(row => ({ productId: row.product_id, quantity: row.quantity }));
+  const products = rows.map(row => ({ id: row.product_id, name: row.name, price: row.price, tax_class: row.tax_class }));
+  const { missing } = await resolveTaxRates(country, products, db);
+  const { token_hash, ...publicCart } = cart;
+
+  const withStock = (item, index) => ({
+    ...item,
+    in_stock: rows[index].stock >= rows[index].quantity,
+    added_at: rows[index].added_at
+  });
+
+  if (missing.length > 0) {
+    const untaxedItems = rows.map(row => ({
+      product_id: row.product_id,
+      product_name: row.name,
+      quantity: row.quantity,
+      unit_price: row.price,
+      tax_class: row.tax_class,
+      vat_rate: null,
+      ...computeLineAmounts(row.price, row.quantity, 0),
+      tax_amount: null,
+      total: null
+    }));
+
+    return {
+      ...publicCart,
+      country,
+      items: untaxedItems.map(withStock),
+      subtotal: fromCents(untaxedItems.reduce((sum, item) => sum + toCents(item.subtotal), 0)),
+      tax_total: null,
+      total: null,
+      tax_breakdown: null,
+      tax_available: false,
+      missing_tax_classes: missing
+    };
+  }
+
+  const pricing = await priceOrder(items, products, country, db);
+  const { subtotal, taxTotal, total, breakdown } = pricing.totals;
+
+  return {
+    ...publicCart,
+    country,
+    items: pricing.orderItems.map(withStock),
+    subtotal,
+    tax_total: taxTotal,
+    total,
+    tax_breakdown: breakdown,
+    tax_available: true,
+    missing_tax_classes: []
+  };
+}
+
+// Pays de livraison de l'aperçu des prix, demandé par ?country= (validé par CartPreviewQuerySchema)
+function previewCountry(req) {
+  return req.query.country || config.tax.defaultCountry;
+}
+
+// Répond avec le détail du panier et l'aperçu des prix pour le pays de livraison
+async function respondWithCart(res, cart, country, status = 200, extra = {}) {
+  res.status(status).json({ ...(await getCartDetails(cart, country)), ...extra });
+}
+
+module.exports = router;
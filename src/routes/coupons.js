@@ -0,0 +1,342 @@
+const express = require("express");
+const router = express.Router();
+const { sql } = require("../config/database");
+const { IdParamsSchema, CouponSchema, CouponUpdateSchema } = require("../models/schemas");
+const { authenticate, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { COUPON_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { BadRequestError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: Récupère les codes promo
+ *     description: |
+ *       Liste paginée des codes promo avec leur nombre d'utilisations. Réservé aux administrateurs.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`.
+ *     tags: [Codes promo]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/CouponListFilters'
+ *       - $ref: '#/components/parameters/CouponListSort'
+ *       - $ref: '#/components/parameters/CouponListFields'
+ *     responses:
+ *       200:
+ *         description: Liste des codes promo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coupons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Crée un code promo
+ *     description: |
+ *       Remise en pourcentage ou montant fixe hors taxes, sur toute la commande ou sur les produits de `productIds`.
+ *       La remise est déduite avant TVA. Réservé aux administrateurs.
+ *     tags: [Codes promo]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Code promo créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Conflit - Un code promo avec ce code existe déjà
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération des codes promo avec filtres, tri et pagination
+router.get("/", authenticate, authorize("coupons:manage"), async (req, res) => {
+  const list = parseListQuery(req.query, COUPON_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, COUPON_LIST));
+
+  const records = await sql`
+    SELECT c.*, COUNT(r.id)::int AS uses, ${paging.cursorColumns}
+    FROM coupons c
+    LEFT JOIN coupon_redemptions r ON r.coupon_id = c.id
+    WHERE ${list.where} AND ${paging.where}
+    GROUP BY c.id
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  // Compter les codes promo pour la pagination, selon le mode de comptage demandé
+  const { rows: coupons, pagination } = await paginate(records, paging, sql`FROM coupons c WHERE ${list.where}`);
+
+  res.json({
+    coupons: coupons.map(coupon => pickFields(coupon, list.fields)),
+    pagination
+  });
+});
+
+// Création d'un code promo
+router.post("/", authenticate, authorize("coupons:manage"), validate({ body: CouponSchema }), async (req, res) => {
+  const coupon = toCouponRow(req.body);
+
+  const [existingCoupon] = await sql`
+    SELECT id FROM coupons WHERE code = ${coupon.code}
+  `;
+
+  if (existingCoupon) {
+    throw new ConflictError("COUPON_CODE_TAKEN");
+  }
+
+  const unknownProducts = await findUnknownProducts(coupon.product_ids);
+  if (unknownProducts.length > 0) {
+    throw new BadRequestError("UNKNOWN_PRODUCTS", { productIds: unknownProducts });
+  }
+
+  const [newCoupon] = await sql`
+    INSERT INTO coupons ${sql(coupon)}
+    RETURNING *, 0 AS uses
+  `;
+
+  res.status(201).json(newCoupon);
+});
+
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Récupère un code promo par son ID
+ *     description: Réservé aux administrateurs
+ *     tags: [Codes promo]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code promo trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   patch:
+ *     summary: Met à jour un code promo
+ *     description: |
+ *       Seuls les champs fournis sont modifiés ; le code promo obtenu est revalidé dans son ensemble.
+ *       Les commandes passées conservent la remise obtenue. Réservé aux administrateurs.
+ *     tags: [Codes promo]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code promo mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Coupon'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Un code promo avec ce code existe déjà
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Supprime un code promo
+ *     description: |
+ *       Les commandes passées conservent leur code et leur remise. Pour seulement empêcher de nouvelles
+ *       utilisations, désactiver le code avec `active: false`. Réservé aux administrateurs.
+ *     tags: [Codes promo]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code promo supprimé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Code promo supprimé avec succès"
+ *                 coupon:
+ *                   $ref: '#/components/schemas/Coupon'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération d'un code promo par son ID
+router.get("/:id", authenticate, authorize("coupons:manage"), validate({ params: IdParamsSchema }), async (req, res) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    throw new NotFoundError("COUPON_NOT_FOUND");
+  }
+
+  res.json(coupon);
+});
+
+// Mise à jour partielle d'un code promo
+router.patch("/:id", authenticate, authorize("coupons:manage"), validate({ params: IdParamsSchema, body: CouponUpdateSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  if (Object.keys(req.body).length === 0) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
+
+  const existingCoupon = await findCoupon(id);
+
+  if (!existingCoupon) {
+    throw new NotFoundError("COUPON_NOT_FOUND");
+  }
+
+  // Les champs fournis remplacent ceux du code promo avant de revalider l'ensemble
+  const coupon = toCouponRow(CouponSchema.parse({ ...toCouponInput(existingCoupon), ...req.body }));
+
+  const conflictCoupon = await sql`
+    SELECT id FROM coupons WHERE code = ${coupon.code} AND id != ${id}
+  `;
+
+  if (conflictCoupon.length > 0) {
+    throw new ConflictError("COUPON_CODE_TAKEN");
+  }
+
+  const unknownProducts = await findUnknownProducts(coupon.product_ids);
+  if (unknownProducts.length > 0) {
+    throw new BadRequestError("UNKNOWN_PRODUCTS", { productIds: unknownProducts });
+  }
+
+  await sql`
+    UPDATE coupons SET ${sql(coupon)}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+  `;
+
+  res.json(await findCoupon(id));
+});
+
+// Suppression d'un code promo
+router.delete("/:id", authenticate, authorize("coupons:manage"), validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  const [deletedCoupon] = await sql`
+    DELETE FROM coupons WHERE id = ${id}
+    RETURNING *
+  `;
+
+  if (!deletedCoupon) {
+    throw new NotFoundError("COUPON_NOT_FOUND");
+  }
+
+  res.json({ message: translate(req.locale, "messages.COUPON_DELETED"), coupon: deletedCoupon });
+});
+
+// Code promo avec son nombre d'utilisations
+async function findCoupon(id) {
+  const [coupon] = await sql`
+    SELECT c.*, (SELECT COUNT(*)::int FROM coupon_redemptions r WHERE r.coupon_id = c.id) AS uses
+    FROM coupons c
+    WHERE c.id = ${id}
+  `;
+
+  return coupon;
+}
+
+// Produits ciblés par un code promo qui n'existent pas
+async function findUnknownProducts(productIds) {
+  if (productIds.length === 0) {
+    return [];
+  }
+
+  const products = await sql`
+    SELECT id FROM products WHERE id = ANY(${productIds})
+  `;
+
+  return productIds.filter(productId => !products.some(product => product.id === productId));
+}
+
+// Données validées (camelCase) vers les colonnes de la table coupons
+function toCouponRow(data) {
+  return {
+    code: data.code,
+    description: data.description ?? null,
+    type: data.type,
+    value: data.value,
+    product_ids: [...new Set(data.productIds)],
+    min_basket: data.minBasket,
+    starts_at: data.startsAt ?? null,
+    ends_at: data.endsAt ?? null,
+    max_uses: data.maxUses ?? null,
+    max_uses_per_user: data.maxUsesPerUser ?? null,
+    active: data.active
+  };
+}
+
+// Ligne de la table coupons vers le format d'entrée de l'API, pour fusionner une mise à jour partielle
+function toCouponInput(coupon) {
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    type: coupon.type,
+    value: coupon.value,
+    productIds: coupon.product_ids,
+    minBasket: coupon.min_basket,
+    startsAt: coupon.starts_at ? coupon.starts_at.toISOString() : null,
+    endsAt: coupon.ends_at ? coupon.ends_at.toISOString() : null,
+    maxUses: coupon.max_uses,
+    maxUsesPerUser: coupon.max_uses_per_user,
+    active: coupon.active
+  };
+}
+
+module.exports = router;
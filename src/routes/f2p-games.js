@@ -1,39 +1,31 @@
 const express = require("express");
 const router = express.Router();
+const { IdParamsSchema, F2PGameQuerySchema, GameRankingsQuerySchema } = require("../models/schemas");
+const { validate } = require("../middleware/validate");
+const { authenticate, authorize } = require("../middleware/auth");
+const { parseGameList, parseGameDetail } = require("../models/freetogame");
+const { getFreeToGame, cacheHeaders } = require("../utils/freetogame");
+const { syncFreeToGameCatalog } = require("../utils/catalog-sync");
+const { attachGames, gameRankings } = require("../utils/game-library");
 
 /**
  * @swagger
  * /f2p-games:
  *   get:
  *     summary: Récupère des jeux Free-to-Play
- *     description: Récupère des jeux Free-to-Play depuis l'API FreeToGame avec filtres optionnels
+ *     description: |
+ *       Récupère des jeux Free-to-Play depuis l'API FreeToGame avec filtres optionnels. Les réponses sont
+ *       mises en cache : `X-Cache` indique leur origine et `stale` vaut true quand une réponse périmée est servie,
+ *       par exemple pendant une panne de l'API.
  *     tags: [Jeux Free-to-Play]
- *     parameters:
- *       - in: query
- *         name: platform
- *         schema:
- *           type: string
- *           enum: [pc, browser, all]
- *         description: Plateforme des jeux (pc, browser, all)
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Catégorie des jeux (mmorpg, shooter, pvp, etc.)
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [release-date, popularity, alphabetical, relevance]
- *         description: Méthode de tri
- *       - in: query
- *         name: tag
- *         schema:
- *           type: string
- *         description: Tags multiples séparés par des points (ex: 3d.mmorpg.fantasy.pvp)
  *     responses:
  *       200:
  *         description: Liste des jeux Free-to-Play
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *           Age:
+ *             $ref: '#/components/headers/Age'
  *         content:
  *           application/json:
  *             schema:
@@ -60,115 +52,214 @@ const router = express.Router();
  *                 apiSource:
  *                   type: string
  *                   example: "FreeToGame API"
- *       500:
- *         description: Erreur lors de la récupération des jeux
+ *                 stale:
+ *                   type: boolean
+ *                   description: Réponse servie depuis le cache après sa durée de fraîcheur
+ *       502:
+ *         $ref: '#/components/responses/BadGateway'
+ *       503:
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
+// Récupération de tous les jeux Free-to-Play avec filtres optionnels
+router.get("/", validate({ query: F2PGameQuerySchema }), async (req, res) => {
+  const { platform, category, sortBy, tag } = req.query;
+
+  // Les tags multiples passent par l'endpoint /filter, qui nomme le tri sort au lieu de sort-by
+  // et ne connaît pas category : la catégorie y devient un tag de plus
+  const result = tag
+    ? await getFreeToGame("/filter", { tag: [tag, category].filter(Boolean).join("."), platform, sort: sortBy }, { parse: parseGameList })
+    : await getFreeToGame("/games", { platform, category, "sort-by": sortBy }, { parse: parseGameList });
+
+  res.set(cacheHeaders(result)).json({
+    games: result.data,
+    total: result.data.length,
+    filters: {
+      platform: platform || "all",
+      category: category || "all",
+      sortBy: sortBy || "relevance",
+      tag: tag || null
+    },
+    apiSource: "FreeToGame API",
+    stale: result.stale
+  });
+});
+
+/**
+ * @swagger
+ * /f2p-games/sync:
+ *   post:
+ *     summary: Importe les jeux Free-to-Play dans le catalogue
+ *     description: |
+ *       Crée un produit pour chaque nouveau jeu de l'API FreeToGame (gratuit, stock à saisir), met à jour le nom,
+ *       la description, le genre, la plateforme, l'éditeur, la vignette et la date de sortie des jeux déjà importés,
+ *       et marque comme retirés (`retired`) ceux qui ont disparu de l'API. Le prix, le stock et la classe de taxe
+ *       ne sont jamais modifiés par l'import. L'import peut aussi être planifié avec `FREETOGAME_SYNC_INTERVAL_MINUTES`.
+ *       Réservé aux administrateurs.
+ *     tags: [Jeux Free-to-Play]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Résultat de l'import
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 source:
  *                   type: string
- *                   example: "Erreur lors de la récupération des jeux"
- *                 details:
- *                   type: string
- *                   example: "Erreur API FreeToGame: 500 Internal Server Error"
+ *                   example: "freetogame"
+ *                 inserted:
+ *                   type: integer
+ *                   example: 12
+ *                 updated:
+ *                   type: integer
+ *                   example: 3
+ *                 retired:
+ *                   type: integer
+ *                   example: 1
+ *                 unchanged:
+ *                   type: integer
+ *                   example: 380
+ *                 total:
+ *                   type: integer
+ *                   description: Nombre de jeux renvoyés par l'API
+ *                   example: 395
+ *                 stale:
+ *                   type: boolean
+ *                   description: Import réalisé à partir d'une réponse de l'API périmée (servie depuis le cache)
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       502:
+ *         $ref: '#/components/responses/BadGateway'
+ *       503:
+ *         $ref: '#/components/responses/ServiceUnavailable'
  */
-// Récupération de tous les jeux Free-to-Play avec filtres optionnels
-router.get("/", async (req, res) => {
-  try {
-    const { platform, category, sortBy, tag } = req.query;
-    
-    // Construire l'URL de l'API FreeToGame avec les paramètres
-    let apiUrl = "https://www.freetogame.com/api/games";
-    const params = new URLSearchParams();
-    
-    if (platform) params.append("platform", platform);
-    if (category) params.append("category", category);
-    if (sortBy) params.append("sort-by", sortBy);
-    
-    // Si on a des tags, utiliser l'endpoint /filter
-    if (tag) {
-      apiUrl = "https://www.freetogame.com/api/filter";
-      params.append("tag", tag);
-      if (platform) params.append("platform", platform);
-      if (sortBy) params.append("sort", sortBy);
-    }
-    
-    if (params.toString()) {
-      apiUrl += "?" + params.toString();
-    }
+// Import des jeux FreeToGame dans le catalogue des produits
+router.post("/sync", authenticate, authorize("catalog:sync"), async (req, res) => {
+  res.json(await syncFreeToGameCatalog());
+});
 
-    console.log(`🔄 Appel API FreeToGame: ${apiUrl}`);
-    
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      throw new Error(`Erreur API FreeToGame: ${response.status} ${response.statusText}`);
-    }
-    
-    const games = await response.json();
-    
-    // Ajouter des informations de pagination si nécessaire
-    const result = {
-      games,
-      total: games.length,
-      filters: {
-        platform: platform || "all",
-        category: category || "all",
-        sortBy: sortBy || "relevance",
-        tag: tag || null
-      },
-      apiSource: "FreeToGame API"
-    };
-    
-    res.json(result);
-  } catch (error) {
-    console.error("Erreur lors de la récupération des jeux Free-to-Play:", error);
-    res.status(500).json({ 
-      error: "Erreur lors de la récupération des jeux",
-      details: error.message 
-    });
-  }
+/**
+ * @swagger
+ * /f2p-games/rankings:
+ *   get:
+ *     summary: Classements des jeux Free-to-Play des bibliothèques
+ *     description: |
+ *       Jeux les plus joués (heures de jeu cumulées) et les mieux notés (note moyenne, départagée par le nombre
+ *       de notes) sur l'ensemble des bibliothèques des utilisateurs, complétés par le détail du jeu mis en cache.
+ *     tags: [Bibliothèque de jeux]
+ *     responses:
+ *       200:
+ *         description: Classements des jeux
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mostPlayed:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       game_id:
+ *                         type: integer
+ *                         example: 452
+ *                       total_hours:
+ *                         type: number
+ *                         example: 1250.5
+ *                       players:
+ *                         type: integer
+ *                         example: 37
+ *                       game:
+ *                         $ref: '#/components/schemas/Game'
+ *                 bestRated:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       game_id:
+ *                         type: integer
+ *                         example: 540
+ *                       average_rating:
+ *                         type: number
+ *                         example: 4.67
+ *                       ratings:
+ *                         type: integer
+ *                         example: 12
+ *                       game:
+ *                         $ref: '#/components/schemas/Game'
+ *                 gamesAvailable:
+ *                   type: boolean
+ *                   description: false si le détail des jeux n'a pas pu être récupéré (game vaut alors null)
+ *                 stale:
+ *                   type: boolean
+ */
+// Classements des jeux les plus joués et les mieux notés par les utilisateurs
+router.get("/rankings", validate({ query: GameRankingsQuerySchema }), async (req, res) => {
+  const { mostPlayed, bestRated } = await gameRankings(req.query.limit);
+
+  // Un seul chargement du détail des jeux pour les deux classements
+  const { records, gamesAvailable, stale } = await attachGames([...mostPlayed, ...bestRated]);
+
+  res.json({
+    mostPlayed: records.slice(0, mostPlayed.length),
+    bestRated: records.slice(mostPlayed.length),
+    gamesAvailable,
+    stale
+  });
 });
 
+/**
+ * @swagger
+ * /f2p-games/{id}:
+ *   get:
+ *     summary: Récupère le détail d'un jeu Free-to-Play
+ *     description: Détail d'un jeu depuis l'API FreeToGame, mis en cache comme la liste des jeux
+ *     tags: [Jeux Free-to-Play]
+ *     responses:
+ *       200:
+ *         description: Détail du jeu
+ *         headers:
+ *           X-Cache:
+ *             $ref: '#/components/headers/X-Cache'
+ *           Age:
+ *             $ref: '#/components/headers/Age'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 game:
+ *                   $ref: '#/components/schemas/GameDetail'
+ *                 apiSource:
+ *                   type: string
+ *                   example: "FreeToGame API"
+ *                 stale:
+ *                   type: boolean
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       502:
+ *         $ref: '#/components/responses/BadGateway'
+ *       503:
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
 // Récupération des détails d'un jeu spécifique grace à son ID
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    if (!id || isNaN(id)) {
-      return res.status(400).json({ error: "ID de jeu invalide" });
-    }
-    
-    const apiUrl = `https://www.freetogame.com/api/game?id=${id}`;
-    
-    console.log(`🔄 Appel API FreeToGame pour le jeu ID ${id}: ${apiUrl}`);
-    
-    const response = await fetch(apiUrl);
-    
-    if (!response.ok) {
-      if (response.status === 404) {
-        return res.status(404).json({ error: "Jeu non trouvé" });
-      }
-      throw new Error(`Erreur API FreeToGame: ${response.status} ${response.statusText}`);
-    }
-    
-    const game = await response.json();
-    
-    const result = {
-      game,
-      apiSource: "FreeToGame API"
-    };
-    
-    res.json(result);
-  } catch (error) {
-    console.error("Erreur lors de la récupération du jeu:", error);
-    res.status(500).json({ 
-      error: "Erreur lors de la récupération du jeu",
-      details: error.message 
-    });
-  }
+router.get("/:id", validate({ params: IdParamsSchema }), async (req, res) => {
+  const result = await getFreeToGame("/game", { id: req.params.id }, {
+    notFoundCode: "GAME_NOT_FOUND",
+    parse: parseGameDetail
+  });
+
+  res.set(cacheHeaders(result)).json({
+    game: result.data,
+    apiSource: "FreeToGame API",
+    stale: result.stale
+  });
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
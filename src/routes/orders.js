@@ -1,29 +1,52 @@
 const express = require("express");
 const router = express.Router();
+const config = require("../config");
 const { sql } = require("../config/database");
-const { OrderSchema, OrderUpdateSchema } = require("../models/schemas");
-const { calculateTotalWithVAT, getOrderDetails } = require("../utils/helpers");
+const { IdParamsSchema, OrderSchema, OrderUpdateSchema, OrderTransitionSchema } = require("../models/schemas");
+const { saveOrderItems, getOrderDetails } = require("../utils/helpers");
+const { authenticate } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../utils/transaction");
+const { can, redactEmail } = require("../utils/policies");
+const { allowedTransitions, isTransitionAllowed, canTransition, areItemsEditable, releasesStock } = require("../utils/order-status");
+const {
+  RELEASE_REASONS, lockProducts, computeStockChanges, findShortages, findRetired, applyStockChanges, releaseOrderStock
+} = require("../utils/inventory");
+const { redeemCoupon, releaseCoupon } = require("../utils/coupons");
+const { priceOrder, placeOrder } = require("../utils/checkout");
+const { ORDER_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+
+// L'email du client d'une commande n'est visible que par lui-même et les administrateurs
+function redactOrderUser(order, viewer) {
+  return order.user ? { ...order, user: redactEmail(order.user, viewer, order.user_id) } : order;
+}
 
 /**
  * @swagger
  * /orders:
  *   get:
  *     summary: Récupère toutes les commandes
- *     description: Récupère la liste des commandes avec pagination et détails complets (utilisateur + produits)
+ *     description: |
+ *       Récupère la liste des commandes avec pagination et détails complets (utilisateur + produits).
+ *       Un client ne voit que ses propres commandes ; les rôles chargés de l'expédition voient toutes les commandes.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`
+ *       (ex: `?user_id=5&status[in]=pending&created_at[gte]=2025-01-06&sort=-total`).
  *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Numéro de page pour la pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Nombre d'éléments par page
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/OrderListFilters'
+ *       - $ref: '#/components/parameters/OrderListSort'
+ *       - $ref: '#/components/parameters/OrderListFields'
  *     responses:
  *       200:
  *         description: Liste des commandes avec détails complets
@@ -38,70 +61,91 @@ const { calculateTotalWithVAT, getOrderDetails } = require("../utils/helpers");
  *                     $ref: '#/components/schemas/Order'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 // Récupération de toutes les commandes avec pagination de 10 commandes par page
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const orders = await sql`
-      SELECT * FROM orders 
-      ORDER BY created_at DESC 
-      LIMIT ${limit} OFFSET ${offset}
-    `;
-
-    // Compter le nombre total de commandes pour la pagination
-    const [{ count }] = await sql`SELECT COUNT(*) as count FROM orders`;
-    const totalPages = Math.ceil(count / limit);
-
-    // Récupérer les détails complets pour chaque commande
-    const ordersWithDetails = await Promise.all(
-      orders.map(order => getOrderDetails(order))
-    );
-
-    res.json({
-      orders: ordersWithDetails,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
-    });
-  } catch (error) {
-    console.error("Erreur lors de la récupération des commandes:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+router.get("/", authenticate, async (req, res) => {
+  const list = parseListQuery(req.query, ORDER_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, ORDER_LIST));
+
+  // Un client ne voit que ses propres commandes
+  const visible = can(req.user, "orders:fulfil") ? sql`TRUE` : sql`user_id = ${req.user.id}`;
+
+  const records = await sql`
+    SELECT *, ${paging.cursorColumns} FROM orders 
+    WHERE ${visible} AND ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  // Compter les commandes pour la pagination, selon le mode de comptage demandé
+  const { rows: orders, pagination } = await paginate(records, paging, sql`FROM orders WHERE ${visible} AND ${list.where}`);
+
+  // Récupérer les détails complets pour chaque commande, sauf si fields= ne les demande pas
+  const withDetails = !list.fields || list.fields.includes("user") || list.fields.includes("items");
+  const ordersWithDetails = withDetails
+    ? await Promise.all(orders.map(order => getOrderDetails(order)))
+    : orders;
+
+  res.json({
+    orders: ordersWithDetails.map(order => pickFields(redactOrderUser(order, req.user), list.fields)),
+    pagination
+  });
 });
 
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Récupère une commande par son ID
+ *     description: |
+ *       Récupère une commande avec son utilisateur et ses lignes au prix payé lors de l'achat.
+ *       Réservé au propriétaire de la commande et aux rôles chargés de l'expédition.
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Détails de la commande
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 // Récupération d'une commande par son ID
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [order] = await sql`
-      SELECT * FROM orders WHERE id = ${id}
-    `;
+router.get("/:id", authenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const [order] = await sql`
+    SELECT * FROM orders WHERE id = ${id}
+  `;
+
+  // Cas où la commande n'existe pas
+  if (!order) {
+    throw new NotFoundError("ORDER_NOT_FOUND");
+  }
 
-    // Cas où la commande n'existe pas
-    if (!order) {
-      return res.status(404).json({ error: "Commande non trouvée" });
-    }
+  if (order.user_id !== req.user.id && !can(req.user, "orders:fulfil")) {
+    throw new ForbiddenError("NOT_ORDER_OWNER");
+  }
 
-    // Récupérer les détails complets
-    const orderWithDetails = await getOrderDetails(order);
+  // Récupérer les détails complets
+  const orderWithDetails = await getOrderDetails(order);
 
-    res.json(orderWithDetails);
-  } catch (error) {
-    console.error("Erreur lors de la récupération de la commande:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+  res.json(redactOrderUser(orderWithDetails, req.user));
 });
 
 /**
@@ -109,29 +153,14 @@ router.get("/:id", async (req, res) => {
  * /orders:
  *   post:
  *     summary: Crée une nouvelle commande
- *     description: Crée une nouvelle commande avec calcul automatique du total avec TVA (20%)
+ *     description: |
+ *       Crée une nouvelle commande pour l'utilisateur authentifié. La TVA est calculée ligne par ligne selon la classe
+ *       de taxe de chaque produit et les taux en vigueur dans le pays de livraison (TAX_DEFAULT_COUNTRY par défaut) ;
+ *       la commande conserve le détail des taxes par taux (`tax_breakdown`).
+ *       Les quantités commandées sont réservées sur le stock des produits ; la commande est refusée si le stock est insuffisant.
  *     tags: [Commandes]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - productIds
- *             properties:
- *               userId:
- *                 type: integer
- *                 minimum: 1
- *                 example: 1
- *               productIds:
- *                 type: array
- *                 items:
- *                   type: integer
- *                   minimum: 1
- *                 minItems: 1
- *                 example: [1, 2, 3]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: Commande créée avec succès
@@ -141,296 +170,448 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Order'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
- *         description: Utilisateur ou produit non trouvé
+ *         description: Produit non trouvé
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflit - Stock insuffisant ou produit retiré du catalogue pour un ou plusieurs produits
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortageError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Création d'une nouvelle commande pour l'utilisateur authentifié
+router.post("/", authenticate, validate({ body: OrderSchema }), async (req, res) => {
+  const { items, country = config.tax.defaultCountry, couponCode } = req.body;
+
+  const outcome = await withTransaction(tx => placeOrder(req.user.id, { items, country, couponCode }, tx));
+
+  res.status(201).json(outcome.order);
+});
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   put:
+ *     summary: Remplace les lignes d'une commande
+ *     description: |
+ *       Remplace toutes les lignes d'une commande et recalcule son total.
+ *       Un pays de livraison absent revient au pays par défaut et un code promo absent est retiré.
+ *       Seule la différence avec les quantités déjà réservées est prélevée ou remise en stock.
+ *       Uniquement possible tant que la commande est au statut `pending` ;
+ *       le statut se change via POST /orders/{id}/transitions.
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Commande mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - La commande n'est plus au statut pending, le stock est insuffisant ou un produit ajouté est retiré du catalogue
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortageError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   patch:
+ *     summary: Met à jour les lignes d'une commande
+ *     description: |
+ *       Identique au PUT, mais les champs absents (lignes, pays, code promo) gardent leur valeur.
+ *       Uniquement possible tant que la commande est au statut `pending`
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Commande mise à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - La commande n'est plus au statut pending, le stock est insuffisant ou un produit ajouté est retiré du catalogue
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockShortageError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Mise à jour complète d'une commande
+router.put("/:id", authenticate, rejectStatusFields, validate({ params: IdParamsSchema, body: OrderSchema }), async (req, res) => {
+  await updateOrderItems(req, res, { replace: true });
+});
+
+// Mise à jour partielle d'une commande
+router.patch("/:id", authenticate, rejectStatusFields, validate({ params: IdParamsSchema, body: OrderUpdateSchema }), async (req, res) => {
+  await updateOrderItems(req, res);
+});
+
+// Le statut ne se modifie plus librement. Vérifié avant la validation, qui ignorerait ces champs
+function rejectStatusFields(req, res, next) {
+  if (req.body && ("status" in req.body || "payment" in req.body)) {
+    throw new BadRequestError("ORDER_STATUS_NOT_EDITABLE");
+  }
+
+  next();
+}
+
+// Logique commune au PUT et au PATCH : seules les lignes et le pays d'une commande en attente sont modifiables.
+// Avec replace (PUT), le pays et le code promo absents prennent leur valeur par défaut au lieu d'être conservés
+async function updateOrderItems(req, res, { replace = false } = {}) {
+  const { id } = req.params;
+  const { items: requestedItems, country: requestedCountry, couponCode: requestedCouponCode } = req.body;
+
+  // Vérifier qu'au moins un champ est fourni
+  if (!requestedItems && !requestedCountry && requestedCouponCode === undefined) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
+
+  const outcome = await withTransaction(async tx => {
+    // Verrouiller la commande : un paiement ne peut pas survenir pendant la modification
+    const [existingOrder] = await tx`
+      SELECT * FROM orders WHERE id = ${id} FOR UPDATE
+    `;
+
+    if (!existingOrder) {
+      throw new NotFoundError("ORDER_NOT_FOUND");
+    }
+
+    // Seul le propriétaire de la commande peut la modifier
+    if (existingOrder.user_id !== req.user.id) {
+      throw new ForbiddenError("NOT_ORDER_OWNER");
+    }
+
+    if (!areItemsEditable(existingOrder)) {
+      throw new ConflictError("ORDER_ITEMS_LOCKED", { orderStatus: existingOrder.status });
+    }
+
+    // Vérifier si tous les produits existent, en verrouillant aussi ceux retirés de la commande
+    const previousItems = await tx`
+      SELECT product_id, quantity FROM order_items WHERE order_id = ${id}
+    `;
+
+    // Sans nouvelles lignes, les lignes actuelles sont recalculées pour le nouveau pays de livraison
+    const items = requestedItems || previousItems
+      .filter(item => item.product_id !== null)
+      .map(item => ({ productId: item.product_id, quantity: item.quantity }));
+    const country = requestedCountry || (replace ? config.tax.defaultCountry : existingOrder.country);
+    const couponCode = requestedCouponCode !== undefined
+      ? requestedCouponCode
+      : (replace ? null : existingOrder.coupon_code);
+    const productIds = items.map(item => item.productId);
+    const products = await lockProducts([...productIds, ...previousItems.map(item => item.product_id)], tx);
+
+    if (productIds.some(productId => !products.some(p => p.id === productId))) {
+      throw new NotFoundError("PRODUCTS_NOT_FOUND");
+    }
+
+    // Seule la différence avec les quantités déjà réservées est prélevée ou remise en stock
+    const stockChanges = computeStockChanges(items, previousItems);
+    const retired = findRetired(stockChanges, products);
+
+    if (retired.length > 0) {
+      throw new ConflictError("PRODUCTS_RETIRED", { products: retired });
+    }
+
+    const shortages = findShortages(stockChanges, products);
+
+    if (shortages.length > 0) {
+      throw new ConflictError("INSUFFICIENT_STOCK", { shortages });
+    }
+
+    // Le code promo est revérifié pour le nouveau panier, sans compter l'utilisation de cette commande
+    await releaseCoupon(existingOrder.id, tx);
+    const { orderItems, totals, coupon } = await priceOrder(items, products, country, tx, { couponCode, userId: req.user.id });
+    const [order] = await tx`
+      UPDATE orders SET
+        country = ${country},
+        coupon_code = ${coupon ? coupon.code : null},
+        subtotal = ${totals.subtotal},
+        discount_total = ${totals.discountTotal},
+        tax_total = ${totals.taxTotal},
+        total = ${totals.total},
+        tax_breakdown = ${tx.json(totals.breakdown)},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING *
+    `;
+    await saveOrderItems(order.id, orderItems, tx);
+    await applyStockChanges(stockChanges, tx, { orderId: order.id, userId: req.user.id });
+
+    if (coupon) {
+      await redeemCoupon(coupon, { orderId: order.id, userId: req.user.id, discount: totals.discountTotal }, tx);
+    }
+
+    // Récupérer les détails complets
+    return { order: await getOrderDetails(order, tx) };
+  });
+
+  res.json(outcome.order);
+}
+
+/**
+ * @swagger
+ * /orders/{id}/transitions:
+ *   get:
+ *     summary: Historique des statuts d'une commande
+ *     description: Liste chronologique des changements de statut avec leur auteur
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Historique des statuts
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 error:
+ *                 status:
  *                   type: string
- *                   example: "Utilisateur non trouvé"
+ *                   example: "paid"
+ *                 allowedTransitions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["shipped", "refunded"]
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStatusChange'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Change le statut d'une commande
+ *     description: |
+ *       Applique une transition du cycle de vie de la commande :
+ *       pending → cancelled (client), pending → paid, paid → shipped | refunded,
+ *       shipped → delivered, delivered → refunded (administrateurs et vendeurs).
+ *       Un client ne peut pas marquer lui-même sa commande comme payée.
+ *       Le stock réservé est remis en vente à l'annulation et au remboursement d'une commande payée non expédiée.
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Statut mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Transition non autorisée depuis le statut actuel
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-// Création d'une nouvelle commande
-router.post("/", async (req, res) => {
-  try {
-    const result = await OrderSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { userId, productIds } = result.data;
-
-      // Vérifier si l'utilisateur existe
-      const [user] = await sql`
-        SELECT id FROM users WHERE id = ${userId}
-      `;
-
-      if (!user) {
-        return res.status(404).json({ error: "Utilisateur non trouvé" });
-      }
-
-      // Vérifier si tous les produits existent
-      const products = await sql`
-        SELECT * FROM products WHERE id = ANY(${productIds})
-      `;
-
-      if (products.length !== productIds.length) {
-        return res.status(404).json({ 
-          error: "Un ou plusieurs produits n'existent pas" 
-        });
-      }
-
-      // Calculer le total avec TVA
-      const total = calculateTotalWithVAT(productIds, products);
-
-      const [newOrder] = await sql`
-        INSERT INTO orders (user_id, product_ids, total, payment)
-        VALUES (${userId}, ${productIds}, ${total}, FALSE)
-        RETURNING *
-      `;
-
-      // Récupérer les détails complets
-      const orderWithDetails = await getOrderDetails(newOrder);
-
-      res.status(201).json(orderWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
-    }
-  } catch (error) {
-    console.error("Erreur lors de la création de la commande:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+// Historique des statuts d'une commande
+router.get("/:id/transitions", authenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  const [order] = await sql`
+    SELECT * FROM orders WHERE id = ${id}
+  `;
+
+  if (!order) {
+    throw new NotFoundError("ORDER_NOT_FOUND");
   }
-});
 
-// Mise à jour complète d'une commande
-router.put("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await OrderUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { userId, productIds, payment } = result.data;
-      
-      // Vérifier si la commande existe
-      const [existingOrder] = await sql`
-        SELECT * FROM orders WHERE id = ${id}
-      `;
-
-      if (!existingOrder) {
-        return res.status(404).json({ error: "Commande non trouvée" });
-      }
-
-      // Préparer les données de mise à jour
-      let updateData = {};
-      let newTotal = existingOrder.total;
-
-      if (userId) {
-        // Vérifier si l'utilisateur existe
-        const [user] = await sql`
-          SELECT id FROM users WHERE id = ${userId}
-        `;
-        if (!user) {
-          return res.status(404).json({ error: "Utilisateur non trouvé" });
-        }
-        updateData.user_id = userId;
-      }
-
-      if (productIds) {
-        // Vérifier si tous les produits existent
-        const products = await sql`
-          SELECT * FROM products WHERE id = ANY(${productIds})
-        `;
-        if (products.length !== productIds.length) {
-          return res.status(404).json({ 
-            error: "Un ou plusieurs produits n'existent pas" 
-          });
-        }
-        updateData.product_ids = productIds;
-        newTotal = calculateTotalWithVAT(productIds, products);
-      }
-
-      if (payment !== undefined) {
-        updateData.payment = payment;
-      }
-
-      // Construire la requête SQL de manière conditionnelle
-      let updatedOrder;
-      if (userId && productIds && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, product_ids = ${productIds}, total = ${newTotal}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId && productIds) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, product_ids = ${productIds}, total = ${newTotal}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (productIds && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET product_ids = ${productIds}, total = ${newTotal}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (productIds) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET product_ids = ${productIds}, total = ${newTotal}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      }
-
-      // Récupérer les détails complets
-      const orderWithDetails = await getOrderDetails(updatedOrder);
-
-      res.json(orderWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
-    }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour de la commande:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+  if (order.user_id !== req.user.id && !can(req.user, "orders:fulfil")) {
+    throw new ForbiddenError("NOT_ORDER_OWNER");
   }
+
+  const history = await sql`
+    SELECT h.id, h.from_status, h.to_status, h.changed_by, u.username AS changed_by_username,
+           h.reason, h.created_at
+    FROM order_status_history h
+    LEFT JOIN users u ON h.changed_by = u.id
+    WHERE h.order_id = ${id}
+    ORDER BY h.created_at, h.id
+  `;
+
+  res.json({
+    status: order.status,
+    allowedTransitions: allowedTransitions(order.status),
+    history
+  });
 });
 
-// Mise à jour partielle d'une commande
-router.patch("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await OrderUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { userId, productIds, payment } = result.data;
-      
-      // Vérifier si la commande existe
-      const [existingOrder] = await sql`
-        SELECT * FROM orders WHERE id = ${id}
-      `;
-
-      if (!existingOrder) {
-        return res.status(404).json({ error: "Commande non trouvée" });
-      }
-
-      // Préparer les données de mise à jour
-      let updateData = {};
-      let newTotal = existingOrder.total;
-
-      if (userId) {
-        // Vérifier si l'utilisateur existe
-        const [user] = await sql`
-          SELECT id FROM users WHERE id = ${userId}
-        `;
-        if (!user) {
-          return res.status(404).json({ error: "Utilisateur non trouvé" });
-        }
-        updateData.user_id = userId;
-      }
-
-      if (productIds) {
-        // Vérifier si tous les produits existent
-        const products = await sql`
-          SELECT * FROM products WHERE id = ANY(${productIds})
-        `;
-        if (products.length !== productIds.length) {
-          return res.status(404).json({ 
-            error: "Un ou plusieurs produits n'existent pas" 
-          });
-        }
-        updateData.product_ids = productIds;
-        newTotal = calculateTotalWithVAT(productIds, products);
-      }
-
-      if (payment !== undefined) {
-        updateData.payment = payment;
-      }
-
-      // Construire la requête SQL de manière conditionnelle
-      let updatedOrder;
-      if (userId && productIds && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, product_ids = ${productIds}, total = ${newTotal}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId && productIds) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, product_ids = ${productIds}, total = ${newTotal}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (productIds && payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET product_ids = ${productIds}, total = ${newTotal}, payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (userId) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET user_id = ${userId}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (productIds) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET product_ids = ${productIds}, total = ${newTotal}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (payment !== undefined) {
-        [updatedOrder] = await sql`
-          UPDATE orders SET payment = ${payment}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      }
-
-      // Récupérer les détails complets
-      const orderWithDetails = await getOrderDetails(updatedOrder);
-
-      res.json(orderWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
+// Changement de statut d'une commande selon le graphe de transitions
+router.post("/:id/transitions", authenticate, validate({ params: IdParamsSchema, body: OrderTransitionSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  const outcome = await withTransaction(async tx => {
+    // Verrouiller la commande pour que deux transitions concurrentes s'appliquent l'une après l'autre
+    const [order] = await tx`
+      SELECT * FROM orders WHERE id = ${id} FOR UPDATE
+    `;
+
+    if (!order) {
+      throw new NotFoundError("ORDER_NOT_FOUND");
+    }
+
+    if (!isTransitionAllowed(order.status, status)) {
+      throw new ConflictError("TRANSITION_NOT_ALLOWED", {
+        orderStatus: order.status,
+        requestedStatus: status,
+        allowedTransitions: allowedTransitions(order.status)
       });
     }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour partielle de la commande:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+
+    if (!canTransition(order, status, req.user)) {
+      throw new ForbiddenError("TRANSITION_FORBIDDEN");
+    }
+
+    const [updatedOrder] = await tx`
+      UPDATE orders SET status = ${status}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+      RETURNING *
+    `;
+    await tx`
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, reason)
+      VALUES (${id}, ${order.status}, ${status}, ${req.user.id}, ${reason || null})
+    `;
+
+    if (releasesStock(order.status, status)) {
+      await releaseOrderStock(order.id, tx, { userId: req.user.id, reason: reason || null });
+    }
+
+    // Une commande annulée ne compte plus dans les limites d'utilisation de son code promo
+    if (status === "cancelled") {
+      await releaseCoupon(order.id, tx);
+    }
+
+    // Récupérer les détails complets
+    return { order: await getOrderDetails(updatedOrder, tx) };
+  });
+
+  res.json(redactOrderUser(outcome.order, req.user));
 });
 
+/**
+ * @swagger
+ * /orders/{id}:
+ *   delete:
+ *     summary: Supprime une commande
+ *     description: |
+ *       Seules les commandes au statut `pending` ou `cancelled` de l'utilisateur authentifié peuvent être supprimées.
+ *       Le stock réservé par une commande en attente est remis en vente.
+ *     tags: [Commandes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Commande supprimée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 // Suppression d'une commande
-router.delete("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [deletedOrder] = await sql`
-      DELETE FROM orders WHERE id = ${id}
-      RETURNING *
+router.delete("/:id", authenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const outcome = await withTransaction(async tx => {
+    const [existingOrder] = await tx`
+      SELECT * FROM orders WHERE id = ${id} FOR UPDATE
     `;
 
     // Cas où la commande n'existe pas
-    if (!deletedOrder) {
-      return res.status(404).json({ error: "Commande non trouvée" });
+    if (!existingOrder) {
+      throw new NotFoundError("ORDER_NOT_FOUND");
     }
 
-    // Récupérer les détails complets avant suppression
-    const orderWithDetails = await getOrderDetails(deletedOrder);
+    // Seul le propriétaire de la commande peut la supprimer
+    if (existingOrder.user_id !== req.user.id) {
+      throw new ForbiddenError("NOT_ORDER_OWNER");
+    }
 
-    res.json({ 
-      message: "Commande supprimée avec succès", 
-      order: orderWithDetails 
-    });
-  } catch (error) {
-    console.error("Erreur lors de la suppression de la commande:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+    // Une commande payée est conservée, elle doit être remboursée plutôt que supprimée
+    if (!["pending", "cancelled"].includes(existingOrder.status)) {
+      throw new ConflictError("ORDER_NOT_DELETABLE", { orderStatus: existingOrder.status });
+    }
+
+    // Récupérer les détails complets avant que la suppression n'emporte les lignes
+    const order = await getOrderDetails(existingOrder, tx);
+
+    // Le stock d'une commande annulée a déjà été remis en vente
+    if (existingOrder.status === "pending") {
+      await releaseOrderStock(existingOrder.id, tx, { userId: req.user.id, reason: RELEASE_REASONS.ORDER_DELETED });
+    }
+
+    await tx`
+      DELETE FROM orders WHERE id = ${id}
+    `;
+
+    return { order };
+  });
+
+  res.json({ 
+    message: translate(req.locale, "messages.ORDER_DELETED"), 
+    order: outcome.order 
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,50 +1,48 @@
 const express = require("express");
 const router = express.Router();
 const { sql } = require("../config/database");
-const { ProductSchema } = require("../models/schemas");
-const { getProductDetails } = require("../utils/helpers");
+const { IdParamsSchema, ProductSchema, ProductPartialUpdateSchema, PRODUCT_DERIVED_FIELDS, StockAdjustmentSchema, ProductSearchSchema } = require("../models/schemas");
+const { PRODUCT_COLUMNS, getProductDetails } = require("../utils/helpers");
+const { authenticate, optionalAuthenticate, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../utils/transaction");
+const { applyStockChanges } = require("../utils/inventory");
+const { SEARCH_WEIGHTS, HEADLINE_OPTIONS, buildSearchQuery, toTsQuery } = require("../utils/search");
+const { PRODUCT_LIST, STOCK_MOVEMENT_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { BadRequestError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+
+// Paramètres de la recherche plein texte, qui ne sont pas des filtres de liste
+const PRODUCT_SEARCH_PARAMS = ["q", "name", "about", "minPrice", "maxPrice", "price"];
 
 /**
  * @swagger
  * /products:
  *   get:
- *     summary: Récupère tous les produits ou recherche des jeux Free-to-Play
+ *     summary: Récupère les produits, avec recherche plein texte
  *     description: |
- *       Récupère la liste des produits avec pagination. 
- *       Si des paramètres de recherche sont fournis (name, about, price), 
- *       utilise l'API FreeToGame pour rechercher des jeux Free-to-Play.
+ *       Récupère la liste des produits avec pagination.
+ *       Avec `q`, `name` ou `about`, recherche dans le nom et la description des produits (racinisation
+ *       française et anglaise) : tous les mots sont requis, `"entre guillemets"` cherche une phrase exacte et
+ *       `mot*` un préfixe. Les résultats sont triés par pertinence, un résultat dans le nom primant sur un
+ *       résultat dans la description, et accompagnés d'extraits où les termes trouvés sont entourés de `<mark>`.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields` ; un tri explicite
+ *       remplace le tri par pertinence.
  *     tags: [Produits]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Numéro de page pour la pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Nombre d'éléments par page
- *       - in: query
- *         name: name
- *         schema:
- *           type: string
- *         description: Recherche de jeux par nom (active l'API FreeToGame)
- *       - in: query
- *         name: about
- *         schema:
- *           type: string
- *         description: Recherche de jeux par description/genre (active l'API FreeToGame)
- *       - in: query
- *         name: price
- *         schema:
- *           type: number
- *         description: Recherche de jeux par prix maximum (active l'API FreeToGame)
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/ProductListFilters'
+ *       - $ref: '#/components/parameters/ProductListSort'
+ *       - $ref: '#/components/parameters/ProductListFields'
  *     responses:
  *       200:
- *         description: Liste des produits ou jeux trouvés
+ *         description: Liste des produits trouvés
  *         content:
  *           application/json:
  *             schema:
@@ -53,145 +51,112 @@ const { getProductDetails } = require("../utils/helpers");
  *                 products:
  *                   type: array
  *                   items:
- *                     oneOf:
+ *                     allOf:
  *                       - $ref: '#/components/schemas/Product'
- *                       - $ref: '#/components/schemas/Game'
+ *                       - type: object
+ *                         properties:
+ *                           rank:
+ *                             type: number
+ *                             description: Pertinence du produit pour la recherche (uniquement avec q, name ou about)
+ *                           highlight:
+ *                             type: object
+ *                             description: Extraits où les termes trouvés sont entourés de <mark> (uniquement avec q, name ou about)
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                                 example: "<mark>Jeu</mark> de <mark>rôle</mark> fantastique"
+ *                               about:
+ *                                 type: string
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
  *                 searchType:
  *                   type: string
- *                   enum: [free-to-play-games, database-products]
+ *                   enum: [full-text, database-products]
  *                 filters:
  *                   type: object
+ *                   nullable: true
  *                   properties:
+ *                     q:
+ *                       type: string
  *                     name:
  *                       type: string
  *                     about:
  *                       type: string
- *                     price:
+ *                     minPrice:
+ *                       type: number
+ *                     maxPrice:
  *                       type: number
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-// Récupération de tous les produits avec pagination et recherche de jeux Free-to-Play
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-    
-    // Paramètres de recherche pour les jeux
-    const { name, about, price } = req.query;
-    
-    let products = [];
-    let totalCount = 0;
-    let isGameSearch = false;
-
-    // Si on a des paramètres de recherche de jeux, utiliser l'API FreeToGame
-    if (name || about || price) {
-      isGameSearch = true;
-      console.log("🎮 Recherche de jeux Free-to-Play avec les paramètres:", { name, about, price });
-      
-      try {
-        // Récupérer tous les jeux depuis l'API FreeToGame
-        const response = await fetch("https://www.freetogame.com/api/games");
-        
-        if (!response.ok) {
-          throw new Error(`Erreur API FreeToGame: ${response.status} ${response.statusText}`);
-        }
-        
-        let games = await response.json();
-        
-        // Filtrer les jeux selon les critères
-        if (name) {
-          games = games.filter(game => 
-            game.title.toLowerCase().includes(name.toLowerCase())
-          );
-        }
-        
-        if (about) {
-          games = games.filter(game => 
-            game.short_description.toLowerCase().includes(about.toLowerCase()) ||
-            game.genre.toLowerCase().includes(about.toLowerCase())
-          );
-        }
-        
-        if (price) {
-          const maxPrice = parseFloat(price);
-          if (!isNaN(maxPrice)) {
-            // Les jeux Free-to-Play ont un prix de 0, donc on trie par popularité
-            games = games.filter(game => {
-              // Si le jeu a un prix, on le compare
-              if (game.price) {
-                return parseFloat(game.price) <= maxPrice;
-              }
-              // Sinon c'est un jeu gratuit (prix 0)
-              return true;
-            });
-          }
-        }
-        
-        // Appliquer la pagination
-        totalCount = games.length;
-        const startIndex = offset;
-        const endIndex = startIndex + limit;
-        products = games.slice(startIndex, endIndex);
-        
-        // Transformer les jeux en format produit
-        products = products.map(game => ({
-          id: `game_${game.id}`,
-          name: game.title,
-          about: game.short_description,
-          price: 0, // Les jeux Free-to-Play sont gratuits
-          game_url: game.game_url,
-          genre: game.genre,
-          platform: game.platform,
-          thumbnail: game.thumbnail,
-          publisher: game.publisher,
-          developer: game.developer,
-          release_date: game.release_date,
-          is_free_to_play: true
-        }));
-        
-      } catch (apiError) {
-        console.error("Erreur lors de l'appel à l'API FreeToGame:", apiError);
-        // En cas d'erreur API, on continue avec les produits de la base de données
-        isGameSearch = false;
-      }
-    }
-    
-    // Si ce n'est pas une recherche de jeux ou si l'API a échoué, utiliser la base de données
-    if (!isGameSearch) {
-      products = await sql`
-        SELECT * FROM products 
-        ORDER BY id 
-        LIMIT ${limit} OFFSET ${offset}
-      `;
+// Récupération des produits avec pagination, recherche plein texte et filtre de prix
+router.get("/", validate({ query: ProductSearchSchema }), async (req, res) => {
+  // Les autres paramètres de la requête sont les filtres, le tri et la pagination de la liste
+  const { q, name, about, minPrice, maxPrice } = req.query;
+  const filters = { q, name, about, minPrice, maxPrice };
+  const list = parseListQuery(req.query, PRODUCT_LIST, { reserved: PRODUCT_SEARCH_PARAMS });
 
-      // Compter le nombre total de produits pour la pagination
-      const [{ count }] = await sql`SELECT COUNT(*) as count FROM products`;
-      totalCount = count;
-    }
+  // Chaque champ de recherche devient une partie de la requête plein texte, limitée à son champ
+  const queries = [
+    buildSearchQuery(filters.q || ""),
+    buildSearchQuery(filters.name || "", SEARCH_WEIGHTS.name),
+    buildSearchQuery(filters.about || "", SEARCH_WEIGHTS.about)
+  ].filter(Boolean);
 
-    const totalPages = Math.ceil(totalCount / limit);
-
-    res.json({
-      products,
-      pagination: {
-        page,
-        limit,
-        total: totalCount,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      },
-      searchType: isGameSearch ? "free-to-play-games" : "database-products",
-      filters: isGameSearch ? { name, about, price } : null
-    });
-  } catch (error) {
-    console.error("Erreur lors de la récupération des produits:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+  if ((filters.q || filters.name || filters.about) && queries.length === 0) {
+    throw new BadRequestError("EMPTY_SEARCH");
   }
+
+  const tsquery = queries.length > 0 ? toTsQuery(queries.join(" & ")) : null;
+  const rank = tsquery ? sql`ts_rank(search_vector, ${tsquery})` : null;
+
+  // Sans tri demandé, une recherche est triée par pertinence, qui sert aussi de clé aux curseurs
+  const paging = parsePagination(
+    req.query,
+    sortKeys(list, PRODUCT_LIST, rank ? [{ field: "rank", descending: true, column: rank }] : null)
+  );
+
+  const conditions = sql`
+    WHERE ${list.where}
+      ${tsquery ? sql`AND search_vector @@ ${tsquery}` : sql``}
+      ${filters.minPrice !== undefined ? sql`AND price >= ${filters.minPrice}` : sql``}
+      ${filters.maxPrice !== undefined ? sql`AND price <= ${filters.maxPrice}` : sql``}
+  `;
+
+  const records = tsquery
+    ? await sql`
+        SELECT ${sql(PRODUCT_COLUMNS)},
+               ${rank} AS rank,
+               ts_headline('french', name, ${tsquery}, ${HEADLINE_OPTIONS}) AS name_highlight,
+               ts_headline('french', about, ${tsquery}, ${HEADLINE_OPTIONS}) AS about_highlight,
+               ${paging.cursorColumns}
+        FROM products
+        ${conditions} AND ${paging.where}
+        ORDER BY ${paging.orderBy}
+        LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+      `
+    : await sql`
+        SELECT ${sql(PRODUCT_COLUMNS)}, ${paging.cursorColumns} FROM products
+        ${conditions} AND ${paging.where}
+        ORDER BY ${paging.orderBy}
+        LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+      `;
+
+  // Compter les produits trouvés pour la pagination, selon le mode de comptage demandé
+  const { rows: products, pagination } = await paginate(records, paging, sql`FROM products ${conditions}`);
+  const isSearch = Object.values(filters).some(value => value !== undefined);
+
+  res.json({
+    products: products.map(({ name_highlight, about_highlight, ...product }) => pickFields(
+      tsquery ? { ...product, highlight: { name: name_highlight, about: about_highlight } } : product,
+      list.fields
+    )),
+    pagination,
+    searchType: tsquery ? "full-text" : "database-products",
+    filters: isSearch ? filters : null
+  });
 });
 
 /**
@@ -201,13 +166,6 @@ router.get("/", async (req, res) => {
  *     summary: Récupère un produit par son ID
  *     description: Récupère les détails complets d'un produit, y compris tous ses avis
  *     tags: [Produits]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID du produit
  *     responses:
  *       200:
  *         description: Détails du produit avec ses avis
@@ -228,27 +186,22 @@ router.get("/", async (req, res) => {
  *         $ref: '#/components/responses/ServerError'
  */
 // Récupération d'un produit par son ID
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [product] = await sql`
-      SELECT * FROM products WHERE id = ${id}
-    `;
+router.get("/:id", optionalAuthenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const [product] = await sql`
+    SELECT ${sql(PRODUCT_COLUMNS)} FROM products WHERE id = ${id}
+  `;
 
-    // Cas ou le produit n'existe pas
-    if (!product) {
-      return res.status(404).json({ error: "Produit non trouvé" });
-    }
+  // Cas ou le produit n'existe pas
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND");
+  }
 
-    // Récupérer les détails complets avec les avis
-    const productWithReviews = await getProductDetails(product);
+  // Récupérer les détails complets avec les avis
+  const productWithReviews = await getProductDetails(product, req.user);
 
-    res.json(productWithReviews);
-  } catch (error) {
-    console.error("Erreur lors de la récupération du produit:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+  res.json(productWithReviews);
 });
 
 /**
@@ -256,31 +209,10 @@ router.get("/:id", async (req, res) => {
  * /products:
  *   post:
  *     summary: Crée un nouveau produit
- *     description: Crée un nouveau produit dans la base de données
+ *     description: Crée un nouveau produit dans la base de données (administrateurs et vendeurs)
  *     tags: [Produits]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - about
- *               - price
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 example: "Produit Premium"
- *               about:
- *                 type: string
- *                 minLength: 1
- *                 example: "Description détaillée du produit"
- *               price:
- *                 type: number
- *                 minimum: 0.01
- *                 example: 29.99
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Produit créé avec succès
@@ -290,27 +222,328 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Product'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 // Créer un nouveau produit
-router.post("/", async (req, res) => {
-  const result = await ProductSchema.safeParse(req.body);
- 
-  // Si Zod a réussi à parser le corps de la requête
-  if (result.success) {
-    const { name, about, price } = result.data;
- 
-    const product = await sql`
-    INSERT INTO products (name, about, price)
-    VALUES (${name}, ${about}, ${price})
-    RETURNING *
+router.post("/", authenticate, authorize("products:create"), validate({ body: ProductSchema }), async (req, res) => {
+  const { name, about, price, tax_class } = req.body;
+
+  if (!(await taxClassExists(tax_class))) {
+    throw new BadRequestError("UNKNOWN_TAX_CLASS", { taxClass: tax_class });
+  }
+
+  const product = await sql`
+  INSERT INTO products (name, about, price, tax_class)
+  VALUES (${name}, ${about}, ${price}, ${tax_class})
+  RETURNING ${sql(PRODUCT_COLUMNS)}
+  `;
+
+  res.send(product[0]);
+});
+
+/**
+ * @swagger
+ * /products/{id}:
+ *   put:
+ *     summary: Remplace un produit
+ *     description: |
+ *       Remplace entièrement un produit existant (nom, description et prix requis).
+ *       Les champs calculés `reviews_ids` et `total_score` ne peuvent pas être modifiés,
+ *       le stock s'ajuste via `POST /products/{id}/stock`.
+ *       Réservé aux administrateurs et aux vendeurs.
+ *     tags: [Produits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Produit remplacé avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Un autre produit porte déjà ce nom
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   patch:
+ *     summary: Met à jour partiellement un produit
+ *     description: |
+ *       Met à jour un ou plusieurs champs d'un produit existant.
+ *       Les champs calculés `reviews_ids` et `total_score` ne peuvent pas être modifiés,
+ *       le stock s'ajuste via `POST /products/{id}/stock`.
+ *       Réservé aux administrateurs et aux vendeurs.
+ *     tags: [Produits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Produit mis à jour avec succès
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Un autre produit porte déjà ce nom
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Mise à jour complète d'un produit
+router.put("/:id", authenticate, authorize("products:update"), rejectDerivedFields, validate({ params: IdParamsSchema, body: ProductSchema }), async (req, res) => {
+  await updateProduct(req, res);
+});
+
+// Mise à jour partielle d'un produit
+router.patch("/:id", authenticate, authorize("products:update"), rejectDerivedFields, validate({ params: IdParamsSchema, body: ProductPartialUpdateSchema }), async (req, res) => {
+  await updateProduct(req, res);
+});
+
+// Refuse toute écriture sur les colonnes calculées à partir des avis et du registre de stock.
+// Vérifié avant la validation, qui ignorerait ces champs
+function rejectDerivedFields(req, res, next) {
+  const derivedFields = PRODUCT_DERIVED_FIELDS.filter(field => req.body && field in req.body);
+
+  if (derivedFields.length > 0) {
+    throw new BadRequestError("DERIVED_FIELDS_READ_ONLY", { fields: derivedFields });
+  }
+
+  next();
+}
+
+// Logique commune au PUT et au PATCH, seul le schéma de validation change
+async function updateProduct(req, res) {
+  const { id } = req.params;
+  const updateData = req.body;
+
+  // Vérifier qu'au moins un champ est fourni
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
+
+  // Vérifier si le produit existe
+  const [existingProduct] = await sql`
+    SELECT id FROM products WHERE id = ${id}
+  `;
+
+  if (!existingProduct) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND");
+  }
+
+  if (updateData.tax_class && !(await taxClassExists(updateData.tax_class))) {
+    throw new BadRequestError("UNKNOWN_TAX_CLASS", { taxClass: updateData.tax_class });
+  }
+
+  // Vérifier si le nouveau nom est déjà utilisé (sauf pour le produit actuel)
+  if (updateData.name) {
+    const conflictProduct = await sql`
+      SELECT id FROM products WHERE name = ${updateData.name} AND id != ${id}
     `;
- 
-    res.send(product[0]);
-  } else {
-    res.status(400).send(result);
+
+    if (conflictProduct.length > 0) {
+      throw new ConflictError("PRODUCT_NAME_TAKEN");
+    }
+  }
+
+  const [updatedProduct] = await sql`
+    UPDATE products SET ${sql(updateData)}
+    WHERE id = ${id}
+    RETURNING ${sql(PRODUCT_COLUMNS)}
+  `;
+
+  res.json(updatedProduct);
+}
+
+// Les classes de taxe disponibles sont listées par GET /tax/classes
+async function taxClassExists(code) {
+  const [taxClass] = await sql`
+    SELECT code FROM tax_classes WHERE code = ${code}
+  `;
+
+  return Boolean(taxClass);
+}
+
+/**
+ * @swagger
+ * /products/{id}/stock:
+ *   post:
+ *     summary: Ajuste le stock d'un produit
+ *     description: |
+ *       Ajoute (quantité positive) ou retire (quantité négative) du stock, avec une raison
+ *       inscrite au registre des mouvements de stock. Réservé aux administrateurs.
+ *     tags: [Produits]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock ajusté
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 product:
+ *                   $ref: '#/components/schemas/Product'
+ *                 movement:
+ *                   $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Le stock deviendrait négatif
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Error'
+ *                 - type: object
+ *                   properties:
+ *                     available:
+ *                       type: integer
+ *                       example: 3
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   get:
+ *     summary: Récupère le registre des mouvements de stock d'un produit
+ *     description: |
+ *       Mouvements du plus récent au plus ancien, avec le stock obtenu après chacun. Réservé aux administrateurs.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`.
+ *     tags: [Produits]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/StockMovementListFilters'
+ *       - $ref: '#/components/parameters/StockMovementListSort'
+ *       - $ref: '#/components/parameters/StockMovementListFields'
+ *     responses:
+ *       200:
+ *         description: Mouvements de stock du produit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stock:
+ *                   type: integer
+ *                   example: 42
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Ajustement manuel du stock d'un produit, inscrit au registre des mouvements
+router.post("/:id/stock", authenticate, authorize("products:manageStock"), validate({ params: IdParamsSchema, body: StockAdjustmentSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { quantity, reason } = req.body;
+
+  const outcome = await withTransaction(async tx => {
+    const [product] = await tx`
+      SELECT ${sql(PRODUCT_COLUMNS)} FROM products WHERE id = ${id} FOR UPDATE
+    `;
+
+    if (!product) {
+      throw new NotFoundError("PRODUCT_NOT_FOUND");
+    }
+
+    if (product.stock + quantity < 0) {
+      throw new ConflictError("NEGATIVE_STOCK", { available: product.stock });
+    }
+
+    const [movement] = await applyStockChanges(
+      [{ productId: product.id, quantity }],
+      tx,
+      { type: "adjustment", userId: req.user.id, reason }
+    );
+
+    const [updatedProduct] = await tx`
+      SELECT ${sql(PRODUCT_COLUMNS)} FROM products WHERE id = ${id}
+    `;
+
+    return { product: updatedProduct, movement };
+  });
+
+  res.json(outcome);
+});
+
+// Registre des mouvements de stock d'un produit
+router.get("/:id/stock", authenticate, authorize("products:manageStock"), validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  const [product] = await sql`
+    SELECT id, stock FROM products WHERE id = ${id}
+  `;
+
+  if (!product) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND");
   }
+
+  const list = parseListQuery(req.query, STOCK_MOVEMENT_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, STOCK_MOVEMENT_LIST));
+
+  const records = await sql`
+    SELECT *, ${paging.cursorColumns} FROM stock_movements
+    WHERE product_id = ${id} AND ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  // Compter les mouvements pour la pagination, selon le mode de comptage demandé
+  const { rows: movements, pagination } = await paginate(records, paging, sql`FROM stock_movements WHERE product_id = ${id} AND ${list.where}`);
+
+  res.json({
+    stock: product.stock,
+    movements: movements.map(movement => pickFields(movement, list.fields)),
+    pagination
+  });
 });
 
 /**
@@ -318,15 +551,10 @@ router.post("/", async (req, res) => {
  * /products/{id}:
  *   delete:
  *     summary: Supprime un produit
- *     description: Supprime un produit et tous ses avis associés
+ *     description: Supprime un produit et tous ses avis associés (administrateurs et vendeurs)
  *     tags: [Produits]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: ID du produit à supprimer
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Produit supprimé avec succès
@@ -340,31 +568,30 @@ router.post("/", async (req, res) => {
  *                   example: "Produit supprimé avec succès"
  *                 product:
  *                   $ref: '#/components/schemas/Product'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
  *         $ref: '#/components/responses/NotFound'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 // Supprime un produit grace à son ID
-router.delete("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [deletedProduct] = await sql`
-      DELETE FROM products WHERE id = ${id}
-      RETURNING *
-    `;
-
-    // Cas ou le produit n'existe pas
-    if (!deletedProduct) {
-      return res.status(404).json({ error: "Produit non trouvé" });
-    }
+router.delete("/:id", authenticate, authorize("products:delete"), validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const [deletedProduct] = await sql`
+    DELETE FROM products WHERE id = ${id}
+    RETURNING ${sql(PRODUCT_COLUMNS)}
+  `;
 
-    res.json({ message: "Produit supprimé avec succès", product: deletedProduct });
-  } catch (error) {
-    console.error("Erreur lors de la suppression du produit:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+  // Cas ou le produit n'existe pas
+  if (!deletedProduct) {
+    throw new NotFoundError("PRODUCT_NOT_FOUND");
   }
+
+  res.json({ message: translate(req.locale, "messages.PRODUCT_DELETED"), product: deletedProduct });
 });
 
 module.exports = router; 
\ No newline at end of file
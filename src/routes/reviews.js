@@ -1,29 +1,54 @@
 const express = require("express");
 const router = express.Router();
 const { sql } = require("../config/database");
-const { ReviewSchema, ReviewUpdateSchema } = require("../models/schemas");
+const config = require("../config");
+const { IdParamsSchema, ReviewSchema, ReviewUpdateSchema, ReviewModerationSchema, ReviewReportSchema } = require("../models/schemas");
 const { updateProductScore } = require("../utils/helpers");
+const { withTransaction } = require("../utils/transaction");
+const { authenticate, optionalAuthenticate, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { can, redactEmail } = require("../utils/policies");
+const { REVIEW_LIST, REVIEW_QUEUE_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+
+// Un avis en attente ou refusé n'est visible que par son auteur et les modérateurs
+function canViewReview(review, viewer) {
+  return review.status === "approved" || can(viewer, "reviews:moderate") || Boolean(viewer && viewer.id === review.user_id);
+}
+
+// Condition SQL équivalente à canViewReview, pour les listes d'avis (alias r)
+function visibleReviews(viewer) {
+  if (can(viewer, "reviews:moderate")) {
+    return sql`TRUE`;
+  }
+
+  return viewer ? sql`(r.status = 'approved' OR r.user_id = ${viewer.id})` : sql`r.status = 'approved'`;
+}
 
 /**
  * @swagger
  * /reviews:
  *   get:
  *     summary: Récupère tous les avis
- *     description: Récupère la liste des avis avec pagination et détails complets (utilisateur + produit)
+ *     description: |
+ *       Récupère la liste des avis avec pagination et détails complets (utilisateur + produit).
+ *       Seuls les avis publiés (`approved`) sont listés, ainsi que les avis de l'utilisateur authentifié
+ *       quel que soit leur statut ; les modérateurs voient tous les avis.
+ *       L'email des auteurs n'est visible que par eux-mêmes et les administrateurs.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`.
  *     tags: [Avis]
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Numéro de page pour la pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Nombre d'éléments par page
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/ReviewListFilters'
+ *       - $ref: '#/components/parameters/ReviewListSort'
+ *       - $ref: '#/components/parameters/ReviewListFields'
  *     responses:
  *       200:
  *         description: Liste des avis avec détails complets
@@ -38,69 +63,225 @@ const { updateProductScore } = require("../utils/helpers");
  *                     $ref: '#/components/schemas/Review'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 // GET /reviews - Récupère tous les avis avec pagination
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const reviews = await sql`
-      SELECT r.*, u.username, u.email, p.name as product_name
-      FROM reviews r
-      JOIN users u ON r.user_id = u.id
-      JOIN products p ON r.product_id = p.id
-      ORDER BY r.created_at DESC 
-      LIMIT ${limit} OFFSET ${offset}
-    `;
+router.get("/", optionalAuthenticate, async (req, res) => {
+  const list = parseListQuery(req.query, REVIEW_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, REVIEW_LIST));
+
+  const records = await sql`
+    SELECT r.*, u.username, u.email, p.name as product_name, ${paging.cursorColumns}
+    FROM reviews r
+    JOIN users u ON r.user_id = u.id
+    JOIN products p ON r.product_id = p.id
+    WHERE ${visibleReviews(req.user)} AND ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  // Compter les avis pour la pagination, selon le mode de comptage demandé
+  const { rows: reviews, pagination } = await paginate(records, paging, sql`FROM reviews r WHERE ${visibleReviews(req.user)} AND ${list.where}`);
+
+  res.json({
+    reviews: reviews.map(review => pickFields(redactEmail(review, req.user, review.user_id), list.fields)),
+    pagination
+  });
+});
 
-    // Compter le nombre total d'avis pour la pagination
-    const [{ count }] = await sql`SELECT COUNT(*) as count FROM reviews`;
-    const totalPages = Math.ceil(count / limit);
-
-    res.json({
-      reviews,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
-    });
-  } catch (error) {
-    console.error("Erreur lors de la récupération des avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+/**
+ * @swagger
+ * /reviews/moderation-queue:
+ *   get:
+ *     summary: File de modération des avis
+ *     description: |
+ *       Avis en attente de modération (`pending`), du plus ancien au plus récent : avis nouveaux ou modifiés,
+ *       et avis publiés renvoyés en modération par des signalements d'abus. Chaque avis est accompagné de ses
+ *       signalements en attente (`reports`, `report_count`). Réservé aux modérateurs et aux administrateurs.
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/ReviewQueueListFilters'
+ *       - $ref: '#/components/parameters/ReviewQueueListSort'
+ *       - $ref: '#/components/parameters/ReviewQueueListFields'
+ *     responses:
+ *       200:
+ *         description: Avis en attente de modération
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Review'
+ *                       - type: object
+ *                         properties:
+ *                           report_count:
+ *                             type: integer
+ *                           reports:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/ReviewReport'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+// File de modération : avis en attente avec leurs signalements
+router.get("/moderation-queue", authenticate, authorize("reviews:moderate"), async (req, res) => {
+  const list = parseListQuery(req.query, REVIEW_QUEUE_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, REVIEW_QUEUE_LIST));
+
+  const records = await sql`
+    SELECT r.*, u.username, u.email, p.name as product_name, ${paging.cursorColumns}
+    FROM reviews r
+    JOIN users u ON r.user_id = u.id
+    JOIN products p ON r.product_id = p.id
+    WHERE r.status = 'pending' AND ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  const { rows, pagination } = await paginate(records, paging, sql`FROM reviews r WHERE r.status = 'pending' AND ${list.where}`);
+
+  // Signalements en attente des avis de la page
+  const reports = rows.length > 0 ? await sql`
+    SELECT * FROM review_reports
+    WHERE review_id IN ${sql(rows.map(review => review.id))} AND resolved_at IS NULL
+    ORDER BY created_at
+  ` : [];
+
+  const reviews = rows.map(review => {
+    const reviewReports = reports.filter(report => report.review_id === review.id);
+    return { ...review, report_count: reviewReports.length, reports: reviewReports };
+  });
+
+  res.json({
+    reviews: reviews.map(review => pickFields(redactEmail(review, req.user, review.user_id), list.fields)),
+    pagination
+  });
 });
 
+/**
+ * @swagger
+ * /reviews/{id}:
+ *   get:
+ *     summary: Récupère un avis par son ID
+ *     description: |
+ *       Un avis en attente ou refusé n'est visible que par son auteur et les modérateurs.
+ *       L'email de l'auteur n'est visible que par lui-même et les administrateurs
+ *     tags: [Avis]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avis trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   put:
+ *     summary: Met à jour un avis
+ *     description: Réservé à l'auteur de l'avis ; l'avis modifié repasse en modération et le score du produit est recalculé
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avis mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   patch:
+ *     summary: Met à jour partiellement un avis
+ *     description: Identique au PUT, seuls les champs fournis sont modifiés
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avis mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Supprime un avis
+ *     description: Réservé à l'auteur de l'avis ; le score du produit est recalculé
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avis supprimé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 review:
+ *                   $ref: '#/components/schemas/Review'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
 // Récupération d'un avis par son ID
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [review] = await sql`
-      SELECT r.*, u.username, u.email, p.name as product_name
-      FROM reviews r
-      JOIN users u ON r.user_id = u.id
-      JOIN products p ON r.product_id = p.id
-      WHERE r.id = ${id}
-    `;
-
-    // Cas où l'avis n'existe pas
-    if (!review) {
-      return res.status(404).json({ error: "Avis non trouvé" });
-    }
-
-    res.json(review);
-  } catch (error) {
-    console.error("Erreur lors de la récupération de l'avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+router.get("/:id", optionalAuthenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const review = await findReviewWithDetails(id);
+
+  // Cas où l'avis n'existe pas ou n'est pas visible par l'utilisateur
+  if (!review || !canViewReview(review, req.user)) {
+    throw new NotFoundError("REVIEW_NOT_FOUND");
   }
+
+  res.json(redactEmail(review, req.user, review.user_id));
 });
 
 /**
@@ -108,38 +289,12 @@ router.get("/:id", async (req, res) => {
  * /reviews:
  *   post:
  *     summary: Crée un nouvel avis
- *     description: Crée un nouvel avis et met à jour automatiquement le score du produit
+ *     description: |
+ *       Crée un nouvel avis au nom de l'utilisateur authentifié. L'avis est en attente de modération (`pending`) :
+ *       il ne compte dans le score du produit qu'une fois publié par un modérateur
  *     tags: [Avis]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - productId
- *               - score
- *               - content
- *             properties:
- *               userId:
- *                 type: integer
- *                 minimum: 1
- *                 example: 1
- *               productId:
- *                 type: integer
- *                 minimum: 1
- *                 example: 1
- *               score:
- *                 type: integer
- *                 minimum: 1
- *                 maximum: 5
- *                 example: 5
- *               content:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 1000
- *                 example: "Excellent produit, je recommande !"
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: Avis créé avec succès
@@ -149,264 +304,335 @@ router.get("/:id", async (req, res) => {
  *               $ref: '#/components/schemas/Review'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       404:
- *         description: Utilisateur ou produit non trouvé
+ *         description: Produit non trouvé
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Utilisateur non trouvé"
+ *               $ref: '#/components/schemas/Error'
  *       409:
  *         description: Conflit - Avis déjà existant
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Vous avez déjà laissé un avis pour ce produit"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-// Création d'un nouvel avis
-router.post("/", async (req, res) => {
-  try {
-    const result = await ReviewSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { userId, productId, score, content } = result.data;
-
-      // Vérifier si l'utilisateur existe
-      const [user] = await sql`
-        SELECT id FROM users WHERE id = ${userId}
-      `;
+// Création d'un nouvel avis par l'utilisateur authentifié
+router.post("/", authenticate, validate({ body: ReviewSchema }), async (req, res) => {
+  const { productId, score, content } = req.body;
+  const userId = req.user.id;
+
+  // Insertion de l'avis, en attente de modération
+  const review = await withTransaction(async tx => {
+    // Verrouiller le produit : il ne peut pas être supprimé ni recalculé en parallèle
+    const [product] = await tx`
+      SELECT id FROM products WHERE id = ${productId} FOR UPDATE
+    `;
 
-      if (!user) {
-        return res.status(404).json({ error: "Utilisateur non trouvé" });
-      }
+    if (!product) {
+      throw new NotFoundError("PRODUCT_NOT_FOUND");
+    }
 
-      // Vérifier si le produit existe
-      const [product] = await sql`
-        SELECT id FROM products WHERE id = ${productId}
-      `;
+    // Vérifier si l'utilisateur a déjà laissé un avis pour ce produit
+    const [existingReview] = await tx`
+      SELECT id FROM reviews WHERE user_id = ${userId} AND product_id = ${productId}
+    `;
 
-      if (!product) {
-        return res.status(404).json({ error: "Produit non trouvé" });
-      }
+    if (existingReview) {
+      throw new ConflictError("REVIEW_ALREADY_EXISTS");
+    }
 
-      // Vérifier si l'utilisateur a déjà laissé un avis pour ce produit
-      const [existingReview] = await sql`
-        SELECT id FROM reviews WHERE user_id = ${userId} AND product_id = ${productId}
-      `;
+    const [newReview] = await tx`
+      INSERT INTO reviews (user_id, product_id, score, content)
+      VALUES (${userId}, ${productId}, ${score}, ${content})
+      RETURNING *
+    `;
 
-      if (existingReview) {
-        return res.status(409).json({ 
-          error: "Vous avez déjà laissé un avis pour ce produit" 
-        });
-      }
+    return findReviewWithDetails(newReview.id, tx);
+  });
 
-      const [newReview] = await sql`
-        INSERT INTO reviews (user_id, product_id, score, content)
-        VALUES (${userId}, ${productId}, ${score}, ${content})
-        RETURNING *
-      `;
+  res.status(201).json(redactEmail(review, req.user, review.user_id));
+});
 
-      // Mettre à jour le score du produit
-      await updateProductScore(productId);
+// Mise à jour complète d'un avis
+router.put("/:id", authenticate, validate({ params: IdParamsSchema, body: ReviewUpdateSchema }), async (req, res) => {
+  await updateReview(req, res);
+});
 
-      // Récupérer l'avis avec les détails complets
-      const [reviewWithDetails] = await sql`
-        SELECT r.*, u.username, u.email, p.name as product_name
-        FROM reviews r
-        JOIN users u ON r.user_id = u.id
-        JOIN products p ON r.product_id = p.id
-        WHERE r.id = ${newReview.id}
-      `;
+// Mise à jour partielle d'un avis
+router.patch("/:id", authenticate, validate({ params: IdParamsSchema, body: ReviewUpdateSchema }), async (req, res) => {
+  await updateReview(req, res);
+});
 
-      res.status(201).json(reviewWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
-    }
-  } catch (error) {
-    console.error("Erreur lors de la création de l'avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+// Logique commune au PUT et au PATCH d'un avis
+async function updateReview(req, res) {
+  const { id } = req.params;
+  const { score, content } = req.body;
+
+  // Vérifier qu'au moins un champ est fourni
+  if (score === undefined && content === undefined) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
   }
-});
 
-// Mise à jour complète d'un avis
-router.put("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await ReviewUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { score, content } = result.data;
-      
-      // Vérifier si l'avis existe
-      const [existingReview] = await sql`
-        SELECT * FROM reviews WHERE id = ${id}
-      `;
+  const review = await withTransaction(async tx => {
+    // Verrouiller l'avis le temps de la mise à jour
+    const [existingReview] = await tx`
+      SELECT * FROM reviews WHERE id = ${id} FOR UPDATE
+    `;
 
-      if (!existingReview) {
-        return res.status(404).json({ error: "Avis non trouvé" });
-      }
-
-      // Vérifier qu'au moins un champ est fourni
-      if (score === undefined && content === undefined) {
-        return res.status(400).json({ error: "Aucune donnée à mettre à jour" });
-      }
-
-      // Construire la requête SQL de manière conditionnelle
-      let updatedReview;
-      if (score !== undefined && content !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET score = ${score}, content = ${content}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (score !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET score = ${score}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (content !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET content = ${content}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      }
-
-      // Mettre à jour le score du produit
-      await updateProductScore(updatedReview.product_id);
-
-      // Récupérer l'avis avec les détails complets
-      const [reviewWithDetails] = await sql`
-        SELECT r.*, u.username, u.email, p.name as product_name
-        FROM reviews r
-        JOIN users u ON r.user_id = u.id
-        JOIN products p ON r.product_id = p.id
-        WHERE r.id = ${id}
-      `;
+    if (!existingReview) {
+      throw new NotFoundError("REVIEW_NOT_FOUND");
+    }
 
-      res.json(reviewWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
+    // Seul l'auteur de l'avis peut le modifier
+    if (existingReview.user_id !== req.user.id) {
+      throw new ForbiddenError("NOT_REVIEW_AUTHOR");
     }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour de l'avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+
+    // L'avis modifié doit être de nouveau validé par un modérateur
+    const updateData = { status: "pending", rejection_reason: null };
+    if (score !== undefined) updateData.score = score;
+    if (content !== undefined) updateData.content = content;
+
+    await tx`
+      UPDATE reviews SET ${tx(updateData)}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `;
+
+    // Mettre à jour le score du produit
+    await updateProductScore(existingReview.product_id, tx);
+
+    return findReviewWithDetails(id, tx);
+  });
+
+  res.json(redactEmail(review, req.user, review.user_id));
+}
+
+/**
+ * @swagger
+ * /reviews/{id}/moderation:
+ *   post:
+ *     summary: Publie ou refuse un avis
+ *     description: |
+ *       Décision d'un modérateur : `approved` publie l'avis, `rejected` le refuse avec un motif (`reason`, obligatoire)
+ *       visible par l'auteur. La décision traite les signalements en attente et le score du produit est recalculé.
+ *       Un avis déjà publié peut être refusé, et inversement. Réservé aux modérateurs et aux administrateurs,
+ *       qui ne peuvent pas modérer leurs propres avis.
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avis modéré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Décision d'un modérateur sur un avis
+router.post("/:id/moderation", authenticate, authorize("reviews:moderate"), validate({ params: IdParamsSchema, body: ReviewModerationSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  const review = await withTransaction(async tx => {
+    // Verrouiller l'avis : une modification ou un signalement concurrent s'applique après la décision
+    const [existingReview] = await tx`
+      SELECT * FROM reviews WHERE id = ${id} FOR UPDATE
+    `;
+
+    if (!existingReview) {
+      throw new NotFoundError("REVIEW_NOT_FOUND");
+    }
+
+    if (existingReview.user_id === req.user.id) {
+      throw new ForbiddenError("CANNOT_MODERATE_OWN_REVIEW");
+    }
+
+    await tx`
+      UPDATE reviews
+      SET status = ${status},
+          rejection_reason = ${status === "rejected" ? reason : null},
+          moderated_by = ${req.user.id},
+          moderated_at = CURRENT_TIMESTAMP
+      WHERE id = ${id}
+    `;
+
+    // La décision traite les signalements en attente
+    await tx`
+      UPDATE review_reports SET resolved_at = CURRENT_TIMESTAMP
+      WHERE review_id = ${id} AND resolved_at IS NULL
+    `;
+
+    // Mettre à jour le score du produit
+    await updateProductScore(existingReview.product_id, tx);
+
+    return findReviewWithDetails(id, tx);
+  });
+
+  res.json(redactEmail(review, req.user, review.user_id));
 });
 
-// Mise à jour partielle d'un avis
-router.patch("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await ReviewUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { score, content } = result.data;
-      
-      // Vérifier si l'avis existe
-      const [existingReview] = await sql`
-        SELECT * FROM reviews WHERE id = ${id}
-      `;
+/**
+ * @swagger
+ * /reviews/{id}/reports:
+ *   post:
+ *     summary: Signale un avis abusif
+ *     description: |
+ *       Signale un avis publié avec un motif. Un utilisateur ne peut pas signaler son propre avis ni signaler
+ *       deux fois le même avis tant que son signalement n'a pas été traité. À partir de `REVIEW_REPORT_THRESHOLD`
+ *       signalements en attente (3 par défaut), l'avis repasse en modération et ne compte plus dans le score
+ *       du produit jusqu'à la décision d'un modérateur.
+ *     tags: [Avis]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Signalement enregistré
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   $ref: '#/components/schemas/ReviewReport'
+ *                 requeued:
+ *                   type: boolean
+ *                   description: L'avis est repassé en modération suite à ce signalement
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Avis déjà signalé ou non publié
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+// Signalement d'un avis abusif par un utilisateur
+router.post("/:id/reports", authenticate, validate({ params: IdParamsSchema, body: ReviewReportSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  const outcome = await withTransaction(async tx => {
+    // Verrouiller l'avis pour compter les signalements sans en manquer un concurrent
+    const [review] = await tx`
+      SELECT * FROM reviews WHERE id = ${id} FOR UPDATE
+    `;
 
-      if (!existingReview) {
-        return res.status(404).json({ error: "Avis non trouvé" });
-      }
-
-      // Vérifier qu'au moins un champ est fourni
-      if (score === undefined && content === undefined) {
-        return res.status(400).json({ error: "Aucune donnée à mettre à jour" });
-      }
-
-      // Construire la requête SQL de manière conditionnelle
-      let updatedReview;
-      if (score !== undefined && content !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET score = ${score}, content = ${content}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (score !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET score = ${score}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      } else if (content !== undefined) {
-        [updatedReview] = await sql`
-          UPDATE reviews SET content = ${content}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING *
-        `;
-      }
-
-      // Mettre à jour le score du produit
-      await updateProductScore(updatedReview.product_id);
-
-      // Récupérer l'avis avec les détails complets
-      const [reviewWithDetails] = await sql`
-        SELECT r.*, u.username, u.email, p.name as product_name
-        FROM reviews r
-        JOIN users u ON r.user_id = u.id
-        JOIN products p ON r.product_id = p.id
-        WHERE r.id = ${id}
-      `;
+    if (!review || !canViewReview(review, req.user)) {
+      throw new NotFoundError("REVIEW_NOT_FOUND");
+    }
 
-      res.json(reviewWithDetails);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
+    if (review.user_id === req.user.id) {
+      throw new ForbiddenError("CANNOT_REPORT_OWN_REVIEW");
     }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour partielle de l'avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+
+    // Un avis en attente est déjà dans la file de modération, un avis refusé n'est plus publié
+    if (review.status !== "approved") {
+      throw new ConflictError("REVIEW_NOT_REPORTABLE", { reviewStatus: review.status });
+    }
+
+    const [existingReport] = await tx`
+      SELECT id FROM review_reports
+      WHERE review_id = ${id} AND user_id = ${req.user.id} AND resolved_at IS NULL
+    `;
+
+    if (existingReport) {
+      throw new ConflictError("REVIEW_ALREADY_REPORTED");
+    }
+
+    const [report] = await tx`
+      INSERT INTO review_reports (review_id, user_id, reason)
+      VALUES (${id}, ${req.user.id}, ${reason})
+      RETURNING *
+    `;
+
+    const [{ count }] = await tx`
+      SELECT COUNT(*)::int AS count FROM review_reports
+      WHERE review_id = ${id} AND resolved_at IS NULL
+    `;
+
+    // Au seuil de signalements, l'avis repasse en modération et sort du score du produit
+    const requeued = count >= config.reviews.reportThreshold;
+
+    if (requeued) {
+      await tx`
+        UPDATE reviews SET status = 'pending' WHERE id = ${id}
+      `;
+      await updateProductScore(review.product_id, tx);
+    }
+
+    return { report, requeued };
+  });
+
+  res.status(201).json(outcome);
 });
 
 // Suppression d'un avis
-router.delete("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Récupérer l'avis avant suppression pour avoir le product_id
-    const [reviewToDelete] = await sql`
-      SELECT * FROM reviews WHERE id = ${id}
+router.delete("/:id", authenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  const review = await withTransaction(async tx => {
+    // Récupérer l'avis avant suppression pour avoir le product_id et les détails
+    const [reviewToDelete] = await tx`
+      SELECT * FROM reviews WHERE id = ${id} FOR UPDATE
     `;
 
     if (!reviewToDelete) {
-      return res.status(404).json({ error: "Avis non trouvé" });
+      throw new NotFoundError("REVIEW_NOT_FOUND");
     }
 
-    const [deletedReview] = await sql`
+    // Seul l'auteur de l'avis peut le supprimer
+    if (reviewToDelete.user_id !== req.user.id) {
+      throw new ForbiddenError("NOT_REVIEW_AUTHOR");
+    }
+
+    const deletedReview = await findReviewWithDetails(id, tx);
+
+    await tx`
       DELETE FROM reviews WHERE id = ${id}
-      RETURNING *
     `;
 
     // Mettre à jour le score du produit
-    await updateProductScore(reviewToDelete.product_id);
-
-    // Récupérer l'avis avec les détails complets avant suppression
-    const [reviewWithDetails] = await sql`
-      SELECT r.*, u.username, u.email, p.name as product_name
-      FROM reviews r
-      JOIN users u ON r.user_id = u.id
-      JOIN products p ON r.product_id = p.id
-      WHERE r.id = ${id}
-    `;
+    await updateProductScore(reviewToDelete.product_id, tx);
 
-    res.json({ 
-      message: "Avis supprimé avec succès", 
-      review: reviewWithDetails 
-    });
-  } catch (error) {
-    console.error("Erreur lors de la suppression de l'avis:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+    return deletedReview;
+  });
+
+  res.json({ 
+    message: translate(req.locale, "messages.REVIEW_DELETED"), 
+    review: redactEmail(review, req.user, review.user_id) 
+  });
 });
 
-module.exports = router; 
\ No newline at end of file
+// Récupère un avis avec son auteur et le nom du produit
+async function findReviewWithDetails(id, db = sql) {
+  const [review] = await db`
+    SELECT r.*, u.username, u.email, p.name as product_name
+    FROM reviews r
+    JOIN users u ON r.user_id = u.id
+    JOIN products p ON r.product_id = p.id
+    WHERE r.id = ${id}
+  `;
+
+  return review;
+}
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require("express");
+const router = express.Router();
+const { sql } = require("../config/database");
+const { TaxClassSchema, TaxRateSchema, TaxRateQuerySchema } = require("../models/schemas");
+const { authenticate, authorize } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { withTransaction } = require("../utils/transaction");
+const { BadRequestError, ConflictError } = require("../utils/errors");
+
+/**
+ * @swagger
+ * /tax/classes:
+ *   get:
+ *     summary: Récupère les classes de taxe
+ *     description: Classes de taxe attribuables aux produits (champ `tax_class`)
+ *     tags: [Taxes]
+ *     responses:
+ *       200:
+ *         description: Liste des classes de taxe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxClass'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Crée une classe de taxe
+ *     description: Réservé aux administrateurs
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Classe de taxe créée
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxClass'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Conflit - Une classe de taxe avec ce code existe déjà
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération des classes de taxe
+router.get("/classes", async (req, res) => {
+  const taxClasses = await sql`
+    SELECT * FROM tax_classes ORDER BY code
+  `;
+
+  res.json(taxClasses);
+});
+
+// Création d'une classe de taxe
+router.post("/classes", authenticate, authorize("tax:manage"), validate({ body: TaxClassSchema }), async (req, res) => {
+  const { code, name } = req.body;
+
+  const [existingClass] = await sql`
+    SELECT code FROM tax_classes WHERE code = ${code}
+  `;
+
+  if (existingClass) {
+    throw new ConflictError("TAX_CLASS_CODE_TAKEN");
+  }
+
+  const [taxClass] = await sql`
+    INSERT INTO tax_classes (code, name)
+    VALUES (${code}, ${name})
+    RETURNING *
+  `;
+
+  res.status(201).json(taxClass);
+});
+
+/**
+ * @swagger
+ * /tax/rates:
+ *   get:
+ *     summary: Récupère les taux de TVA
+ *     description: Taux par pays et par classe de taxe avec leur période de validité
+ *     tags: [Taxes]
+ *     responses:
+ *       200:
+ *         description: Liste des taux de TVA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   post:
+ *     summary: Ajoute un taux de TVA
+ *     description: |
+ *       Ajoute un taux pour un pays et une classe de taxe, valable de `validFrom` inclus à `validTo` exclu.
+ *       Un taux sans date de fin déjà en vigueur est automatiquement clos à la date de début du nouveau taux,
+ *       ce qui permet de programmer un changement de taux. Réservé aux administrateurs.
+ *     tags: [Taxes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Taux de TVA créé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TaxRate'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Conflit - La période chevauche un autre taux du même pays et de la même classe
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération des taux de TVA, éventuellement filtrés par pays et par date
+router.get("/rates", validate({ query: TaxRateQuerySchema }), async (req, res) => {
+  const { country, date } = req.query;
+
+  const rates = await sql`
+    SELECT * FROM tax_rates
+    WHERE TRUE
+      ${country ? sql`AND country = ${country}` : sql``}
+      ${date ? sql`AND valid_from <= ${date}::date AND (valid_to IS NULL OR valid_to > ${date}::date)` : sql``}
+    ORDER BY country, tax_class, valid_from
+  `;
+
+  res.json(rates);
+});
+
+// Ajout d'un taux de TVA
+router.post("/rates", authenticate, authorize("tax:manage"), validate({ body: TaxRateSchema }), async (req, res) => {
+  const { country, taxClass, rate, validFrom, validTo } = req.body;
+
+  const taxRate = await withTransaction(async tx => {
+    // Verrouiller la classe de taxe pour que deux ajouts concurrents ne se chevauchent pas
+    const [existingClass] = await tx`
+      SELECT code FROM tax_classes WHERE code = ${taxClass} FOR UPDATE
+    `;
+
+    if (!existingClass) {
+      throw new BadRequestError("UNKNOWN_TAX_CLASS", { taxClass });
+    }
+
+    const overlapping = await tx`
+      SELECT * FROM tax_rates
+      WHERE country = ${country} AND tax_class = ${taxClass}
+        AND (valid_to IS NULL OR valid_to > ${validFrom}::date)
+        AND (${validTo || null}::date IS NULL OR valid_from < ${validTo || null}::date)
+    `;
+
+    // Seul un taux sans fin ayant commencé avant le nouveau peut être clos automatiquement
+    const closable = overlapping.filter(existing => existing.valid_to === null && existing.valid_from < new Date(validFrom));
+
+    if (overlapping.length > closable.length) {
+      throw new ConflictError("TAX_RATE_OVERLAP", { overlapping });
+    }
+
+    for (const existing of closable) {
+      await tx`
+        UPDATE tax_rates SET valid_to = ${validFrom} WHERE id = ${existing.id}
+      `;
+    }
+
+    const [createdRate] = await tx`
+      INSERT INTO tax_rates (country, tax_class, rate, valid_from, valid_to)
+      VALUES (${country}, ${taxClass}, ${rate}, ${validFrom}, ${validTo || null})
+      RETURNING *
+    `;
+
+    return createdRate;
+  });
+
+  res.status(201).json(taxRate);
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require("express");
+// Monté sur /users/:id/games : l'ID de l'utilisateur vient du chemin du routeur parent
+const router = express.Router({ mergeParams: true });
+const { sql } = require("../config/database");
+const { IdParamsSchema, UserGameParamsSchema, UserGameSchema, UserGameUpdateSchema } = require("../models/schemas");
+const { authenticate, requireSelf } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { USER_GAME_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { assertGameExists, attachGames } = require("../utils/game-library");
+const { BadRequestError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+
+// Colonnes de user_games correspondant aux champs du corps des requêtes
+const USER_GAME_COLUMNS = {
+  status: "status",
+  hoursPlayed: "hours_played",
+  rating: "rating"
+};
+
+async function assertUserExists(userId) {
+  const [user] = await sql`SELECT id FROM users WHERE id = ${userId}`;
+
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
+}
+
+async function findUserGame(userId, gameId) {
+  const [entry] = await sql`
+    SELECT * FROM user_games WHERE user_id = ${userId} AND game_id = ${gameId}
+  `;
+
+  if (!entry) {
+    throw new NotFoundError("USER_GAME_NOT_FOUND");
+  }
+
+  return entry;
+}
+
+// Entrée de la bibliothèque complétée par le détail du jeu
+async function withGame(entry) {
+  const { records: [record] } = await attachGames([entry]);
+  return record;
+}
+
+/**
+ * @swagger
+ * /users/{id}/games:
+ *   get:
+ *     summary: Récupère la bibliothèque de jeux d'un utilisateur
+ *     description: |
+ *       Jeux Free-to-Play suivis par l'utilisateur avec leur statut, les heures de jeu et sa note, complétés par le
+ *       détail du jeu mis en cache (`game`). Si l'API FreeToGame est indisponible, `game` vaut null et
+ *       `gamesAvailable` false. Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`.
+ *     tags: [Bibliothèque de jeux]
+ *     parameters:
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/UserGameListFilters'
+ *       - $ref: '#/components/parameters/UserGameListSort'
+ *       - $ref: '#/components/parameters/UserGameListFields'
+ *     responses:
+ *       200:
+ *         description: Bibliothèque de l'utilisateur
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 games:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserGame'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 gamesAvailable:
+ *                   type: boolean
+ *                   description: false si le détail des jeux n'a pas pu être récupéré
+ *                 stale:
+ *                   type: boolean
+ *                   description: Détail des jeux servi depuis un cache périmé
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   post:
+ *     summary: Ajoute un jeu à la bibliothèque d'un utilisateur
+ *     description: |
+ *       Ajoute un jeu de l'API FreeToGame (`gameId`, voir GET /f2p-games) avec un statut (wishlist par défaut),
+ *       les heures de jeu et une note de 1 à 5. Réservé à l'utilisateur lui-même et aux administrateurs.
+ *     tags: [Bibliothèque de jeux]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Jeu ajouté à la bibliothèque
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserGame'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Utilisateur ou jeu non trouvé
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Conflit - Jeu déjà présent dans la bibliothèque
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       502:
+ *         $ref: '#/components/responses/BadGateway'
+ *       503:
+ *         $ref: '#/components/responses/ServiceUnavailable'
+ */
+// Récupération de la bibliothèque d'un utilisateur avec pagination
+router.get("/", validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+
+  await assertUserExists(id);
+
+  const list = parseListQuery(req.query, USER_GAME_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, USER_GAME_LIST));
+
+  const records = await sql`
+    SELECT *, ${paging.cursorColumns}
+    FROM user_games
+    WHERE user_id = ${id} AND ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
+
+  const { rows, pagination } = await paginate(records, paging, sql`FROM user_games WHERE user_id = ${id} AND ${list.where}`);
+  const { records: games, gamesAvailable, stale } = await attachGames(rows);
+
+  res.json({
+    games: games.map(game => pickFields(game, list.fields)),
+    pagination,
+    gamesAvailable,
+    stale
+  });
+});
+
+// Ajout d'un jeu à la bibliothèque d'un utilisateur
+router.post("/", authenticate, validate({ params: IdParamsSchema, body: UserGameSchema }), requireSelf(), async (req, res) => {
+  const { id } = req.params;
+  const { gameId, status, hoursPlayed = 0, rating = null } = req.body;
+
+  await assertUserExists(id);
+
+  const [existing] = await sql`
+    SELECT id FROM user_games WHERE user_id = ${id} AND game_id = ${gameId}
+  `;
+
+  if (existing) {
+    throw new ConflictError("USER_GAME_ALREADY_EXISTS");
+  }
+
+  await assertGameExists(gameId);
+
+  const [entry] = await sql`
+    INSERT INTO user_games (user_id, game_id, status, hours_played, rating)
+    VALUES (${id}, ${gameId}, ${status}, ${hoursPlayed}, ${rating})
+    RETURNING *
+  `;
+
+  res.status(201).json(await withGame(entry));
+});
+
+/**
+ * @swagger
+ * /users/{id}/games/{gameId}:
+ *   get:
+ *     summary: Récupère un jeu de la bibliothèque d'un utilisateur
+ *     tags: [Bibliothèque de jeux]
+ *     responses:
+ *       200:
+ *         description: Jeu de la bibliothèque
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserGame'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   patch:
+ *     summary: Met à jour le statut, les heures de jeu ou la note d'un jeu de la bibliothèque
+ *     description: Seuls les champs fournis sont modifiés. Réservé à l'utilisateur lui-même et aux administrateurs.
+ *     tags: [Bibliothèque de jeux]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jeu de la bibliothèque mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserGame'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *   delete:
+ *     summary: Retire un jeu de la bibliothèque d'un utilisateur
+ *     description: Réservé à l'utilisateur lui-même et aux administrateurs
+ *     tags: [Bibliothèque de jeux]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jeu retiré de la bibliothèque
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 game:
+ *                   $ref: '#/components/schemas/UserGame'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+// Récupération d'un jeu de la bibliothèque
+router.get("/:gameId", validate({ params: UserGameParamsSchema }), async (req, res) => {
+  const entry = await findUserGame(req.params.id, req.params.gameId);
+  res.json(await withGame(entry));
+});
+
+// Mise à jour partielle d'un jeu de la bibliothèque
+router.patch("/:gameId", authenticate, validate({ params: UserGameParamsSchema, body: UserGameUpdateSchema }), requireSelf(), async (req, res) => {
+  const { id, gameId } = req.params;
+
+  const updateData = Object.fromEntries(Object.entries(USER_GAME_COLUMNS)
+    .filter(([field]) => req.body[field] !== undefined)
+    .map(([field, column]) => [column, req.body[field]]));
+
+  // Vérifier qu'au moins un champ est fourni
+  if (Object.keys(updateData).length === 0) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
+
+  const [entry] = await sql`
+    UPDATE user_games SET ${sql(updateData)}, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = ${id} AND game_id = ${gameId}
+    RETURNING *
+  `;
+
+  if (!entry) {
+    throw new NotFoundError("USER_GAME_NOT_FOUND");
+  }
+
+  res.json(await withGame(entry));
+});
+
+// Retrait d'un jeu de la bibliothèque
+router.delete("/:gameId", authenticate, validate({ params: UserGameParamsSchema }), requireSelf(), async (req, res) => {
+  const { id, gameId } = req.params;
+
+  const [entry] = await sql`
+    DELETE FROM user_games WHERE user_id = ${id} AND game_id = ${gameId}
+    RETURNING *
+  `;
+
+  if (!entry) {
+    throw new NotFoundError("USER_GAME_NOT_FOUND");
+  }
+
+  res.json({
+    message: translate(req.locale, "messages.USER_GAME_DELETED"),
+    game: await withGame(entry)
+  });
+});
+
+module.exports = router;
@@ -1,29 +1,40 @@
 const express = require("express");
 const router = express.Router();
 const { sql } = require("../config/database");
-const { UserSchema, UserUpdateSchema, UserPartialUpdateSchema } = require("../models/schemas");
-const { hashPassword } = require("../utils/helpers");
+const { IdParamsSchema, UserSchema, UserUpdateSchema, UserPartialUpdateSchema, UserRoleSchema } = require("../models/schemas");
+const { hashPassword, updateProductScore } = require("../utils/helpers");
+const { authenticate, optionalAuthenticate, authorize, requireSelf } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { ROLES, redactEmail } = require("../utils/policies");
+const { USER_LIST } = require("../models/list-resources");
+const { parseListQuery, sortKeys, pickFields } = require("../utils/list-query");
+const { parsePagination, paginate } = require("../utils/pagination");
+const { BadRequestError, NotFoundError, ConflictError } = require("../utils/errors");
+const { translate } = require("../utils/i18n");
+const { withTransaction } = require("../utils/transaction");
+const { RELEASE_REASONS, releaseOrderStock } = require("../utils/inventory");
 
 /**
  * @swagger
  * /users:
  *   get:
  *     summary: Récupère tous les utilisateurs
- *     description: Récupère la liste des utilisateurs avec pagination (mots de passe exclus)
+ *     description: |
+ *       Récupère la liste des utilisateurs avec pagination (mots de passe exclus).
+ *       Seuls les administrateurs voient l'email des autres utilisateurs.
+ *       Filtres, tri et sélection de champs : voir les paramètres `filters`, `sort` et `fields`.
  *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Numéro de page pour la pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Nombre d'éléments par page
+ *       - $ref: '#/components/parameters/ListPage'
+ *       - $ref: '#/components/parameters/ListLimit'
+ *       - $ref: '#/components/parameters/ListAfter'
+ *       - $ref: '#/components/parameters/ListBefore'
+ *       - $ref: '#/components/parameters/ListCount'
+ *       - $ref: '#/components/parameters/UserListFilters'
+ *       - $ref: '#/components/parameters/UserListSort'
+ *       - $ref: '#/components/parameters/UserListFields'
  *     responses:
  *       200:
  *         description: Liste des utilisateurs
@@ -38,64 +49,152 @@ const { hashPassword } = require("../utils/helpers");
  *                     $ref: '#/components/schemas/User'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         $ref: '#/components/responses/InvalidListQuery'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
-// Récupération de tous les utilisateurs avec pagination de 10 utilisateurs par page
-router.get("/", async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    const users = await sql`
-      SELECT id, username, email, created_at, updated_at 
-      FROM users 
-      ORDER BY id 
-      LIMIT ${limit} OFFSET ${offset}
-    `;
+// Récupération de tous les utilisateurs avec pagination par page ou par curseur
+router.get("/", authenticate, authorize("users:list"), async (req, res) => {
+  const list = parseListQuery(req.query, USER_LIST);
+  const paging = parsePagination(req.query, sortKeys(list, USER_LIST));
 
-    // Compter le nombre total d'utilisateurs pour la pagination
-    const [{ count }] = await sql`SELECT COUNT(*) as count FROM users`;
-    const totalPages = Math.ceil(count / limit);
-
-    res.json({
-      users,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        totalPages,
-        hasNext: page < totalPages,
-        hasPrev: page > 1
-      }
-    });
-  } catch (error) {
-    console.error("Erreur lors de la récupération des utilisateurs:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
-});
+  const records = await sql`
+    SELECT id, username, email, role, created_at, updated_at, ${paging.cursorColumns}
+    FROM users 
+    WHERE ${list.where} AND ${paging.where}
+    ORDER BY ${paging.orderBy}
+    LIMIT ${paging.fetchLimit} OFFSET ${paging.offset}
+  `;
 
-// Récupération d'un utilisateur par son ID
-router.get("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [user] = await sql`
-      SELECT id, username, email, created_at, updated_at 
-      FROM users WHERE id = ${id}
-    `;
+  // Compter les utilisateurs pour la pagination, selon le mode de comptage demandé
+  const { rows: users, pagination } = await paginate(records, paging, sql`FROM users WHERE ${list.where}`);
 
-    // Cas où l'utilisateur n'existe pas
-    if (!user) {
-      return res.status(404).json({ error: "Utilisateur non trouvé" });
-    }
+  res.json({
+    users: users.map(user => pickFields(redactEmail(user, req.user, user.id), list.fields)),
+    pagination
+  });
+});
 
-    res.json(user);
-  } catch (error) {
-    console.error("Erreur lors de la récupération de l'utilisateur:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Récupère un utilisateur par son ID
+ *     description: L'email n'est visible que par l'utilisateur lui-même et les administrateurs
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Utilisateur trouvé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   put:
+ *     summary: Met à jour un utilisateur
+ *     description: Réservé à l'utilisateur lui-même et aux administrateurs
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Utilisateur mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   patch:
+ *     summary: Met à jour partiellement un utilisateur
+ *     description: Identique au PUT, seuls les champs fournis sont modifiés
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Utilisateur mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         $ref: '#/components/responses/Conflict'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ *   delete:
+ *     summary: Supprime un utilisateur
+ *     description: Réservé à l'utilisateur lui-même et aux administrateurs
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Utilisateur supprimé
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Impossible de supprimer le dernier administrateur
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Récupération d'un utilisateur par son ID (email visible par lui-même et les administrateurs)
+router.get("/:id", optionalAuthenticate, validate({ params: IdParamsSchema }), async (req, res) => {
+  const { id } = req.params;
+  
+  const [user] = await sql`
+    SELECT id, username, email, role, created_at, updated_at 
+    FROM users WHERE id = ${id}
+  `;
+
+  // Cas où l'utilisateur n'existe pas
+  if (!user) {
+    throw new NotFoundError("USER_NOT_FOUND");
   }
+
+  res.json(redactEmail(user, req.user, user.id));
 });
 
 /**
@@ -103,31 +202,8 @@ router.get("/:id", async (req, res) => {
  * /users:
  *   post:
  *     summary: Crée un nouvel utilisateur
- *     description: Crée un nouvel utilisateur avec mot de passe haché en SHA512
+ *     description: Crée un nouvel utilisateur avec mot de passe haché avec scrypt et un sel propre à l'utilisateur
  *     tags: [Utilisateurs]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - username
- *               - email
- *               - password
- *             properties:
- *               username:
- *                 type: string
- *                 minLength: 3
- *                 example: "john_doe"
- *               email:
- *                 type: string
- *                 format: email
- *                 example: "john@example.com"
- *               password:
- *                 type: string
- *                 minLength: 6
- *                 example: "motdepasse123"
  *     responses:
  *       201:
  *         description: Utilisateur créé avec succès
@@ -140,242 +216,290 @@ router.get("/:id", async (req, res) => {
  *       409:
  *         description: Conflit - Utilisateur déjà existant
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Un utilisateur avec ce nom d'utilisateur ou cet email existe déjà"
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
 // Création d'un nouvel utilisateur
-router.post("/", async (req, res) => {
-  try {
-    const result = await UserSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { username, email, password } = result.data;
-      const passwordHash = hashPassword(password);
-
-      // Vérifier si l'utilisateur existe déjà
-      const existingUser = await sql`
-        SELECT id FROM users WHERE username = ${username} OR email = ${email}
-      `;
+router.post("/", validate({ body: UserSchema }), async (req, res) => {
+  const { username, email, password } = req.body;
+  const passwordHash = await hashPassword(password);
 
-      if (existingUser.length > 0) {
-        return res.status(409).json({ 
-          error: "Un utilisateur avec ce nom d'utilisateur ou cet email existe déjà" 
-        });
-      }
-
-      const [newUser] = await sql`
-        INSERT INTO users (username, email, password_hash)
-        VALUES (${username}, ${email}, ${passwordHash})
-        RETURNING id, username, email, created_at, updated_at
-      `;
+  // Vérifier si l'utilisateur existe déjà
+  const existingUser = await sql`
+    SELECT id FROM users WHERE username = ${username} OR email = ${email}
+  `;
 
-      res.status(201).json(newUser);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
-    }
-  } catch (error) {
-    console.error("Erreur lors de la création de l'utilisateur:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+  if (existingUser.length > 0) {
+    throw new ConflictError("USER_ALREADY_EXISTS");
   }
+
+  const [newUser] = await sql`
+    INSERT INTO users (username, email, password_hash)
+    VALUES (${username}, ${email}, ${passwordHash})
+    RETURNING id, username, email, role, created_at, updated_at
+  `;
+
+  res.status(201).json(newUser);
 });
 
 // Mise à jour complète d'un utilisateur
-router.put("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await UserUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { username, email, password } = result.data;
-      
-      // Vérifier si l'utilisateur existe
-      const [existingUser] = await sql`
-        SELECT id FROM users WHERE id = ${id}
-      `;
+router.put("/:id", authenticate, validate({ params: IdParamsSchema, body: UserUpdateSchema }), requireSelf(), async (req, res) => {
+  const { id } = req.params;
+  const { username, email, password } = req.body;
+  const passwordHash = password ? await hashPassword(password) : undefined;
+  
+  // Vérifier si l'utilisateur existe
+  const [existingUser] = await sql`
+    SELECT id FROM users WHERE id = ${id}
+  `;
 
-      if (!existingUser) {
-        return res.status(404).json({ error: "Utilisateur non trouvé" });
-      }
+  if (!existingUser) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
 
-      // Vérifier si le nouveau username/email existe déjà (sauf pour l'utilisateur actuel)
-      if (username || email) {
-        const conflictUser = await sql`
-          SELECT id FROM users 
-          WHERE (username = ${username} OR email = ${email}) 
-          AND id != ${id}
-        `;
-
-        if (conflictUser.length > 0) {
-          return res.status(409).json({ 
-            error: "Un utilisateur avec ce nom d'utilisateur ou cet email existe déjà" 
-          });
-        }
-      }
+  // Vérifier si le nouveau username/email existe déjà (sauf pour l'utilisateur actuel)
+  if (username || email) {
+    const conflictUser = await sql`
+      SELECT id FROM users 
+      WHERE (username = ${username} OR email = ${email}) 
+      AND id != ${id}
+    `;
 
-      // Vérifier qu'au moins un champ est fourni
-      if (!username && !email && !password) {
-        return res.status(400).json({ error: "Aucune donnée à mettre à jour" });
-      }
+    if (conflictUser.length > 0) {
+      throw new ConflictError("USER_ALREADY_EXISTS");
+    }
+  }
 
-      let updatedUser;
-      if (username && email && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, email = ${email}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username && email) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (email && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET email = ${email}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (email) {
-        [updatedUser] = await sql`
-          UPDATE users SET email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (password) {
-        [updatedUser] = await sql`
-          UPDATE users SET password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      }
+  // Vérifier qu'au moins un champ est fourni
+  if (!username && !email && !password) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
 
-      res.json(updatedUser);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
-    }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour de l'utilisateur:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
+  let updatedUser;
+  if (username && email && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, email = ${email}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username && email) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (email && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET email = ${email}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (email) {
+    [updatedUser] = await sql`
+      UPDATE users SET email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (password) {
+    [updatedUser] = await sql`
+      UPDATE users SET password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
   }
+
+  res.json(updatedUser);
 });
 
 // Mise à jour partielle d'un utilisateur
-router.patch("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await UserPartialUpdateSchema.safeParse(req.body);
-    
-    if (result.success) {
-      const { username, email, password } = result.data;
-      
-      // Vérifier si l'utilisateur existe
-      const [existingUser] = await sql`
-        SELECT id FROM users WHERE id = ${id}
-      `;
+router.patch("/:id", authenticate, validate({ params: IdParamsSchema, body: UserPartialUpdateSchema }), requireSelf(), async (req, res) => {
+  const { id } = req.params;
+  const { username, email, password } = req.body;
+  const passwordHash = password ? await hashPassword(password) : undefined;
+  
+  // Vérifier si l'utilisateur existe
+  const [existingUser] = await sql`
+    SELECT id FROM users WHERE id = ${id}
+  `;
 
-      if (!existingUser) {
-        return res.status(404).json({ error: "Utilisateur non trouvé" });
-      }
+  if (!existingUser) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
 
-      // Vérifier si le nouveau username/email existe déjà (sauf pour l'utilisateur actuel)
-      if (username || email) {
-        const conflictUser = await sql`
-          SELECT id FROM users 
-          WHERE (username = ${username} OR email = ${email}) 
-          AND id != ${id}
-        `;
-
-        if (conflictUser.length > 0) {
-          return res.status(409).json({ 
-            error: "Un utilisateur avec ce nom d'utilisateur ou cet email existe déjà" 
-          });
-        }
-      }
+  // Vérifier si le nouveau username/email existe déjà (sauf pour l'utilisateur actuel)
+  if (username || email) {
+    const conflictUser = await sql`
+      SELECT id FROM users 
+      WHERE (username = ${username} OR email = ${email}) 
+      AND id != ${id}
+    `;
 
-      // Vérifier qu'au moins un champ est fourni
-      if (!username && !email && !password) {
-        return res.status(400).json({ error: "Aucune donnée à mettre à jour" });
-      }
+    if (conflictUser.length > 0) {
+      throw new ConflictError("USER_ALREADY_EXISTS");
+    }
+  }
 
-      let updatedUser;
-      if (username && email && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, email = ${email}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username && email) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (email && password) {
-        [updatedUser] = await sql`
-          UPDATE users SET email = ${email}, password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (username) {
-        [updatedUser] = await sql`
-          UPDATE users SET username = ${username}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (email) {
-        [updatedUser] = await sql`
-          UPDATE users SET email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      } else if (password) {
-        [updatedUser] = await sql`
-          UPDATE users SET password_hash = ${hashPassword(password)}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, created_at, updated_at
-        `;
-      }
+  // Vérifier qu'au moins un champ est fourni
+  if (!username && !email && !password) {
+    throw new BadRequestError("NOTHING_TO_UPDATE");
+  }
+
+  let updatedUser;
+  if (username && email && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, email = ${email}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username && email) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (email && password) {
+    [updatedUser] = await sql`
+      UPDATE users SET email = ${email}, password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (username) {
+    [updatedUser] = await sql`
+      UPDATE users SET username = ${username}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (email) {
+    [updatedUser] = await sql`
+      UPDATE users SET email = ${email}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  } else if (password) {
+    [updatedUser] = await sql`
+      UPDATE users SET password_hash = ${passwordHash}, updated_at = CURRENT_TIMESTAMP WHERE id = ${id} RETURNING id, username, email, role, created_at, updated_at
+    `;
+  }
+
+  res.json(updatedUser);
+});
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   patch:
+ *     summary: Change le rôle d'un utilisateur
+ *     description: Réservé aux administrateurs. Le dernier administrateur ne peut pas être rétrogradé.
+ *     tags: [Utilisateurs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rôle mis à jour
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Conflit - Impossible de retirer le dernier administrateur
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+// Changement du rôle d'un utilisateur par un administrateur
+router.patch("/:id/role", authenticate, authorize("users:updateRole"), validate({ params: IdParamsSchema, body: UserRoleSchema }), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  const [existingUser] = await sql`
+    SELECT id, role FROM users WHERE id = ${id}
+  `;
+
+  if (!existingUser) {
+    throw new NotFoundError("USER_NOT_FOUND");
+  }
 
-      res.json(updatedUser);
-    } else {
-      res.status(400).json({ 
-        error: "Données invalides", 
-        details: result.error.errors 
-      });
+  // Toujours conserver au moins un administrateur
+  if (existingUser.role === ROLES.ADMIN && role !== ROLES.ADMIN) {
+    const [{ count }] = await sql`
+      SELECT COUNT(*) as count FROM users WHERE role = ${ROLES.ADMIN}
+    `;
+
+    if (Number(count) <= 1) {
+      throw new ConflictError("LAST_ADMIN");
     }
-  } catch (error) {
-    console.error("Erreur lors de la mise à jour partielle de l'utilisateur:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
   }
+
+  const [updatedUser] = await sql`
+    UPDATE users SET role = ${role}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ${id}
+    RETURNING id, username, email, role, created_at, updated_at
+  `;
+
+  res.json(updatedUser);
 });
 
 // Suppression d'un utilisateur grace à son ID
-router.delete("/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const [deletedUser] = await sql`
-      DELETE FROM users WHERE id = ${id}
-      RETURNING id, username, email, created_at, updated_at
+router.delete("/:id", authenticate, validate({ params: IdParamsSchema }), requireSelf(), async (req, res) => {
+  const { id } = req.params;
+  
+  const deletedUser = await withTransaction(async tx => {
+    const [existingUser] = await tx`
+      SELECT id, role FROM users WHERE id = ${id} FOR UPDATE
     `;
 
     // Cas où l'utilisateur n'existe pas
-    if (!deletedUser) {
-      return res.status(404).json({ error: "Utilisateur non trouvé" });
+    if (!existingUser) {
+      throw new NotFoundError("USER_NOT_FOUND");
     }
 
-    res.json({ 
-      message: "Utilisateur supprimé avec succès", 
-      user: deletedUser 
-    });
-  } catch (error) {
-    console.error("Erreur lors de la suppression de l'utilisateur:", error);
-    res.status(500).json({ error: "Erreur du serveur" });
-  }
+    // Toujours conserver au moins un administrateur
+    if (existingUser.role === ROLES.ADMIN) {
+      const [{ count }] = await tx`
+        SELECT COUNT(*) as count FROM users WHERE role = ${ROLES.ADMIN}
+      `;
+
+      if (Number(count) <= 1) {
+        throw new ConflictError("LAST_ADMIN");
+      }
+    }
+
+    // Ses commandes sont supprimées avec lui : remettre en vente le stock réservé par celles en attente
+    const pendingOrders = await tx`
+      SELECT id FROM orders WHERE user_id = ${id} AND status = 'pending' ORDER BY id FOR UPDATE
+    `;
+
+    for (const order of pendingOrders) {
+      await releaseOrderStock(order.id, tx, { userId: req.user.id, reason: RELEASE_REASONS.USER_DELETED });
+    }
+
+    // Ses avis sont supprimés avec lui : recalculer le score des produits qu'il a notés
+    const reviewedProducts = await tx`
+      SELECT DISTINCT product_id FROM reviews WHERE user_id = ${id} ORDER BY product_id
+    `;
+
+    const [user] = await tx`
+      DELETE FROM users WHERE id = ${id}
+      RETURNING id, username, email, role, created_at, updated_at
+    `;
+
+    for (const { product_id } of reviewedProducts) {
+      await updateProductScore(product_id, tx);
+    }
+
+    return user;
+  });
+
+  res.json({ 
+    message: translate(req.locale, "messages.USER_DELETED"), 
+    user: deletedUser 
+  });
 });
 
 module.exports = router; 
\ No newline at end of file
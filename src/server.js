@@ -1,16 +1,26 @@
 const app = require("./app");
-const { initializeDatabase } = require("./config/database");
+const config = require("./config");
+const { migrate } = require("./migrations/runner");
+const { scheduleFreeToGameSync } = require("./utils/catalog-sync");
 
-const port = 8000;
+const { port } = config;
 
-// Démarrage du serveur avec initialisation de la base de données
+// Démarrage du serveur après application des migrations en attente
 async function startServer() {
-  await initializeDatabase();
+  try {
+    await migrate();
+    console.log("🟢 Base de données initialisée avec succès");
+  } catch (error) {
+    console.error("🔴 Erreur lors de l'initialisation de la base de données:", error);
+    process.exit(1);
+  }
   
   app.listen(port, () => {
     console.log(`🟢 Le serveur est lancé sur http://localhost:${port}`);
     console.log(`📚 Documentation Swagger disponible sur http://localhost:${port}/api-docs`);
   });
+
+  scheduleFreeToGameSync();
 }
 
-startServer(); 
\ No newline at end of file
+startServer(); 
@@ -1,10 +1,69 @@
+const config = require("../config");
+const {
+  USER_LIST, ORDER_LIST, REVIEW_LIST, REVIEW_QUEUE_LIST, PRODUCT_LIST, COUPON_LIST, STOCK_MOVEMENT_LIST, USER_GAME_LIST
+} = require("../models/list-resources");
+
+const FILTER_VALUE_TYPES = {
+  integer: { type: "integer" },
+  number: { type: "number" },
+  date: { type: "string", format: "date-time", description: "Date (AAAA-MM-JJ) ou date et heure ISO 8601" },
+  string: { type: "string" },
+  boolean: { type: "boolean" }
+};
+
+const OPERATOR_DESCRIPTIONS = {
+  eq: "égal à",
+  gte: "supérieur ou égal à",
+  lte: "inférieur ou égal à",
+  in: "parmi les valeurs séparées par des virgules",
+  like: "contient (sans tenir compte de la casse)"
+};
+
+// Paramètres filters, sort et fields d'une liste, générés à partir des champs autorisés pour la ressource
+function listParameters(prefix, resource) {
+  const filterProperties = {};
+
+  Object.entries(resource.filters).forEach(([field, { type, operators }]) => {
+    operators.forEach(operator => {
+      const key = operator === "eq" ? field : `${field}[${operator}]`;
+      const valueType = operator === "in" ? { type: "string" } : FILTER_VALUE_TYPES[type];
+      filterProperties[key] = { ...valueType, description: `${field} ${OPERATOR_DESCRIPTIONS[operator]}` };
+    });
+  });
+
+  return {
+    [`${prefix}Filters`]: {
+      in: "query",
+      name: "filters",
+      style: "form",
+      explode: true,
+      schema: { type: "object", properties: filterProperties },
+      description: "Filtres `champ=valeur` ou `champ[opérateur]=valeur` (opérateurs : eq, gte, lte, in, like)"
+    },
+    [`${prefix}Sort`]: {
+      in: "query",
+      name: "sort",
+      schema: { type: "string", example: `-${resource.sort[resource.sort.length - 1]},id` },
+      description: `Champs de tri séparés par des virgules, préfixés par - pour un ordre décroissant (par défaut : ${resource.defaultSort}). Champs triables : ${resource.sort.join(", ")}`
+    },
+    [`${prefix}Fields`]: {
+      in: "query",
+      name: "fields",
+      schema: { type: "string", example: resource.fields.slice(0, 3).join(",") },
+      description: `Champs à renvoyer, séparés par des virgules. Champs disponibles : ${resource.fields.join(", ")}`
+    }
+  };
+}
+
 const swaggerOptions = {
   definition: {
     openapi: "3.0.0",
     info: {
       title: "Paul Carouge API",
       version: "1.0.0",
-      description: "Une API REST basé sur le TP de Service Web avec Produits, Utilisateurs, Commandes, Avis et Jeux Free-to-Play",
+      description: "Une API REST basé sur le TP de Service Web avec Produits, Utilisateurs, Commandes, Avis et Jeux Free-to-Play.\n\n" +
+        "Les messages (erreurs, validation, confirmations) sont en français ou en anglais selon l'en-tête " +
+        "`Accept-Language` ou le paramètre `?lang=fr|en`, prioritaire. La langue choisie est renvoyée dans `Content-Language`.",
       contact: {
         name: "Paul Carouge",
         email: "contact.carouge@gmail.com"
@@ -16,11 +75,19 @@ const swaggerOptions = {
     },
     servers: [
       {
-        url: "http://localhost:8000",
+        url: `http://localhost:${config.port}`,
         description: "Serveur de développement local pendant le TP de Service Web"
       }
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Jeton d'accès obtenu via POST /auth/login"
+        }
+      },
       schemas: {
         Product: {
           type: "object",
@@ -28,18 +95,54 @@ const swaggerOptions = {
             id: { type: "integer", example: 1 },
             name: { type: "string", example: "Produit Premium" },
             about: { type: "string", example: "Description détaillée du produit" },
-            price: { type: "number", format: "decimal", example: 29.99 },
+            price: { type: "number", multipleOf: 0.01, example: 29.99 },
             total_score: { type: "number", format: "decimal", example: 4.5 },
             reviews_ids: { type: "array", items: { type: "integer" }, example: [1, 2, 3] },
+            stock: { type: "integer", minimum: 0, example: 42, description: "Quantité disponible, hors quantités réservées par les commandes" },
+            tax_class: { type: "string", example: "standard", description: "Classe de taxe déterminant le taux de TVA appliqué" },
+            created_at: { type: "string", format: "date-time" },
+            external_source: { type: "string", nullable: true, example: "freetogame", description: "Catalogue externe d'un produit importé" },
+            external_id: { type: "string", nullable: true, example: "452", description: "Identifiant du produit dans le catalogue externe" },
+            genre: { type: "string", nullable: true, example: "MMORPG" },
+            platform: { type: "string", nullable: true, example: "PC (Windows)" },
+            publisher: { type: "string", nullable: true, example: "Amazon Games" },
+            thumbnail: { type: "string", nullable: true, format: "uri" },
+            release_date: { type: "string", nullable: true, format: "date" },
+            retired: { type: "boolean", example: false, description: "Produit importé qui a disparu du catalogue externe" },
+            synced_at: { type: "string", nullable: true, format: "date-time", description: "Dernière modification par un import" }
+          }
+        },
+        StockMovement: {
+          type: "object",
+          description: "Entrée du registre des mouvements de stock",
+          properties: {
+            id: { type: "integer", example: 1 },
+            product_id: { type: "integer", nullable: true, example: 7, description: "Vide si le produit a été supprimé" },
+            quantity: { type: "integer", example: -2, description: "Variation du stock : négative pour une sortie, positive pour une entrée" },
+            stock_after: { type: "integer", example: 40 },
+            type: { type: "string", enum: ["reservation", "release", "adjustment"], example: "reservation" },
+            order_id: { type: "integer", nullable: true, example: 12 },
+            created_by: { type: "integer", nullable: true, example: 1 },
+            reason: { type: "string", nullable: true, example: "Réassort fournisseur" },
             created_at: { type: "string", format: "date-time" }
           }
         },
+        StockShortage: {
+          type: "object",
+          properties: {
+            productId: { type: "integer", example: 7 },
+            name: { type: "string", example: "Produit Premium" },
+            requested: { type: "integer", example: 5 },
+            available: { type: "integer", example: 2 }
+          }
+        },
         User: {
           type: "object",
           properties: {
             id: { type: "integer", example: 1 },
             username: { type: "string", example: "john_doe" },
-            email: { type: "string", format: "email", example: "john@example.com" },
+            email: { type: "string", format: "email", example: "john@example.com", description: "Visible uniquement par l'utilisateur lui-même et les administrateurs" },
+            role: { type: "string", enum: ["admin", "seller", "customer", "moderator"], example: "customer" },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" }
           }
@@ -49,13 +152,160 @@ const swaggerOptions = {
           properties: {
             id: { type: "integer", example: 1 },
             user_id: { type: "integer", example: 1 },
-            product_ids: { type: "array", items: { type: "integer" }, example: [1, 2, 3] },
-            total: { type: "number", format: "decimal", example: 36.00 },
-            payment: { type: "boolean", example: false },
+            country: { type: "string", example: "FR", description: "Pays de livraison dont les taux de TVA s'appliquent" },
+            coupon_code: { type: "string", nullable: true, example: "BIENVENUE10" },
+            subtotal: { type: "number", multipleOf: 0.01, example: 30.00, description: "Total hors taxes, avant remise" },
+            discount_total: { type: "number", multipleOf: 0.01, example: 3.00, description: "Remise du code promo, déduite avant TVA" },
+            tax_total: { type: "number", multipleOf: 0.01, example: 6.00 },
+            total: { type: "number", multipleOf: 0.01, example: 36.00, description: "Total toutes taxes comprises" },
+            tax_breakdown: { type: "array", items: { $ref: "#/components/schemas/TaxBreakdown" } },
+            status: { type: "string", enum: ["pending", "paid", "shipped", "delivered", "cancelled", "refunded"], example: "pending" },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
             user: { $ref: "#/components/schemas/User" },
-            products: { type: "array", items: { $ref: "#/components/schemas/Product" } }
+            items: { type: "array", items: { $ref: "#/components/schemas/OrderItem" } }
+          }
+        },
+        OrderItem: {
+          type: "object",
+          description: "Ligne de commande avec le prix et la TVA figés au moment de l'achat",
+          properties: {
+            id: { type: "integer", example: 1 },
+            product_id: { type: "integer", nullable: true, example: 7, description: "Null si le produit a été supprimé depuis" },
+            product_name: { type: "string", example: "Produit Premium" },
+            quantity: { type: "integer", minimum: 1, example: 3 },
+            unit_price: { type: "number", multipleOf: 0.01, example: 10.00 },
+            tax_class: { type: "string", example: "standard" },
+            vat_rate: { type: "number", format: "decimal", example: 0.2 },
+            subtotal: { type: "number", multipleOf: 0.01, example: 30.00, description: "Montant hors taxes de la ligne, avant remise" },
+            discount: { type: "number", multipleOf: 0.01, example: 3.00, description: "Part de la remise du code promo affectée à la ligne" },
+            tax_amount: { type: "number", multipleOf: 0.01, example: 5.40, description: "TVA de la ligne après remise, arrondie au centime" },
+            total: { type: "number", multipleOf: 0.01, example: 36.00 }
+          }
+        },
+        Cart: {
+          type: "object",
+          description: "Panier avec ses produits au prix actuel et l'aperçu de la TVA, calculés comme pour une commande",
+          properties: {
+            id: { type: "integer", example: 1 },
+            user_id: { type: "integer", nullable: true, example: 1, description: "Null pour un panier anonyme" },
+            expires_at: { type: "string", format: "date-time", nullable: true, description: "Expiration d'un panier anonyme" },
+            country: { type: "string", example: "FR" },
+            items: { type: "array", items: { $ref: "#/components/schemas/CartItem" } },
+            subtotal: { type: "number", multipleOf: 0.01, example: 30.00 },
+            tax_total: { type: "number", multipleOf: 0.01, nullable: true, example: 6.00, description: "Null si un taux de TVA manque" },
+            total: { type: "number", multipleOf: 0.01, nullable: true, example: 36.00, description: "Null si un taux de TVA manque" },
+            tax_breakdown: { type: "array", nullable: true, items: { $ref: "#/components/schemas/TaxBreakdown" } },
+            tax_available: {
+              type: "boolean",
+              example: true,
+              description: "false si un taux de TVA manque dans le pays de livraison : seuls les montants hors taxes sont calculés"
+            },
+            missing_tax_classes: { type: "array", items: { type: "string" }, example: [], description: "Classes de taxe sans taux en vigueur dans le pays" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" }
+          }
+        },
+        CartItem: {
+          type: "object",
+          properties: {
+            product_id: { type: "integer", example: 7 },
+            product_name: { type: "string", example: "Produit Premium" },
+            quantity: { type: "integer", minimum: 1, example: 3 },
+            unit_price: { type: "number", multipleOf: 0.01, example: 10.00 },
+            tax_class: { type: "string", example: "standard" },
+            vat_rate: { type: "number", format: "decimal", nullable: true, example: 0.2 },
+            subtotal: { type: "number", multipleOf: 0.01, example: 30.00 },
+            tax_amount: { type: "number", multipleOf: 0.01, nullable: true, example: 6.00 },
+            total: { type: "number", multipleOf: 0.01, nullable: true, example: 36.00 },
+            in_stock: { type: "boolean", example: true, description: "Stock suffisant pour la quantité demandée ; le stock n'est réservé qu'à la commande" },
+            added_at: { type: "string", format: "date-time" }
+          }
+        },
+        TaxBreakdown: {
+          type: "object",
+          description: "Montants de la commande soumis à un même taux de TVA",
+          properties: {
+            rate: { type: "number", example: 0.2 },
+            taxableAmount: { type: "number", multipleOf: 0.01, example: 30.00 },
+            taxAmount: { type: "number", multipleOf: 0.01, example: 6.00 }
+          }
+        },
+        TaxClass: {
+          type: "object",
+          properties: {
+            code: { type: "string", example: "reduced" },
+            name: { type: "string", example: "Taux réduit (livres, alimentation...)" },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        TaxRate: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            country: { type: "string", example: "FR" },
+            tax_class: { type: "string", example: "reduced" },
+            rate: { type: "number", format: "decimal", example: 0.055 },
+            valid_from: { type: "string", format: "date", example: "2014-01-01" },
+            valid_to: { type: "string", format: "date", nullable: true, description: "Exclue, null si le taux est en vigueur sans limite" },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        Coupon: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            code: { type: "string", example: "BIENVENUE10" },
+            description: { type: "string", nullable: true, example: "10 % sur la première commande" },
+            type: { type: "string", enum: ["percentage", "fixed"], example: "percentage" },
+            value: { type: "number", multipleOf: 0.01, example: 10, description: "Pourcentage (10 = 10 %) ou montant hors taxes en euros" },
+            product_ids: { type: "array", items: { type: "integer" }, example: [], description: "Produits concernés, toute la commande si vide" },
+            min_basket: { type: "number", multipleOf: 0.01, example: 20.00, description: "Montant hors taxes minimum du panier" },
+            starts_at: { type: "string", format: "date-time", nullable: true },
+            ends_at: { type: "string", format: "date-time", nullable: true },
+            max_uses: { type: "integer", nullable: true, example: 100 },
+            max_uses_per_user: { type: "integer", nullable: true, example: 1 },
+            active: { type: "boolean", example: true },
+            uses: { type: "integer", example: 12, description: "Nombre de commandes non annulées utilisant ce code" },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" }
+          }
+        },
+        CouponInput: {
+          type: "object",
+          required: ["code", "type", "value"],
+          properties: {
+            code: { type: "string", pattern: "^[A-Za-z0-9_-]{3,50}$", example: "BIENVENUE10", description: "Converti en majuscules" },
+            description: { type: "string", nullable: true, maxLength: 500 },
+            type: { type: "string", enum: ["percentage", "fixed"], example: "percentage" },
+            value: { type: "number", minimum: 0.01, multipleOf: 0.01, example: 10 },
+            productIds: { type: "array", items: { type: "integer" }, default: [] },
+            minBasket: { type: "number", minimum: 0, multipleOf: 0.01, default: 0 },
+            startsAt: { type: "string", format: "date-time", nullable: true },
+            endsAt: { type: "string", format: "date-time", nullable: true },
+            maxUses: { type: "integer", minimum: 1, nullable: true },
+            maxUsesPerUser: { type: "integer", minimum: 1, nullable: true },
+            active: { type: "boolean", default: true }
+          }
+        },
+        OrderStatusChange: {
+          type: "object",
+          properties: {
+            id: { type: "integer", example: 1 },
+            from_status: { type: "string", nullable: true, example: "pending" },
+            to_status: { type: "string", example: "paid" },
+            changed_by: { type: "integer", nullable: true, example: 1 },
+            changed_by_username: { type: "string", nullable: true, example: "john_doe" },
+            reason: { type: "string", nullable: true, example: "Paiement par carte confirmé" },
+            created_at: { type: "string", format: "date-time" }
+          }
+        },
+        OrderItemInput: {
+          type: "object",
+          required: ["productId"],
+          properties: {
+            productId: { type: "integer", minimum: 1, example: 7 },
+            quantity: { type: "integer", minimum: 1, default: 1, example: 3 }
           }
         },
         Review: {
@@ -66,54 +316,248 @@ const swaggerOptions = {
             product_id: { type: "integer", example: 1 },
             score: { type: "integer", minimum: 1, maximum: 5, example: 5 },
             content: { type: "string", example: "Excellent produit !" },
+            status: {
+              type: "string",
+              enum: ["pending", "approved", "rejected"],
+              example: "approved",
+              description: "Statut de modération : seuls les avis publiés (approved) comptent dans le score du produit"
+            },
+            rejection_reason: { type: "string", nullable: true, description: "Motif du refus par le modérateur" },
+            moderated_by: { type: "integer", nullable: true, description: "Modérateur de la dernière décision" },
+            moderated_at: { type: "string", format: "date-time", nullable: true },
             created_at: { type: "string", format: "date-time" },
             updated_at: { type: "string", format: "date-time" },
             username: { type: "string", example: "john_doe" },
-            email: { type: "string", example: "john@example.com" },
+            email: { type: "string", example: "john@example.com", description: "Visible uniquement par l'auteur et les administrateurs" },
             product_name: { type: "string", example: "Produit 1" }
           }
         },
+        ReviewReport: {
+          type: "object",
+          description: "Signalement d'abus sur un avis",
+          properties: {
+            id: { type: "integer", example: 1 },
+            review_id: { type: "integer", example: 1 },
+            user_id: { type: "integer", example: 2 },
+            reason: { type: "string", example: "Propos injurieux" },
+            created_at: { type: "string", format: "date-time" },
+            resolved_at: { type: "string", format: "date-time", nullable: true, description: "Date de la décision du modérateur" }
+          }
+        },
         Game: {
           type: "object",
+          description: "Jeu de l'API FreeToGame, validé et normalisé (champs facultatifs à null s'ils sont absents ou invalides)",
+          required: ["id", "title"],
+          properties: {
+            id: { type: "integer", example: 452 },
+            title: { type: "string", example: "World of Tanks" },
+            thumbnail: { type: "string", nullable: true, example: "https://www.freetogame.com/g/452/thumbnail.jpg" },
+            shortDescription: { type: "string", nullable: true, example: "Free-to-play tank warfare game" },
+            gameUrl: { type: "string", nullable: true, example: "https://www.freetogame.com/open/world-of-tanks" },
+            genre: { type: "string", nullable: true, example: "Shooter" },
+            platform: { type: "string", nullable: true, example: "PC (Windows)" },
+            publisher: { type: "string", nullable: true, example: "Wargaming" },
+            developer: { type: "string", nullable: true, example: "Wargaming" },
+            releaseDate: { type: "string", format: "date", nullable: true, example: "2011-04-12" },
+            profileUrl: { type: "string", nullable: true, example: "https://www.freetogame.com/world-of-tanks" }
+          }
+        },
+        UserGame: {
+          type: "object",
+          description: "Jeu de la bibliothèque d'un utilisateur",
           properties: {
-            id: { type: "string", example: "game_452" },
-            name: { type: "string", example: "World of Tanks" },
-            about: { type: "string", example: "Free-to-play tank warfare game" },
-            price: { type: "number", example: 0 },
-            game_url: { type: "string", example: "https://www.freetogame.com/game/world-of-tanks" },
-            genre: { type: "string", example: "Shooter" },
-            platform: { type: "string", example: "PC" },
-            thumbnail: { type: "string" },
-            publisher: { type: "string", example: "Wargaming" },
-            developer: { type: "string", example: "Wargaming" },
-            release_date: { type: "string", example: "2011-04-12" },
-            is_free_to_play: { type: "boolean", example: true }
+            id: { type: "integer", example: 1 },
+            user_id: { type: "integer", example: 1 },
+            game_id: { type: "integer", example: 452, description: "Identifiant du jeu dans l'API FreeToGame" },
+            status: { type: "string", enum: ["wishlist", "playing", "completed", "dropped"], example: "playing" },
+            hours_played: { type: "number", multipleOf: 0.1, example: 42.5 },
+            rating: { type: "integer", minimum: 1, maximum: 5, nullable: true, example: 4 },
+            created_at: { type: "string", format: "date-time" },
+            updated_at: { type: "string", format: "date-time" },
+            game: {
+              allOf: [{ $ref: "#/components/schemas/Game" }],
+              nullable: true,
+              description: "Détail du jeu mis en cache, null si l'API FreeToGame ne le fournit pas"
+            }
           }
         },
+        GameDetail: {
+          allOf: [
+            { $ref: "#/components/schemas/Game" },
+            {
+              type: "object",
+              properties: {
+                status: { type: "string", nullable: true, example: "Live" },
+                description: { type: "string", nullable: true },
+                minimumSystemRequirements: {
+                  type: "object",
+                  nullable: true,
+                  properties: {
+                    os: { type: "string", nullable: true },
+                    processor: { type: "string", nullable: true },
+                    memory: { type: "string", nullable: true },
+                    graphics: { type: "string", nullable: true },
+                    storage: { type: "string", nullable: true }
+                  }
+                },
+                screenshots: { type: "array", items: { type: "string", format: "uri" } }
+              }
+            }
+          ]
+        },
         Error: {
           type: "object",
+          description: "Erreur au format problem+json (RFC 7807), complétée d'un code stable",
           properties: {
-            error: { type: "string", example: "Message d'erreur" },
-            details: { type: "array", items: { type: "object" } }
+            type: { type: "string", example: "urn:problem:product-not-found" },
+            title: { type: "string", example: "Ressource introuvable" },
+            status: { type: "integer", example: 404 },
+            code: { type: "string", example: "PRODUCT_NOT_FOUND", description: "Code stable, à utiliser par les clients" },
+            detail: { type: "string", example: "Produit non trouvé" },
+            instance: { type: "string", example: "/products/42" },
+            errors: {
+              type: "array",
+              description: "Erreurs de validation (VALIDATION_FAILED)",
+              items: {
+                type: "object",
+                properties: {
+                  path: { type: "string", example: "price" },
+                  code: { type: "string", example: "too_small" },
+                  message: { type: "string" }
+                }
+              }
+            }
           }
         },
+        ListQueryError: {
+          allOf: [
+            { $ref: "#/components/schemas/Error" },
+            {
+              type: "object",
+              properties: {
+                code: { type: "string", example: "INVALID_LIST_QUERY" },
+                errors: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      parameter: { type: "string", example: "password" },
+                      message: { type: "string", example: "Filtre inconnu: password" }
+                    }
+                  }
+                },
+                allowed: {
+                  type: "object",
+                  description: "Filtres (avec leurs opérateurs), tris et champs autorisés pour cette liste",
+                  properties: {
+                    filters: { type: "object", additionalProperties: { type: "array", items: { type: "string" } } },
+                    sort: { type: "array", items: { type: "string" } },
+                    fields: { type: "array", items: { type: "string" } }
+                  }
+                }
+              }
+            }
+          ]
+        },
+        StockShortageError: {
+          allOf: [
+            { $ref: "#/components/schemas/Error" },
+            {
+              type: "object",
+              properties: {
+                code: { type: "string", example: "INSUFFICIENT_STOCK" },
+                shortages: { type: "array", items: { $ref: "#/components/schemas/StockShortage" } },
+                products: {
+                  type: "array",
+                  description: "Produits retirés du catalogue (code PRODUCTS_RETIRED)",
+                  items: {
+                    type: "object",
+                    properties: {
+                      productId: { type: "integer", example: 7 },
+                      name: { type: "string", example: "Produit retiré" }
+                    }
+                  }
+                }
+              }
+            }
+          ]
+        },
         Pagination: {
           type: "object",
           properties: {
-            page: { type: "integer", example: 1 },
+            page: { type: "integer", example: 1, description: "Numéro de page (absent en pagination par curseur)" },
             limit: { type: "integer", example: 10 },
-            total: { type: "integer", example: 100 },
-            totalPages: { type: "integer", example: 10 },
+            total: { type: "integer", example: 100, description: "Nombre total, exact ou estimé selon count (absent si count=none)" },
+            totalPages: { type: "integer", example: 10, description: "Nombre de pages (pagination par page avec total)" },
+            count: { type: "string", enum: ["exact", "estimate", "none"], example: "exact" },
             hasNext: { type: "boolean", example: true },
-            hasPrev: { type: "boolean", example: false }
+            hasPrev: { type: "boolean", example: false },
+            next: { type: "string", nullable: true, description: "Curseur à passer dans after pour la page suivante" },
+            prev: { type: "string", nullable: true, description: "Curseur à passer dans before pour la page précédente" }
           }
         }
       },
+      parameters: {
+        ListPage: {
+          in: "query",
+          name: "page",
+          schema: { type: "integer", minimum: 1, default: 1 },
+          description: "Numéro de page pour la pagination (incompatible avec after et before)"
+        },
+        ListLimit: {
+          in: "query",
+          name: "limit",
+          schema: { type: "integer", minimum: 1, maximum: config.pagination.maxLimit, default: config.pagination.defaultLimit },
+          description: `Nombre d'éléments par page, ramené à ${config.pagination.maxLimit} au plus`
+        },
+        ListAfter: {
+          in: "query",
+          name: "after",
+          schema: { type: "string" },
+          description: "Curseur `pagination.next` de la page précédente : renvoie les éléments suivants (pagination par curseur)"
+        },
+        ListBefore: {
+          in: "query",
+          name: "before",
+          schema: { type: "string" },
+          description: "Curseur `pagination.prev` de la page suivante : renvoie les éléments précédents (pagination par curseur)"
+        },
+        ListCount: {
+          in: "query",
+          name: "count",
+          schema: { type: "string", enum: ["exact", "estimate", "none"] },
+          description: "Calcul du total : `exact` (COUNT, défaut en pagination par page), `estimate` (estimation du planificateur) ou `none` (défaut avec un curseur)"
+        },
+        ...listParameters("UserList", USER_LIST),
+        ...listParameters("OrderList", ORDER_LIST),
+        ...listParameters("ReviewList", REVIEW_LIST),
+        ...listParameters("ReviewQueueList", REVIEW_QUEUE_LIST),
+        ...listParameters("ProductList", PRODUCT_LIST),
+        ...listParameters("CouponList", COUPON_LIST),
+        ...listParameters("StockMovementList", STOCK_MOVEMENT_LIST),
+        ...listParameters("UserGameList", USER_GAME_LIST),
+        CartToken: {
+          in: "header",
+          name: "X-Cart-Token",
+          schema: { type: "string" },
+          description: "Jeton d'un panier anonyme, renvoyé à sa création"
+        }
+      },
+      headers: {
+        "X-Cache": {
+          description: "Origine de la réponse : MISS (API appelée), HIT (cache frais) ou STALE (cache périmé, rafraîchi en arrière-plan)",
+          schema: { type: "string", enum: ["MISS", "HIT", "STALE"] }
+        },
+        Age: {
+          description: "Âge en secondes de la réponse mise en cache",
+          schema: { type: "integer", minimum: 0 }
+        }
+      },
       responses: {
         NotFound: {
           description: "Ressource non trouvée",
           content: {
-            "application/json": {
+            "application/problem+json": {
               schema: { $ref: "#/components/schemas/Error" }
             }
           }
@@ -121,7 +565,55 @@ const swaggerOptions = {
         BadRequest: {
           description: "Données invalides",
           content: {
-            "application/json": {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" }
+            }
+          }
+        },
+        InvalidListQuery: {
+          description: "Filtre, tri ou champ non autorisé, ou valeur invalide",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/ListQueryError" }
+            }
+          }
+        },
+        Unauthorized: {
+          description: "Authentification requise ou jeton invalide",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" }
+            }
+          }
+        },
+        Forbidden: {
+          description: "Action non autorisée pour cet utilisateur",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" }
+            }
+          }
+        },
+        Conflict: {
+          description: "Conflit avec l'état actuel de la ressource",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" }
+            }
+          }
+        },
+        BadGateway: {
+          description: "Le service externe a renvoyé une erreur ou est injoignable",
+          content: {
+            "application/problem+json": {
+              schema: { $ref: "#/components/schemas/Error" }
+            }
+          }
+        },
+        ServiceUnavailable: {
+          description: "Service externe temporairement indisponible (circuit ouvert après des échecs répétés)",
+          content: {
+            "application/problem+json": {
               schema: { $ref: "#/components/schemas/Error" }
             }
           }
@@ -129,7 +621,7 @@ const swaggerOptions = {
         ServerError: {
           description: "Erreur interne du serveur",
           content: {
-            "application/json": {
+            "application/problem+json": {
               schema: { $ref: "#/components/schemas/Error" }
             }
           }
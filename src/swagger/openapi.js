@@ -0,0 +1,87 @@
+const swaggerJsdoc = require("swagger-jsdoc");
+const swaggerOptions = require("./config");
+const { toOpenApiSchema, toParameters } = require("./zod-schema");
+
+// Chemin Express (/:id/items/:productId) au format OpenAPI (/{id}/items/{productId})
+function toOpenApiPath(prefix, path) {
+  return `${prefix}${path === "/" ? "" : path}`.replace(/:(\w+)/g, "{$1}");
+}
+
+// Schémas déclarés par le middleware validate d'une route, null si elle n'en a pas
+function routeSchemas(route) {
+  const layer = route.stack.find(({ handle }) => handle.schemas);
+  return layer ? layer.handle.schemas : null;
+}
+
+// Tags des opérations déjà documentées sous un préfixe, repris pour les routes sans bloc @swagger
+function prefixTags(document, prefix) {
+  const operation = Object.entries(document.paths)
+    .filter(([path]) => path === prefix || path.startsWith(`${prefix}/`))
+    .flatMap(([, operations]) => Object.values(operations))
+    .find(({ tags }) => tags);
+
+  return operation ? operation.tags : [];
+}
+
+// Complète une opération avec les paramètres et le corps générés à partir des schémas Zod, qui
+// remplacent ceux de même nom décrits dans le bloc @swagger
+function applySchemas(operation, schemas) {
+  const parameters = [
+    ...(schemas.params ? toParameters(schemas.params, "path") : []),
+    ...(schemas.query ? toParameters(schemas.query, "query") : [])
+  ];
+
+  const documented = (operation.parameters || [])
+    .filter(parameter => !parameters.some(({ in: location, name }) => parameter.in === location && parameter.name === name));
+
+  if (parameters.length || documented.length) {
+    operation.parameters = [...parameters, ...documented];
+  }
+
+  if (schemas.body) {
+    const schema = toOpenApiSchema(schemas.body);
+
+    operation.requestBody = {
+      required: Boolean(schema.required),
+      content: { "application/json": { schema } }
+    };
+  }
+
+  operation.responses = operation.responses || {};
+  operation.responses[400] = operation.responses[400] || { $ref: "#/components/responses/BadRequest" };
+}
+
+// Document OpenAPI de l'API : les blocs @swagger des routes décrivent les opérations et leurs réponses,
+// les paramètres de chemin et de requête et les corps viennent des schémas Zod passés à validate
+// (source unique, appliquée aussi à la validation des requêtes). mounts liste les routeurs montés
+// par l'application avec leur préfixe ({ path: "/products", router })
+function generateOpenApiDocument(mounts) {
+  const document = swaggerJsdoc(swaggerOptions);
+  document.paths = document.paths || {};
+
+  mounts.forEach(({ path: prefix, router }) => {
+    const tags = prefixTags(document, prefix);
+
+    router.stack.filter(layer => layer.route).forEach(({ route }) => {
+      const schemas = routeSchemas(route);
+
+      if (!schemas) {
+        return;
+      }
+
+      const path = toOpenApiPath(prefix, route.path);
+      document.paths[path] = document.paths[path] || {};
+
+      Object.keys(route.methods).filter(method => method !== "_all").forEach(method => {
+        document.paths[path][method] = document.paths[path][method] || { tags };
+        applySchemas(document.paths[path][method], schemas);
+      });
+    });
+  });
+
+  return document;
+}
+
+module.exports = {
+  generateOpenApiDocument
+};
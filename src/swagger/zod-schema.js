@@ -0,0 +1,177 @@
+// Conversion des schémas Zod en schémas OpenAPI 3.0, du point de vue du client (données envoyées) :
+// un champ avec une valeur par défaut est facultatif, les transformations et refinements sont ignorés
+
+// Contraintes des chaînes : longueur, format et motif
+function stringSchema(def) {
+  const schema = { type: "string" };
+
+  def.checks.forEach(check => {
+    switch (check.kind) {
+      case "min":
+        schema.minLength = check.value;
+        break;
+      case "max":
+        schema.maxLength = check.value;
+        break;
+      case "length":
+        schema.minLength = check.value;
+        schema.maxLength = check.value;
+        break;
+      case "email":
+      case "url":
+      case "uuid":
+        schema.format = check.kind === "url" ? "uri" : check.kind;
+        break;
+      case "datetime":
+        schema.format = "date-time";
+        break;
+      case "date":
+        schema.format = "date";
+        break;
+      case "regex":
+        schema.pattern = check.regex.source;
+        break;
+    }
+  });
+
+  return schema;
+}
+
+// Contraintes des nombres : entier, bornes et multiple
+function numberSchema(def) {
+  const schema = { type: "number" };
+
+  def.checks.forEach(check => {
+    switch (check.kind) {
+      case "int":
+        schema.type = "integer";
+        break;
+      case "min":
+        schema.minimum = check.value;
+        if (!check.inclusive) schema.exclusiveMinimum = true;
+        break;
+      case "max":
+        schema.maximum = check.value;
+        if (!check.inclusive) schema.exclusiveMaximum = true;
+        break;
+      case "multipleOf":
+        schema.multipleOf = check.value;
+        break;
+    }
+  });
+
+  // Bornes exclusives d'un entier ramenées à des bornes inclusives (positive() → minimum: 1)
+  if (schema.type === "integer" && schema.exclusiveMinimum && Number.isInteger(schema.minimum)) {
+    schema.minimum += 1;
+    delete schema.exclusiveMinimum;
+  }
+
+  if (schema.type === "integer" && schema.exclusiveMaximum && Number.isInteger(schema.maximum)) {
+    schema.maximum -= 1;
+    delete schema.exclusiveMaximum;
+  }
+
+  return schema;
+}
+
+function objectSchema(zodSchema) {
+  const properties = {};
+  const required = [];
+
+  Object.entries(zodSchema.shape).forEach(([name, field]) => {
+    properties[name] = toOpenApiSchema(field);
+
+    if (!field.isOptional()) {
+      required.push(name);
+    }
+  });
+
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
+
+function convert(zodSchema) {
+  const def = zodSchema._def;
+
+  switch (def.typeName) {
+    case "ZodString":
+      return stringSchema(def);
+    case "ZodNumber":
+      return numberSchema(def);
+    case "ZodBoolean":
+      return { type: "boolean" };
+    case "ZodDate":
+      return { type: "string", format: "date-time" };
+    case "ZodEnum":
+      return { type: "string", enum: [...def.values] };
+    case "ZodLiteral":
+      return { type: typeof def.value, enum: [def.value] };
+    case "ZodArray":
+      return {
+        type: "array",
+        items: toOpenApiSchema(def.type),
+        ...(def.minLength ? { minItems: def.minLength.value } : {}),
+        ...(def.maxLength ? { maxItems: def.maxLength.value } : {})
+      };
+    case "ZodObject":
+      return objectSchema(zodSchema);
+    case "ZodRecord":
+      return { type: "object", additionalProperties: toOpenApiSchema(def.valueType) };
+    case "ZodUnion":
+      return { oneOf: def.options.map(toOpenApiSchema) };
+    case "ZodOptional":
+      return toOpenApiSchema(def.innerType);
+    case "ZodNullable":
+      return { ...toOpenApiSchema(def.innerType), nullable: true };
+    case "ZodDefault":
+      return { ...toOpenApiSchema(def.innerType), default: def.defaultValue() };
+    case "ZodEffects":
+      return toOpenApiSchema(def.schema);
+    case "ZodPipeline":
+      return toOpenApiSchema(def.in);
+    default:
+      return {};
+  }
+}
+
+// Schéma OpenAPI d'un schéma Zod, avec sa description (.describe())
+function toOpenApiSchema(zodSchema) {
+  const schema = convert(zodSchema);
+  return zodSchema.description ? { ...schema, description: zodSchema.description } : schema;
+}
+
+// Schéma objet sous-jacent, débarrassé des transformations et refinements (ex: ProductSearchSchema)
+function unwrapObject(zodSchema) {
+  let schema = zodSchema;
+
+  while (schema._def.typeName === "ZodEffects") {
+    schema = schema._def.schema;
+  }
+
+  return schema._def.typeName === "ZodObject" ? schema : null;
+}
+
+// Paramètres OpenAPI (in: path ou query) d'un schéma objet, un par champ
+function toParameters(zodSchema, location) {
+  const object = unwrapObject(zodSchema);
+
+  if (!object) {
+    return [];
+  }
+
+  return Object.entries(object.shape).map(([name, field]) => {
+    const { description, ...schema } = toOpenApiSchema(field);
+
+    return {
+      in: location,
+      name,
+      required: location === "path" || !field.isOptional(),
+      schema,
+      ...(description ? { description } : {})
+    };
+  });
+}
+
+module.exports = {
+  toOpenApiSchema,
+  toParameters
+};
@@ -0,0 +1,120 @@
+const config = require("../config");
+const { withTransaction } = require("./transaction");
+const { getFreeToGame } = require("./freetogame");
+const { parseGameList } = require("../models/freetogame");
+const { BadGatewayError, ConflictError } = require("./errors");
+
+// Source externe des produits importés depuis l'API FreeToGame
+const FREETOGAME_SOURCE = "freetogame";
+
+// Clé du verrou consultatif qui empêche deux imports simultanés (route d'administration et planification)
+const SYNC_LOCK_KEY = 4242002;
+
+// Colonnes d'un produit importé écrites par chaque import. Le prix, le stock et la classe de taxe
+// restent ceux saisis dans la boutique
+const SYNCED_COLUMNS = ["name", "about", "genre", "platform", "publisher", "thumbnail", "release_date", "retired"];
+
+// Ligne de la table products pour un jeu de l'API FreeToGame (modèle Game de src/models/freetogame.js).
+// Un jeu importé est gratuit et sans stock : il ne peut pas être commandé tant que son stock n'a pas
+// été approvisionné (et son prix fixé s'il n'est pas gratuit)
+function toProductRow(game) {
+  return {
+    external_source: FREETOGAME_SOURCE,
+    external_id: String(game.id),
+    name: game.title.slice(0, 255),
+    about: game.shortDescription || game.title,
+    price: 0,
+    genre: game.genre && game.genre.slice(0, 100),
+    platform: game.platform && game.platform.slice(0, 100),
+    publisher: game.publisher && game.publisher.slice(0, 255),
+    thumbnail: game.thumbnail,
+    release_date: game.releaseDate,
+    retired: false
+  };
+}
+
+// Importe les jeux de l'API FreeToGame dans le catalogue : les nouveaux titres sont créés (gratuits,
+// stock à saisir), les titres connus mis à jour s'ils ont changé et ceux qui ont disparu de l'API
+// marqués comme retirés. Renvoie le nombre de produits créés, mis à jour, retirés et inchangés
+async function syncFreeToGameCatalog() {
+  const result = await getFreeToGame("/games", {}, { parse: parseGameList, revalidate: true });
+  // Un titre en double dans la réponse ne peut être écrit qu'une fois par l'upsert
+  const games = new Map(result.data.map(game => [String(game.id), game]));
+  const rows = [...games.values()].map(toProductRow);
+
+  // Un catalogue vide est une anomalie de l'API : il retirerait tous les produits importés
+  if (rows.length === 0) {
+    throw new BadGatewayError("UPSTREAM_EMPTY_CATALOG");
+  }
+
+  const counts = await withTransaction(async tx => {
+    const [{ locked }] = await tx`SELECT pg_try_advisory_xact_lock(${SYNC_LOCK_KEY}) AS locked`;
+
+    if (!locked) {
+      throw new ConflictError("SYNC_IN_PROGRESS");
+    }
+
+    const existing = await tx`
+      SELECT external_id FROM products WHERE external_source = ${FREETOGAME_SOURCE}
+    `;
+    const knownIds = new Set(existing.map(product => product.external_id));
+
+    // Seules les lignes réellement modifiées sont renvoyées par l'upsert
+    const written = await tx`
+      INSERT INTO products ${tx(rows.map(row => ({ ...row, synced_at: new Date() })))}
+      ON CONFLICT (external_source, external_id) DO UPDATE SET
+        ${SYNCED_COLUMNS.map(column => tx`${tx(column)} = EXCLUDED.${tx(column)}, `)}
+        synced_at = EXCLUDED.synced_at
+      WHERE (${tx(SYNCED_COLUMNS.map(column => `products.${column}`))})
+        IS DISTINCT FROM (${tx(SYNCED_COLUMNS.map(column => `excluded.${column}`))})
+      RETURNING external_id
+    `;
+
+    const retired = await tx`
+      UPDATE products SET retired = TRUE, synced_at = CURRENT_TIMESTAMP
+      WHERE external_source = ${FREETOGAME_SOURCE}
+        AND NOT retired
+        AND external_id <> ALL(${rows.map(row => row.external_id)})
+      RETURNING id
+    `;
+
+    const inserted = written.filter(product => !knownIds.has(product.external_id)).length;
+
+    return {
+      inserted,
+      updated: written.length - inserted,
+      retired: retired.length,
+      unchanged: rows.length - written.length
+    };
+  });
+
+  return { source: FREETOGAME_SOURCE, ...counts, total: rows.length, stale: result.stale };
+}
+
+// Lance l'import à intervalle régulier si FREETOGAME_SYNC_INTERVAL_MINUTES est défini.
+// Les échecs sont journalisés, l'import suivant a lieu à l'intervalle prévu
+function scheduleFreeToGameSync() {
+  const minutes = config.freeToGame.syncIntervalMinutes;
+
+  if (!minutes) {
+    return null;
+  }
+
+  const run = () => syncFreeToGameCatalog()
+    .then(({ inserted, updated, retired }) =>
+      console.log(`🟢 Import FreeToGame: ${inserted} créé(s), ${updated} mis à jour, ${retired} retiré(s)`))
+    .catch(error => console.error("🔴 Échec de l'import FreeToGame:", error.message));
+
+  console.log(`🔄 Import FreeToGame planifié toutes les ${minutes} min`);
+  run();
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  FREETOGAME_SOURCE,
+  syncFreeToGameCatalog,
+  scheduleFreeToGameSync
+};
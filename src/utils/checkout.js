@@ -0,0 +1,94 @@
+const { buildOrderItems, saveOrderItems, getOrderDetails } = require("./helpers");
+const { lockProducts, computeStockChanges, findShortages, findRetired, applyStockChanges } = require("./inventory");
+const { resolveTaxRates, calculateOrderTotals } = require("./tax");
+const { lockCoupon, basketLines, checkCoupon, computeDiscounts, redeemCoupon } = require("./coupons");
+const { BadRequestError, NotFoundError, ConflictError } = require("./errors");
+
+// Applique aux lignes la remise du code promo éventuel puis les taux de TVA du pays de livraison,
+// et calcule les totaux de la commande. Lève une erreur si un taux de TVA manque ou si le code promo est refusé
+async function priceOrder(items, products, country, tx, { couponCode = null, userId } = {}) {
+  const orderedProducts = products.filter(product => items.some(item => item.productId === product.id));
+  const { rates, missing } = await resolveTaxRates(country, orderedProducts, tx);
+
+  if (missing.length > 0) {
+    throw new BadRequestError("TAX_RATE_MISSING", { country, taxClasses: missing });
+  }
+
+  let coupon = null;
+  let discounts = new Map();
+
+  if (couponCode) {
+    coupon = await lockCoupon(couponCode, tx);
+
+    if (!coupon) {
+      throw new BadRequestError("UNKNOWN_COUPON", { couponCode });
+    }
+
+    const lines = basketLines(items, products);
+    await checkCoupon(coupon, { userId, lines }, tx);
+
+    discounts = computeDiscounts(coupon, lines);
+  }
+
+  const orderItems = buildOrderItems(items, products, rates, discounts);
+
+  return { orderItems, totals: calculateOrderTotals(orderItems), coupon };
+}
+
+// Crée une commande en attente dans la transaction tx : réserve le stock, fige les prix et la TVA,
+// enregistre l'utilisation du code promo. Renvoie { order } ou lève une erreur si elle est refusée
+async function placeOrder(userId, { items, country, couponCode }, tx) {
+  const productIds = items.map(item => item.productId);
+
+  // Vérifier si tous les produits existent, en les verrouillant jusqu'à ce que leur stock soit réservé
+  const products = await lockProducts(productIds, tx);
+
+  if (products.length !== productIds.length) {
+    throw new NotFoundError("PRODUCTS_NOT_FOUND");
+  }
+
+  const stockChanges = computeStockChanges(items);
+  const retired = findRetired(stockChanges, products);
+
+  if (retired.length > 0) {
+    throw new ConflictError("PRODUCTS_RETIRED", { products: retired });
+  }
+
+  const shortages = findShortages(stockChanges, products);
+
+  if (shortages.length > 0) {
+    throw new ConflictError("INSUFFICIENT_STOCK", { shortages });
+  }
+
+  // Figer le prix et la TVA actuels sur chaque ligne, puis calculer les totaux
+  const { orderItems, totals, coupon } = await priceOrder(items, products, country, tx, { couponCode, userId });
+  const [order] = await tx`
+    INSERT INTO orders (
+      user_id, country, coupon_code, subtotal, discount_total, tax_total, total, tax_breakdown, status
+    )
+    VALUES (
+      ${userId}, ${country}, ${coupon ? coupon.code : null}, ${totals.subtotal}, ${totals.discountTotal},
+      ${totals.taxTotal}, ${totals.total}, ${tx.json(totals.breakdown)}, 'pending'
+    )
+    RETURNING *
+  `;
+  await saveOrderItems(order.id, orderItems, tx);
+  await applyStockChanges(stockChanges, tx, { orderId: order.id, userId });
+
+  if (coupon) {
+    await redeemCoupon(coupon, { orderId: order.id, userId, discount: totals.discountTotal }, tx);
+  }
+
+  await tx`
+    INSERT INTO order_status_history (order_id, from_status, to_status, changed_by)
+    VALUES (${order.id}, NULL, 'pending', ${userId})
+  `;
+
+  // Récupérer les détails complets
+  return { order: await getOrderDetails(order, tx) };
+}
+
+module.exports = {
+  priceOrder,
+  placeOrder
+};
@@ -0,0 +1,110 @@
+const { toCents, applyPercentage, allocate } = require("./money");
+const { BadRequestError } = require("./errors");
+
+// Verrouille le code promo jusqu'à la fin de la commande, pour que deux commandes simultanées
+// ne dépassent pas ensemble sa limite d'utilisation
+async function lockCoupon(code, tx) {
+  const [coupon] = await tx`
+    SELECT * FROM coupons WHERE code = ${code.toUpperCase()} FOR UPDATE
+  `;
+
+  return coupon;
+}
+
+// Montant hors taxes de chaque ligne du panier, en centimes
+function basketLines(items, products) {
+  return items.map(({ productId, quantity }) => {
+    const product = products.find(p => p.id === productId);
+    return { productId, subtotalCents: toCents(product.price) * quantity };
+  });
+}
+
+// Lignes du panier concernées par le code promo : toutes, ou seulement les produits ciblés
+function eligibleLines(coupon, lines) {
+  return coupon.product_ids.length === 0
+    ? lines
+    : lines.filter(line => coupon.product_ids.includes(line.productId));
+}
+
+// Vérifie qu'un code promo est utilisable pour ce panier, lève une erreur donnant la raison du refus sinon
+async function checkCoupon(coupon, { userId, lines }, tx) {
+  const now = new Date();
+
+  if (!coupon.active) {
+    throw new BadRequestError("COUPON_INACTIVE", { couponCode: coupon.code });
+  }
+
+  if (coupon.starts_at && now < coupon.starts_at) {
+    throw new BadRequestError("COUPON_NOT_STARTED", { couponCode: coupon.code });
+  }
+
+  if (coupon.ends_at && now >= coupon.ends_at) {
+    throw new BadRequestError("COUPON_EXPIRED", { couponCode: coupon.code });
+  }
+
+  const basketCents = lines.reduce((sum, line) => sum + line.subtotalCents, 0);
+  if (basketCents < toCents(coupon.min_basket)) {
+    throw new BadRequestError("COUPON_MIN_BASKET", { couponCode: coupon.code, minBasket: coupon.min_basket });
+  }
+
+  if (eligibleLines(coupon, lines).length === 0) {
+    throw new BadRequestError("COUPON_NOT_APPLICABLE", { couponCode: coupon.code });
+  }
+
+  const [usage] = await tx`
+    SELECT COUNT(*)::int AS total,
+           COUNT(*) FILTER (WHERE user_id = ${userId})::int AS by_user
+    FROM coupon_redemptions WHERE coupon_id = ${coupon.id}
+  `;
+
+  if (coupon.max_uses !== null && usage.total >= coupon.max_uses) {
+    throw new BadRequestError("COUPON_EXHAUSTED", { couponCode: coupon.code });
+  }
+
+  if (coupon.max_uses_per_user !== null && usage.by_user >= coupon.max_uses_per_user) {
+    throw new BadRequestError("COUPON_USER_LIMIT", { couponCode: coupon.code });
+  }
+}
+
+// Remise accordée à chaque produit, en centimes. Un pourcentage s'applique à chaque ligne concernée ;
+// un montant fixe, plafonné au total des lignes concernées, est réparti entre elles au prorata
+function computeDiscounts(coupon, lines) {
+  const eligible = eligibleLines(coupon, lines);
+  const discounts = new Map();
+
+  if (coupon.type === "percentage") {
+    eligible.forEach(line => discounts.set(line.productId, applyPercentage(line.subtotalCents, coupon.value)));
+    return discounts;
+  }
+
+  const weights = eligible.map(line => line.subtotalCents);
+  const amount = Math.min(toCents(coupon.value), weights.reduce((sum, weight) => sum + weight, 0));
+  allocate(amount, weights).forEach((share, index) => discounts.set(eligible[index].productId, share));
+
+  return discounts;
+}
+
+// Enregistre l'utilisation du code promo par une commande (remplace une utilisation précédente)
+async function redeemCoupon(coupon, { orderId, userId, discount }, tx) {
+  await releaseCoupon(orderId, tx);
+  await tx`
+    INSERT INTO coupon_redemptions (coupon_id, order_id, user_id, discount)
+    VALUES (${coupon.id}, ${orderId}, ${userId}, ${discount})
+  `;
+}
+
+// Libère l'utilisation du code promo d'une commande, qui ne compte plus dans les limites
+async function releaseCoupon(orderId, tx) {
+  await tx`
+    DELETE FROM coupon_redemptions WHERE order_id = ${orderId}
+  `;
+}
+
+module.exports = {
+  lockCoupon,
+  basketLines,
+  checkCoupon,
+  computeDiscounts,
+  redeemCoupon,
+  releaseCoupon
+};
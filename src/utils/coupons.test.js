@@ -0,0 +1,114 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { basketLines, checkCoupon, computeDiscounts } = require("./coupons");
+const { computeLineAmounts, calculateOrderTotals } = require("./tax");
+
+const products = [
+  { id: 1, price: "19.99" },
+  { id: 2, price: 5 },
+  { id: 3, price: "0.99" }
+];
+
+const lines = basketLines(
+  [{ productId: 1, quantity: 2 }, { productId: 2, quantity: 3 }, { productId: 3, quantity: 1 }],
+  products
+);
+
+function coupon(overrides) {
+  return {
+    id: 1,
+    code: "PROMO",
+    type: "percentage",
+    value: 10,
+    product_ids: [],
+    active: true,
+    starts_at: null,
+    ends_at: null,
+    min_basket: 0,
+    max_uses: null,
+    max_uses_per_user: null,
+    ...overrides
+  };
+}
+
+// Requête d'utilisation simulée : renvoie le nombre d'utilisations du code promo
+function usage(total, byUser) {
+  return async () => [{ total, by_user: byUser }];
+}
+
+describe("basketLines", () => {
+  test("calcule le montant hors taxes de chaque ligne en centimes", () => {
+    assert.deepEqual(lines, [
+      { productId: 1, subtotalCents: 3998 },
+      { productId: 2, subtotalCents: 1500 },
+      { productId: 3, subtotalCents: 99 }
+    ]);
+  });
+});
+
+describe("computeDiscounts", () => {
+  test("applique un pourcentage à chaque ligne, arrondi au centime", () => {
+    const discounts = computeDiscounts(coupon({ value: 12.5 }), lines);
+
+    assert.deepEqual([...discounts], [[1, 500], [2, 188], [3, 12]]);
+  });
+
+  test("répartit un montant fixe au prorata des lignes, sans perdre de centime", () => {
+    const discounts = computeDiscounts(coupon({ type: "fixed", value: 10 }), lines);
+
+    assert.deepEqual([...discounts], [[1, 714], [2, 268], [3, 18]]);
+    assert.equal([...discounts.values()].reduce((sum, share) => sum + share, 0), 1000);
+  });
+
+  test("plafonne un montant fixe au total des lignes concernées", () => {
+    const discounts = computeDiscounts(coupon({ type: "fixed", value: 50, product_ids: [2] }), lines);
+
+    assert.deepEqual([...discounts], [[2, 1500]]);
+  });
+
+  test("ne remise que les produits ciblés", () => {
+    const discounts = computeDiscounts(coupon({ value: 50, product_ids: [1, 3] }), lines);
+
+    assert.deepEqual([...discounts], [[1, 1999], [3, 50]]);
+  });
+
+  test("déduit la remise de la base taxable de chaque ligne", () => {
+    const discounts = computeDiscounts(coupon({ type: "fixed", value: 10 }), lines);
+    const items = products.map(({ id, price }, index) => ({
+      vat_rate: 0.2,
+      ...computeLineAmounts(price, [2, 3, 1][index], 0.2, discounts.get(id))
+    }));
+
+    assert.deepEqual(calculateOrderTotals(items), {
+      subtotal: 55.97,
+      discountTotal: 10,
+      taxTotal: 9.19,
+      total: 55.16,
+      breakdown: [{ rate: 0.2, taxableAmount: 45.97, taxAmount: 9.19 }]
+    });
+  });
+});
+
+describe("checkCoupon", () => {
+  const basket = { userId: 7, lines };
+
+  test("accepte un code promo utilisable", async () => {
+    await assert.doesNotReject(checkCoupon(coupon(), basket, usage(0, 0)));
+  });
+
+  test("donne la raison du refus", async () => {
+    const refusals = [
+      [coupon({ active: false }), usage(0, 0), "COUPON_INACTIVE"],
+      [coupon({ starts_at: new Date(Date.now() + 60000) }), usage(0, 0), "COUPON_NOT_STARTED"],
+      [coupon({ ends_at: new Date(Date.now() - 60000) }), usage(0, 0), "COUPON_EXPIRED"],
+      [coupon({ min_basket: "100.00" }), usage(0, 0), "COUPON_MIN_BASKET"],
+      [coupon({ product_ids: [42] }), usage(0, 0), "COUPON_NOT_APPLICABLE"],
+      [coupon({ max_uses: 5 }), usage(5, 0), "COUPON_EXHAUSTED"],
+      [coupon({ max_uses_per_user: 1 }), usage(3, 1), "COUPON_USER_LIMIT"]
+    ];
+
+    for (const [refused, tx, code] of refusals) {
+      await assert.rejects(checkCoupon(refused, basket, tx), { status: 400, code });
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const config = require("../config");
+const { translate } = require("./i18n");
+
+// Erreurs applicatives, renvoyées au client au format problem+json (RFC 7807) par le middleware
+// src/middleware/errors.js. Chaque erreur porte un statut HTTP et un code stable lisible par les
+// clients (ex: PRODUCT_NOT_FOUND), dont le message est traduit depuis src/locales ; extensions ajoute
+// des membres à la réponse (ex: { shortages }) et fournit les paramètres du message (ex: {taxClass})
+class AppError extends Error {
+  constructor(status, code, extensions = {}) {
+    // Message dans la langue par défaut pour les journaux, la réponse est traduite dans celle du client
+    super(translate(config.i18n.defaultLocale, `errors.${code}`, extensions));
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(code, extensions) {
+    super(400, code, extensions);
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(code, extensions) {
+    super(401, code, extensions);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(code, extensions) {
+    super(403, code, extensions);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(code, extensions) {
+    super(404, code, extensions);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(code, extensions) {
+    super(409, code, extensions);
+  }
+}
+
+class BadGatewayError extends AppError {
+  constructor(code, extensions) {
+    super(502, code, extensions);
+  }
+}
+
+class ServiceUnavailableError extends AppError {
+  constructor(code, extensions) {
+    super(503, code, extensions);
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadGatewayError,
+  ServiceUnavailableError
+};
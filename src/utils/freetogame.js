@@ -0,0 +1,242 @@
+const config = require("../config");
+const { NotFoundError, BadGatewayError, ServiceUnavailableError } = require("./errors");
+
+// Client partagé de l'API FreeToGame. Chaque appel est limité dans le temps et rejoué avec un délai
+// croissant en cas d'erreur réseau ou de réponse 5xx/429. Les réponses sont mises en cache :
+// - fraîches pendant FREETOGAME_CACHE_TTL_SECONDS (X-Cache: HIT)
+// - puis périmées pendant FREETOGAME_CACHE_STALE_SECONDS : servies immédiatement et rafraîchies
+//   en arrière-plan, et toujours servies si l'API est en panne (X-Cache: STALE, stale: true)
+// Après FREETOGAME_BREAKER_THRESHOLD échecs consécutifs, le circuit s'ouvre : l'API n'est plus
+// appelée pendant FREETOGAME_BREAKER_COOLDOWN_SECONDS, puis un seul appel d'essai décide de sa fermeture
+
+// Nombre maximal de réponses gardées en cache, les plus anciennes sont évincées
+const MAX_CACHE_ENTRIES = 500;
+
+// Statuts de l'API pour lesquels une nouvelle tentative a une chance de réussir
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const cache = new Map();
+const inFlight = new Map();
+
+const breaker = {
+  failures: 0,
+  openUntil: 0,
+  probing: false
+};
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Erreur de l'API après toutes les tentatives : statut HTTP ou erreur réseau / délai dépassé
+class UpstreamFailure extends Error {
+  constructor(status, cause) {
+    super(status ? `API FreeToGame: statut ${status}` : `API FreeToGame injoignable: ${cause.message}`);
+    this.status = status;
+  }
+}
+
+function cacheKey(path, params) {
+  const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined).sort());
+  return query.toString() ? `${path}?${query}` : path;
+}
+
+function remember(key, data) {
+  cache.delete(key);
+  cache.set(key, { data, storedAt: Date.now() });
+
+  if (cache.size > MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Entrée du cache encore utilisable avec son âge en secondes, les entrées trop anciennes sont évincées
+function cachedEntry(key) {
+  const entry = cache.get(key);
+
+  if (!entry) {
+    return null;
+  }
+
+  const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+
+  if (age >= config.freeToGame.cacheTtlSeconds + config.freeToGame.cacheStaleSeconds) {
+    cache.delete(key);
+    return null;
+  }
+
+  return { ...entry, age, fresh: age < config.freeToGame.cacheTtlSeconds };
+}
+
+// Le circuit laisse passer les appels s'il est fermé, ou un seul appel d'essai une fois le délai écoulé
+function breakerAllows() {
+  if (breaker.openUntil === 0) {
+    return true;
+  }
+
+  if (Date.now() < breaker.openUntil || breaker.probing) {
+    return false;
+  }
+
+  breaker.probing = true;
+  return true;
+}
+
+function recordSuccess() {
+  if (breaker.openUntil !== 0) {
+    console.log("🟢 Circuit FreeToGame refermé");
+  }
+
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+  breaker.probing = false;
+}
+
+function recordFailure() {
+  breaker.failures++;
+  breaker.probing = false;
+
+  if (breaker.failures >= config.freeToGame.breakerThreshold) {
+    breaker.openUntil = Date.now() + config.freeToGame.breakerCooldownSeconds * 1000;
+    console.error(`🔴 Circuit FreeToGame ouvert pour ${config.freeToGame.breakerCooldownSeconds} s après ${breaker.failures} échecs`);
+  }
+}
+
+// Appel de l'API avec délai maximal et nouvelles tentatives. Renvoie { status, data } pour une réponse
+// définitive (2xx ou erreur client comme 404), lève UpstreamFailure si l'API reste en erreur
+async function request(key) {
+  const url = `${config.freeToGame.baseUrl}${key}`;
+  const { retries, retryDelayMs, timeoutMs } = config.freeToGame;
+
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        return { status: response.status, data: response.ok ? await response.json() : null };
+      }
+
+      failure = new UpstreamFailure(response.status);
+    } catch (error) {
+      failure = new UpstreamFailure(null, error);
+    }
+
+    if (attempt >= retries) {
+      throw failure;
+    }
+
+    // Attente exponentielle avec une part aléatoire, comme pour les transactions rejouées
+    const backoff = retryDelayMs * 2 ** attempt;
+    console.warn(`🟠 ${failure.message}, tentative ${attempt + 2}/${retries + 1}`);
+    await delay(backoff + Math.random() * backoff);
+  }
+}
+
+// Interroge l'API si le circuit le permet et met en cache la réponse convertie par parse, qui renvoie
+// null pour une réponse inexploitable (jamais mise en cache). Les appels simultanés pour une même clé
+// partagent la même requête
+function fetchAndRemember(key, parse) {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  if (!breakerAllows()) {
+    return Promise.reject(new ServiceUnavailableError("UPSTREAM_CIRCUIT_OPEN", {
+      retryAfter: Math.max(Math.ceil((breaker.openUntil - Date.now()) / 1000), 1)
+    }));
+  }
+
+  const pending = request(key)
+    .then(response => {
+      recordSuccess();
+
+      if (response.data === null) {
+        return response;
+      }
+
+      const data = parse(response.data);
+
+      if (data === null) {
+        throw new BadGatewayError("UPSTREAM_INVALID_PAYLOAD");
+      }
+
+      remember(key, data);
+      return { ...response, data };
+    }, error => {
+      recordFailure();
+      throw error;
+    })
+    .finally(() => inFlight.delete(key));
+
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Données de l'API FreeToGame pour path (ex: "/games") et ses paramètres de requête, converties par
+// parse (ex: parseGameList de src/models/freetogame.js, toujours le même pour un path donné).
+// Renvoie { data, cache: "HIT" | "MISS" | "STALE", age, stale } ; une réponse 404 lève
+// NotFoundError(notFoundCode), une panne sans donnée en cache lève une erreur 502 ou 503.
+// Avec revalidate, l'API est toujours interrogée et le cache ne sert qu'en cas de panne (ex: import du catalogue)
+async function getFreeToGame(path, params = {}, {
+  notFoundCode = "UPSTREAM_NOT_FOUND",
+  parse = data => data,
+  revalidate = false
+} = {}) {
+  const key = cacheKey(path, params);
+  const entry = cachedEntry(key);
+
+  if (entry && entry.fresh && !revalidate) {
+    return { data: entry.data, cache: "HIT", age: entry.age, stale: false };
+  }
+
+  if (entry && !revalidate) {
+    // Réponse périmée servie telle quelle, rafraîchie en arrière-plan pour les appels suivants
+    fetchAndRemember(key, parse).catch(error => {
+      if (!(error instanceof ServiceUnavailableError)) {
+        console.warn(`🟠 Rafraîchissement FreeToGame impossible pour ${key}: ${error.message}`);
+      }
+    });
+
+    return { data: entry.data, cache: "STALE", age: entry.age, stale: true };
+  }
+
+  let response;
+
+  try {
+    response = await fetchAndRemember(key, parse);
+  } catch (error) {
+    if (entry) {
+      console.warn(`🟠 API FreeToGame indisponible, réponse en cache servie pour ${key}: ${error.message}`);
+      return { data: entry.data, cache: "STALE", age: entry.age, stale: true };
+    }
+
+    if (error instanceof UpstreamFailure) {
+      console.error(`Erreur lors de l'appel à l'API FreeToGame (${key}):`, error.message);
+      throw error.status
+        ? new BadGatewayError("UPSTREAM_ERROR", { upstreamStatus: error.status })
+        : new BadGatewayError("UPSTREAM_UNAVAILABLE");
+    }
+
+    throw error;
+  }
+
+  if (response.status === 404) {
+    throw new NotFoundError(notFoundCode);
+  }
+
+  if (response.data === null) {
+    throw new BadGatewayError("UPSTREAM_ERROR", { upstreamStatus: response.status });
+  }
+
+  return { data: response.data, cache: "MISS", age: 0, stale: false };
+}
+
+// En-têtes décrivant l'origine d'une réponse de getFreeToGame
+function cacheHeaders(result) {
+  return { "X-Cache": result.cache, "Age": String(result.age) };
+}
+
+module.exports = {
+  getFreeToGame,
+  cacheHeaders
+};
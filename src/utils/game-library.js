@@ -0,0 +1,68 @@
+const { sql } = require("../config/database");
+const { getFreeToGame } = require("./freetogame");
+const { parseGameList } = require("../models/freetogame");
+const { NotFoundError } = require("./errors");
+
+// Jeux FreeToGame indexés par ID, depuis la liste complète des jeux (un seul appel, mis en cache)
+async function loadGames() {
+  const result = await getFreeToGame("/games", {}, { parse: parseGameList });
+  return { games: new Map(result.data.map(game => [game.id, game])), stale: result.stale };
+}
+
+// Vérifie qu'un jeu existe dans l'API FreeToGame avant de l'ajouter à une bibliothèque
+async function assertGameExists(gameId) {
+  const { games } = await loadGames();
+
+  if (!games.has(gameId)) {
+    throw new NotFoundError("GAME_NOT_FOUND");
+  }
+}
+
+// Complète chaque enregistrement (avec un game_id) par le détail du jeu mis en cache. Si l'API
+// FreeToGame est indisponible, les enregistrements sont renvoyés avec game: null et gamesAvailable: false
+async function attachGames(records) {
+  let loaded;
+
+  try {
+    loaded = await loadGames();
+  } catch (error) {
+    console.warn(`🟠 Détail des jeux indisponible: ${error.message}`);
+    return { records: records.map(record => ({ ...record, game: null })), gamesAvailable: false, stale: false };
+  }
+
+  return {
+    records: records.map(record => ({ ...record, game: loaded.games.get(record.game_id) || null })),
+    gamesAvailable: true,
+    stale: loaded.stale
+  };
+}
+
+// Classements des jeux sur l'ensemble des bibliothèques : les plus joués (heures cumulées) et les
+// mieux notés (note moyenne, départagée par le nombre de notes)
+async function gameRankings(limit) {
+  const mostPlayed = await sql`
+    SELECT game_id, SUM(hours_played) AS total_hours, COUNT(*)::int AS players
+    FROM user_games
+    WHERE hours_played > 0
+    GROUP BY game_id
+    ORDER BY total_hours DESC, players DESC, game_id
+    LIMIT ${limit}
+  `;
+
+  const bestRated = await sql`
+    SELECT game_id, ROUND(AVG(rating), 2) AS average_rating, COUNT(rating)::int AS ratings
+    FROM user_games
+    WHERE rating IS NOT NULL
+    GROUP BY game_id
+    ORDER BY average_rating DESC, ratings DESC, game_id
+    LIMIT ${limit}
+  `;
+
+  return { mostPlayed, bestRated };
+}
+
+module.exports = {
+  assertGameExists,
+  attachGames,
+  gameRankings
+};
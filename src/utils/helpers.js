@@ -1,78 +1,198 @@
 const crypto = require("crypto");
+const util = require("util");
 const { sql } = require("../config/database");
+const { can, redactEmail } = require("./policies");
+const { withTransaction } = require("./transaction");
+const { computeLineAmounts } = require("./tax");
 
-// Fonction de hachage SHA512
-function hashPassword(password) {
-  return crypto.createHash('sha512').update(password).digest('hex');
+const scrypt = util.promisify(crypto.scrypt);
+
+// Paramètres scrypt actuels : tout hash généré avec d'autres paramètres sera mis à niveau
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_SALT_LENGTH = 16;
+
+// Les anciens hash sont un SHA512 hexadécimal non salé
+const LEGACY_SHA512_PATTERN = /^[0-9a-f]{128}$/i;
+
+// Hachage d'un mot de passe avec scrypt et un sel aléatoire propre à chaque utilisateur
+// Format auto-descriptif : $scrypt$n=16384,r=8,p=1$<sel base64>$<hash base64>
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SCRYPT_SALT_LENGTH);
+  const key = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+
+  return `$scrypt$n=${N},r=${r},p=${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// Découpe un hash au format $scrypt$... en ses paramètres, renvoie null s'il est mal formé
+function parseScryptHash(passwordHash) {
+  const match = /^\$scrypt\$n=(\d+),r=(\d+),p=(\d+)\$([A-Za-z0-9+/=]+)\$([A-Za-z0-9+/=]+)$/.exec(passwordHash);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    N: parseInt(match[1]),
+    r: parseInt(match[2]),
+    p: parseInt(match[3]),
+    salt: Buffer.from(match[4], 'base64'),
+    key: Buffer.from(match[5], 'base64')
+  };
+}
+
+// Vérifie un mot de passe contre son hash (scrypt ou ancien SHA512) en temps constant
+async function verifyPassword(password, passwordHash) {
+  if (LEGACY_SHA512_PATTERN.test(passwordHash)) {
+    const expected = Buffer.from(passwordHash, 'hex');
+    const received = crypto.createHash('sha512').update(password).digest();
+
+    return crypto.timingSafeEqual(expected, received);
+  }
+
+  const parsed = parseScryptHash(passwordHash);
+  if (!parsed) {
+    return false;
+  }
+
+  const { N, r, p, salt, key } = parsed;
+  const received = await scrypt(password, salt, key.length, { N, r, p, maxmem: 256 * N * r });
+
+  return crypto.timingSafeEqual(key, received);
 }
 
-// Fonction pour calculer le total avec TVA (20%)
-function calculateTotalWithVAT(productIds, products) {
-  const subtotal = productIds.reduce((sum, productId) => {
+// Indique si un hash doit être régénéré (ancien SHA512 ou paramètres scrypt obsolètes)
+function needsRehash(passwordHash) {
+  const parsed = parseScryptHash(passwordHash);
+
+  return !parsed
+    || parsed.N !== SCRYPT_PARAMS.N
+    || parsed.r !== SCRYPT_PARAMS.r
+    || parsed.p !== SCRYPT_PARAMS.p
+    || parsed.key.length !== SCRYPT_KEY_LENGTH;
+}
+
+// Vérifie le mot de passe d'un utilisateur et met à niveau son hash de façon transparente si besoin
+async function verifyUserPassword(user, password) {
+  const valid = await verifyPassword(password, user.password_hash);
+
+  if (valid && needsRehash(user.password_hash)) {
+    await sql`
+      UPDATE users SET password_hash = ${await hashPassword(password)}
+      WHERE id = ${user.id}
+    `;
+  }
+
+  return valid;
+}
+
+// Construit les lignes d'une commande avec l'instantané du prix et de la TVA au moment de l'achat
+// rates associe à chaque classe de taxe son taux dans le pays de livraison (voir resolveTaxRates)
+// et discounts à chaque produit la part de remise en centimes qui lui revient (voir computeDiscounts)
+function buildOrderItems(items, products, rates, discounts = new Map()) {
+  return items.map(({ productId, quantity }) => {
     const product = products.find(p => p.id === productId);
-    return sum + (product ? product.price : 0);
-  }, 0);
-  
-  return Math.round((subtotal * 1.2) * 100) / 100; // TVA 20% arrondie à 2 décimales
+    const rate = rates.get(product.tax_class);
+
+    return {
+      product_id: product.id,
+      product_name: product.name,
+      quantity,
+      unit_price: product.price,
+      tax_class: product.tax_class,
+      vat_rate: rate,
+      ...computeLineAmounts(product.price, quantity, rate, discounts.get(product.id) || 0)
+    };
+  });
 }
 
-// Fonction pour récupérer les détails complets d'une commande
-async function getOrderDetails(order) {
+// Remplace les lignes d'une commande (db permet de passer une transaction)
+async function saveOrderItems(orderId, items, db = sql) {
+  await db`DELETE FROM order_items WHERE order_id = ${orderId}`;
+  await db`
+    INSERT INTO order_items ${db(items.map(item => ({ ...item, order_id: orderId })))}
+  `;
+}
+
+// Fonction pour récupérer les détails complets d'une commande (db permet de lire dans une transaction)
+async function getOrderDetails(order, db = sql) {
   // Récupérer l'utilisateur
-  const [user] = await sql`
+  const [user] = await db`
     SELECT id, username, email, created_at, updated_at 
     FROM users WHERE id = ${order.user_id}
   `;
 
-  // Récupérer les produits
-  const products = await sql`
-    SELECT * FROM products WHERE id = ANY(${order.product_ids})
+  // Récupérer les lignes avec le prix et la TVA figés au moment de la commande
+  const items = await db`
+    SELECT id, product_id, product_name, quantity, unit_price, tax_class, vat_rate,
+           subtotal, discount, tax_amount, total
+    FROM order_items WHERE order_id = ${order.id}
+    ORDER BY id
   `;
 
   return {
     ...order,
     user,
-    products
+    items
   };
 }
 
+// Colonnes d'un produit renvoyées par l'API (search_vector ne sert qu'à la recherche plein texte)
+const PRODUCT_COLUMNS = [
+  "id", "name", "about", "price", "created_at", "reviews_ids", "total_score", "stock", "tax_class",
+  "external_source", "external_id", "genre", "platform", "publisher", "thumbnail", "release_date", "retired", "synced_at"
+];
+
 // Fonction pour récupérer les détails complets d'un produit avec ses avis
-async function getProductDetails(product) {
+// (l'email des auteurs n'est visible que par eux-mêmes et les administrateurs,
+// les avis en attente ou refusés uniquement par les modérateurs)
+async function getProductDetails(product, viewer) {
   // Récupérer les avis du produit
   const reviews = await sql`
     SELECT r.*, u.username, u.email 
     FROM reviews r 
     JOIN users u ON r.user_id = u.id 
     WHERE r.product_id = ${product.id}
+      ${can(viewer, "reviews:moderate") ? sql`` : sql`AND r.status = 'approved'`}
     ORDER BY r.created_at DESC
   `;
 
   return {
     ...product,
-    reviews
+    reviews: reviews.map(review => redactEmail(review, viewer, review.user_id))
   };
 }
 
 // Fonction pour mettre à jour le score total d'un produit
-async function updateProductScore(productId) {
-  // Calculer le nouveau score moyen
-  const [result] = await sql`
+// À appeler dans la transaction qui modifie les avis ; sans transaction fournie, en ouvre une
+async function updateProductScore(productId, tx) {
+  if (!tx) {
+    return withTransaction(tx => updateProductScore(productId, tx));
+  }
+
+  // Verrouiller le produit pour que deux recalculs concurrents ne s'entremêlent pas
+  await tx`
+    SELECT id FROM products WHERE id = ${productId} FOR UPDATE
+  `;
+
+  // Calculer le nouveau score moyen, sur les seuls avis publiés
+  const [result] = await tx`
     SELECT AVG(score) as avg_score, COUNT(*) as review_count
     FROM reviews 
-    WHERE product_id = ${productId}
+    WHERE product_id = ${productId} AND status = 'approved'
   `;
 
   const avgScore = result.avg_score ? Math.round(result.avg_score * 100) / 100 : 0;
   const reviewCount = result.review_count || 0;
 
-  // Récupérer tous les IDs des avis
-  const reviews = await sql`
-    SELECT id FROM reviews WHERE product_id = ${productId} ORDER BY id
+  // Récupérer les IDs des avis publiés
+  const reviews = await tx`
+    SELECT id FROM reviews WHERE product_id = ${productId} AND status = 'approved' ORDER BY id
   `;
   const reviewIds = reviews.map(r => r.id);
 
   // Mettre à jour le produit
-  await sql`
+  await tx`
     UPDATE products 
     SET total_score = ${avgScore}, reviews_ids = ${reviewIds}
     WHERE id = ${productId}
@@ -83,8 +203,13 @@ async function updateProductScore(productId) {
 
 module.exports = {
   hashPassword,
-  calculateTotalWithVAT,
+  verifyPassword,
+  needsRehash,
+  verifyUserPassword,
+  buildOrderItems,
+  saveOrderItems,
   getOrderDetails,
+  PRODUCT_COLUMNS,
   getProductDetails,
   updateProductScore
 }; 
\ No newline at end of file
@@ -0,0 +1,74 @@
+const config = require("../config");
+
+// Catalogues de messages par langue, indexés par section (titles, errors, validation, messages) puis par code
+const CATALOGS = {
+  fr: require("../locales/fr"),
+  en: require("../locales/en")
+};
+
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+function lookup(locale, key) {
+  const [section, code] = key.split(".");
+  const messages = CATALOGS[locale] && CATALOGS[locale][section];
+  return messages && Object.prototype.hasOwnProperty.call(messages, code) ? messages[code] : undefined;
+}
+
+function hasTranslation(key) {
+  return lookup(config.i18n.defaultLocale, key) !== undefined;
+}
+
+// Message du catalogue pour key (ex: "errors.PRODUCT_NOT_FOUND") dans la langue demandée, sinon dans
+// la langue par défaut. Les paramètres {nom} sont remplacés par params.nom, les listes jointes par des virgules
+function translate(locale, key, params = {}) {
+  const template = lookup(locale, key) ?? lookup(config.i18n.defaultLocale, key) ?? key;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+
+    return Array.isArray(value) ? value.join(", ") : String(value);
+  });
+}
+
+// Langues de l'en-tête Accept-Language (ex: "en-US,en;q=0.9,fr;q=0.8"), de la préférée à la moins préférée
+function parseAcceptLanguage(header) {
+  return header
+    .split(",")
+    .map(part => {
+      const [tag, ...params] = part.trim().split(";");
+      const quality = params.map(param => param.trim()).find(param => param.startsWith("q="));
+      return { tag: tag.trim().toLowerCase(), q: quality ? parseFloat(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag);
+}
+
+// Langue de la réponse : ?lang= si elle est prise en charge, sinon la première langue d'Accept-Language
+// prise en charge (en-US correspond à en), sinon la langue par défaut
+function resolveLocale(lang, acceptLanguage) {
+  if (typeof lang === "string" && SUPPORTED_LOCALES.includes(lang.toLowerCase())) {
+    return lang.toLowerCase();
+  }
+
+  for (const tag of parseAcceptLanguage(acceptLanguage || "")) {
+    const language = tag.split("-")[0];
+
+    if (SUPPORTED_LOCALES.includes(language)) {
+      return language;
+    }
+  }
+
+  return config.i18n.defaultLocale;
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  hasTranslation,
+  translate,
+  resolveLocale
+};
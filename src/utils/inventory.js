@@ -0,0 +1,103 @@
+// Motifs des libérations de stock automatiques. Ils sont enregistrés tels quels dans le registre,
+// quelle que soit la langue du client à l'origine de l'opération, pour que le registre reste homogène
+const RELEASE_REASONS = {
+  ORDER_DELETED: "Commande supprimée",
+  USER_DELETED: "Utilisateur supprimé"
+};
+
+// Verrouille les produits dans l'ordre de leurs IDs, pour que deux commandes portant sur
+// les mêmes produits ne puissent pas s'interbloquer
+async function lockProducts(productIds, tx) {
+  return tx`
+    SELECT * FROM products WHERE id = ANY(${productIds})
+    ORDER BY id
+    FOR UPDATE
+  `;
+}
+
+// Variations de stock pour passer des lignes previousItems (lignes enregistrées d'une commande)
+// aux lignes items ({ productId, quantity }) : négatives pour une réservation, positives pour une libération
+function computeStockChanges(items, previousItems = []) {
+  const changes = new Map();
+
+  previousItems
+    .filter(item => item.product_id !== null)
+    .forEach(item => changes.set(item.product_id, (changes.get(item.product_id) || 0) + item.quantity));
+  items.forEach(item => changes.set(item.productId, (changes.get(item.productId) || 0) - item.quantity));
+
+  return [...changes]
+    .filter(([, quantity]) => quantity !== 0)
+    .map(([productId, quantity]) => ({ productId, quantity }))
+    .sort((a, b) => a.productId - b.productId);
+}
+
+// Produits dont le stock ne couvre pas les réservations demandées
+function findShortages(changes, products) {
+  return changes
+    .map(({ productId, quantity }) => ({ product: products.find(p => p.id === productId), quantity }))
+    .filter(({ product, quantity }) => product && product.stock + quantity < 0)
+    .map(({ product, quantity }) => ({
+      productId: product.id,
+      name: product.name,
+      requested: -quantity,
+      available: product.stock
+    }));
+}
+
+// Produits retirés du catalogue (retired) pour lesquels une réservation est demandée :
+// ils ne peuvent plus être commandés, les lignes déjà réservées peuvent être conservées ou réduites
+function findRetired(changes, products) {
+  return changes
+    .map(({ productId, quantity }) => ({ product: products.find(p => p.id === productId), quantity }))
+    .filter(({ product, quantity }) => product && product.retired && quantity < 0)
+    .map(({ product }) => ({ productId: product.id, name: product.name }));
+}
+
+// Applique les variations de stock et les inscrit au registre, à appeler dans une transaction
+// après avoir vérifié l'absence de rupture. Les produits supprimés entre-temps sont ignorés
+async function applyStockChanges(changes, tx, { type, orderId = null, userId = null, reason = null } = {}) {
+  const movements = [];
+
+  for (const { productId, quantity } of changes) {
+    const [product] = await tx`
+      UPDATE products SET stock = stock + ${quantity}
+      WHERE id = ${productId}
+      RETURNING stock
+    `;
+
+    if (!product) {
+      continue;
+    }
+
+    const [movement] = await tx`
+      INSERT INTO stock_movements (product_id, quantity, stock_after, type, order_id, created_by, reason)
+      VALUES (
+        ${productId}, ${quantity}, ${product.stock}, ${type || (quantity < 0 ? "reservation" : "release")},
+        ${orderId}, ${userId}, ${reason}
+      )
+      RETURNING *
+    `;
+    movements.push(movement);
+  }
+
+  return movements;
+}
+
+// Remet en stock les quantités réservées par une commande
+async function releaseOrderStock(orderId, tx, { userId = null, reason = null } = {}) {
+  const items = await tx`
+    SELECT product_id, quantity FROM order_items WHERE order_id = ${orderId}
+  `;
+
+  return applyStockChanges(computeStockChanges([], items), tx, { type: "release", orderId, userId, reason });
+}
+
+module.exports = {
+  RELEASE_REASONS,
+  lockProducts,
+  computeStockChanges,
+  findShortages,
+  findRetired,
+  applyStockChanges,
+  releaseOrderStock
+};
@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// Secret de signature des jetons : obligatoire en production, sinon les jetons
+// sont invalidés à chaque redémarrage du serveur
+const JWT_SECRET = config.auth.jwtSecret || crypto.randomBytes(32).toString("hex");
+
+if (!config.auth.jwtSecret) {
+  console.warn("🟠 JWT_SECRET non défini, utilisation d'un secret aléatoire temporaire");
+}
+
+// Durée de validité d'un jeton d'accès en secondes (1 heure par défaut)
+const JWT_EXPIRES_IN = config.auth.jwtExpiresIn;
+
+const HEADER = { alg: "HS256", typ: "JWT" };
+
+function base64UrlEncode(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function base64UrlDecode(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(data).digest("base64url");
+}
+
+// Génère un jeton JWT signé en HMAC-SHA256 qui expire après JWT_EXPIRES_IN secondes
+function signToken(payload) {
+  const now = Math.floor(Date.now() / 1000);
+  const body = { ...payload, iat: now, exp: now + JWT_EXPIRES_IN };
+  const data = `${base64UrlEncode(HEADER)}.${base64UrlEncode(body)}`;
+
+  return `${data}.${sign(data)}`;
+}
+
+// Vérifie la signature et l'expiration d'un jeton, renvoie son contenu ou null s'il est invalide
+function verifyToken(token) {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = Buffer.from(sign(`${encodedHeader}.${encodedPayload}`));
+  const received = Buffer.from(signature);
+
+  // Comparaison en temps constant pour ne pas exposer la signature attendue
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const header = base64UrlDecode(encodedHeader);
+    const payload = base64UrlDecode(encodedPayload);
+
+    if (header.alg !== HEADER.alg) {
+      return null;
+    }
+
+    if (typeof payload.exp !== "number" || payload.exp <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  JWT_EXPIRES_IN,
+  signToken,
+  verifyToken
+};
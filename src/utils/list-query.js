@@ -0,0 +1,217 @@
+const { sql } = require("../config/database");
+const { BadRequestError } = require("./errors");
+
+// Paramètres communs à toutes les listes, qui ne sont pas des filtres
+const LIST_PARAMS = ["page", "limit", "after", "before", "count", "sort", "fields", "lang"];
+
+// Nombre maximal de valeurs d'un filtre in
+const MAX_IN_VALUES = 100;
+
+const FILTER_KEY_PATTERN = /^([a-z_]+)(?:\[([a-z]+)\])?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+// Convertit la valeur textuelle d'un filtre selon le type du champ, renvoie undefined si elle est invalide
+function parseValue(raw, type) {
+  switch (type) {
+    case "integer":
+      return /^-?\d+$/.test(raw) ? Number(raw) : undefined;
+    case "number":
+      return /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : undefined;
+    case "date":
+      return DATE_PATTERN.test(raw) && !isNaN(Date.parse(raw)) ? raw : undefined;
+    case "boolean":
+      return raw === "true" ? true : raw === "false" ? false : undefined;
+    default:
+      return raw;
+  }
+}
+
+// Colonne SQL d'un champ, préfixée par l'alias de table de la ressource
+function column(resource, field) {
+  return sql(resource.alias ? `${resource.alias}.${field}` : field);
+}
+
+// Valeur typée pour PostgreSQL (les dates sont transmises sous forme de texte)
+function typed(value, type) {
+  return type === "date" ? sql`${value}::timestamptz` : sql`${value}`;
+}
+
+// Condition SQL d'un filtre, la valeur étant toujours transmise en paramètre
+function buildCondition(resource, field, operator, values, type) {
+  const col = column(resource, field);
+
+  switch (operator) {
+    case "gte":
+      return sql`${col} >= ${typed(values[0], type)}`;
+    case "lte":
+      return sql`${col} <= ${typed(values[0], type)}`;
+    case "in":
+      return sql`${col} IN ${sql(values)}`;
+    case "like":
+      return sql`${col} ILIKE ${"%" + values[0].replace(/[\\%_]/g, "\\$&") + "%"}`;
+    default:
+      return sql`${col} = ${typed(values[0], type)}`;
+  }
+}
+
+// Assemble des fragments SQL avec un séparateur
+function joinFragments(fragments, separator) {
+  return fragments.reduce((joined, fragment) => sql`${joined}${separator}${fragment}`);
+}
+
+// Lit les filtres (champ[opérateur]=valeur, champ=valeur équivalant à champ[eq]=valeur), le tri
+// (sort=-total,created_at) et la sélection de champs (fields=id,total) d'une requête de liste.
+// reserved liste les paramètres propres à la route.
+// Renvoie { where, sort, fields } ; lève une erreur INVALID_LIST_QUERY si un paramètre n'est pas autorisé
+function parseListQuery(query, resource, { reserved = [] } = {}) {
+  const errors = [];
+  const conditions = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (LIST_PARAMS.includes(key) || reserved.includes(key)) {
+      continue;
+    }
+
+    const [, field, operator = "eq"] = FILTER_KEY_PATTERN.exec(key) || [];
+    const filter = field && resource.filters[field];
+
+    if (!filter) {
+      errors.push({ parameter: key, code: "UNKNOWN_FILTER" });
+      continue;
+    }
+
+    if (!filter.operators.includes(operator)) {
+      errors.push({
+        parameter: key,
+        code: "OPERATOR_NOT_ALLOWED",
+        params: { operator, field, operators: filter.operators }
+      });
+      continue;
+    }
+
+    if (typeof raw !== "string") {
+      errors.push({ parameter: key, code: "FILTER_REPEATED" });
+      continue;
+    }
+
+    const rawValues = operator === "in" ? raw.split(",").map(value => value.trim()) : [raw];
+    const values = rawValues.map(value => parseValue(value, filter.type));
+
+    if (rawValues.length > MAX_IN_VALUES) {
+      errors.push({ parameter: key, code: "TOO_MANY_VALUES", params: { max: MAX_IN_VALUES } });
+    } else if (values.some(value => value === undefined || value === "")) {
+      errors.push({ parameter: key, code: "INVALID_FILTER_VALUE", params: { type: filter.type } });
+    } else {
+      conditions.push(buildCondition(resource, field, operator, values, filter.type));
+    }
+  }
+
+  const sort = parseSort(query.sort, resource, errors);
+  const fields = parseFields(query.fields, resource, errors);
+
+  if (errors.length > 0) {
+    throw new BadRequestError("INVALID_LIST_QUERY", {
+      errors,
+      allowed: describeListResource(resource)
+    });
+  }
+
+  return {
+    where: conditions.length > 0 ? joinFragments(conditions, sql` AND `) : sql`TRUE`,
+    sort,
+    fields
+  };
+}
+
+// Tri demandé : champs séparés par des virgules, préfixés par - pour un ordre décroissant
+function parseSort(raw, resource, errors) {
+  if (raw === undefined) {
+    return [];
+  }
+
+  if (typeof raw !== "string") {
+    errors.push({ parameter: "sort", code: "PARAMETER_REPEATED" });
+    return [];
+  }
+
+  return raw.split(",").map(key => key.trim()).filter(Boolean).flatMap(key => {
+    const descending = key.startsWith("-");
+    const field = descending ? key.slice(1) : key;
+
+    if (!resource.sort.includes(field)) {
+      errors.push({ parameter: "sort", code: "SORT_NOT_ALLOWED", params: { field } });
+      return [];
+    }
+
+    return [{ field, descending }];
+  });
+}
+
+// Champs demandés avec fields=, null pour renvoyer tous les champs
+function parseFields(raw, resource, errors) {
+  if (raw === undefined) {
+    return null;
+  }
+
+  if (typeof raw !== "string") {
+    errors.push({ parameter: "fields", code: "PARAMETER_REPEATED" });
+    return null;
+  }
+
+  const fields = raw.split(",").map(field => field.trim()).filter(Boolean);
+  const unknownFields = fields.filter(field => !resource.fields.includes(field));
+
+  if (unknownFields.length > 0) {
+    errors.push({ parameter: "fields", code: "UNKNOWN_FIELDS", params: { fields: unknownFields } });
+  }
+
+  return fields.length > 0 ? fields : null;
+}
+
+// Clés de tri de la liste : le tri demandé, sinon defaultKeys ou le tri par défaut de la ressource,
+// départagé par l'ID pour une pagination stable. Chaque clé porte sa colonne SQL (column), que
+// defaultKeys peut fournir pour trier sur une expression (ex: la pertinence d'une recherche),
+// et le type du champ quand il est filtrable
+function sortKeys(list, resource, defaultKeys = null) {
+  let keys = list.sort;
+
+  if (keys.length === 0) {
+    const descending = resource.defaultSort.startsWith("-");
+    keys = defaultKeys || [{ field: descending ? resource.defaultSort.slice(1) : resource.defaultSort, descending }];
+  }
+
+  if (!keys.some(({ field }) => field === "id")) {
+    keys = [...keys, { field: "id", descending: keys[0].descending }];
+  }
+
+  return keys.map(key => ({
+    ...key,
+    column: key.column || column(resource, key.field),
+    type: resource.filters[key.field] ? resource.filters[key.field].type : null
+  }));
+}
+
+// Paramètres autorisés pour une ressource, renvoyés avec l'erreur INVALID_LIST_QUERY
+function describeListResource(resource) {
+  return {
+    filters: Object.fromEntries(Object.entries(resource.filters).map(([field, { operators }]) => [field, operators])),
+    sort: resource.sort,
+    fields: resource.fields
+  };
+}
+
+// Ne garde que les champs demandés avec fields=
+function pickFields(record, fields) {
+  if (!fields) {
+    return record;
+  }
+
+  return Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+}
+
+module.exports = {
+  parseListQuery,
+  sortKeys,
+  joinFragments,
+  pickFields
+};
@@ -0,0 +1,119 @@
+// Montants monétaires : les calculs se font en centimes entiers pour éviter les erreurs d'arrondi
+// des nombres flottants (0.1 + 0.2 !== 0.3). La base stocke des DECIMAL(10,2) exacts et l'API
+// expose les montants en euros sous forme de nombres à 2 décimales au plus (ex: 19.99).
+//
+// Mode d'arrondi : au centime le plus proche, les demi-centimes étant arrondis en s'éloignant de zéro
+// (arrondi commercial, ROUND() de PostgreSQL sur un DECIMAL). La TVA est arrondie ligne par ligne.
+
+// Plus grand montant représentable par une colonne DECIMAL(10,2)
+const MAX_AMOUNT_CENTS = 9999999999;
+
+// Nombre de décimales des taux de TVA (colonnes DECIMAL(5,4))
+const RATE_SCALE = 4;
+
+const DECIMAL_PATTERN = /^(-?)(\d+)(?:\.(\d+))?$/;
+
+// Convertit un décimal (nombre ou chaîne) en entier à l'échelle donnée, sans passer par un calcul flottant.
+// Renvoie null si la valeur n'est pas un décimal ou a plus de scale décimales
+function parseScaled(value, scale) {
+  const match = DECIMAL_PATTERN.exec(String(value));
+
+  if (!match || (typeof value !== "number" && typeof value !== "string")) {
+    return null;
+  }
+
+  const [, sign, integerPart, decimals = ""] = match;
+  const significantDecimals = decimals.replace(/0+$/, "");
+
+  if (significantDecimals.length > scale) {
+    return null;
+  }
+
+  const scaled = Number(integerPart + significantDecimals.padEnd(scale, "0"));
+
+  return sign ? -scaled : scaled;
+}
+
+// Indique si un montant a au plus 2 décimales
+function hasCentPrecision(amount) {
+  return parseScaled(amount, 2) !== null;
+}
+
+// Montant en euros (nombre, ou chaîne renvoyée par une colonne DECIMAL) vers un entier de centimes
+function toCents(amount) {
+  const cents = parseScaled(amount, 2);
+
+  if (cents === null) {
+    throw new Error(`Montant invalide: ${amount}`);
+  }
+
+  return cents;
+}
+
+// Entier de centimes vers un montant en euros, pour la réponse JSON ou l'écriture en base
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Division entière arrondie au plus proche, les cas à égale distance s'éloignant de zéro
+function divideAndRound(numerator, denominator) {
+  const quotient = Math.floor(Math.abs(numerator) / denominator);
+  const remainder = Math.abs(numerator) % denominator;
+  const rounded = remainder * 2 >= denominator ? quotient + 1 : quotient;
+
+  return numerator < 0 ? -rounded : rounded;
+}
+
+// Applique un taux (ex: 0.055) à un montant en centimes, avec le mode d'arrondi décrit plus haut
+function applyRate(cents, rate) {
+  const scaledRate = parseScaled(rate, RATE_SCALE);
+
+  if (scaledRate === null) {
+    throw new Error(`Taux invalide: ${rate}`);
+  }
+
+  return divideAndRound(cents * scaledRate, 10 ** RATE_SCALE);
+}
+
+// Applique un pourcentage au centième près (ex: 12.5 pour 12,5 %) à un montant en centimes
+function applyPercentage(cents, percent) {
+  return divideAndRound(cents * toCents(percent), 100 * 100);
+}
+
+// Répartit un montant en centimes proportionnellement à des poids (ex: les montants des lignes).
+// Les centimes restants après arrondi vont aux plus grandes parts fractionnaires : la somme est exacte
+function allocate(cents, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+  if (totalWeight === 0) {
+    return weights.map(() => 0);
+  }
+
+  const shares = weights.map((weight, index) => ({
+    index,
+    amount: Math.floor((cents * weight) / totalWeight),
+    remainder: (cents * weight) % totalWeight
+  }));
+
+  let leftover = cents - shares.reduce((sum, share) => sum + share.amount, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.amount += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares.map(share => share.amount);
+}
+
+module.exports = {
+  MAX_AMOUNT_CENTS,
+  hasCentPrecision,
+  toCents,
+  fromCents,
+  applyRate,
+  applyPercentage,
+  allocate
+};
@@ -0,0 +1,81 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { hasCentPrecision, toCents, fromCents, applyRate, applyPercentage, allocate } = require("./money");
+
+describe("toCents", () => {
+  test("convertit les nombres et les chaînes DECIMAL sans erreur flottante", () => {
+    assert.equal(toCents(19.99), 1999);
+    assert.equal(toCents("0.10"), 10);
+    assert.equal(toCents(0.1) + toCents(0.2), toCents(0.3));
+    assert.equal(toCents("-4.5"), -450);
+    assert.equal(toCents(12), 1200);
+  });
+
+  test("ignore les zéros non significatifs au-delà du centime", () => {
+    assert.equal(toCents("1.5000"), 150);
+  });
+
+  test("refuse plus de 2 décimales et les valeurs non numériques", () => {
+    assert.throws(() => toCents(1.999), /Montant invalide/);
+    assert.throws(() => toCents("abc"), /Montant invalide/);
+    assert.throws(() => toCents(null), /Montant invalide/);
+  });
+});
+
+describe("hasCentPrecision", () => {
+  test("accepte au plus 2 décimales", () => {
+    assert.equal(hasCentPrecision(9.99), true);
+    assert.equal(hasCentPrecision("10"), true);
+    assert.equal(hasCentPrecision(0.001), false);
+  });
+});
+
+describe("fromCents", () => {
+  test("renvoie un montant en euros", () => {
+    assert.equal(fromCents(1999), 19.99);
+    assert.equal(fromCents(-5), -0.05);
+  });
+});
+
+describe("applyRate", () => {
+  test("arrondit au centime le plus proche", () => {
+    assert.equal(applyRate(1000, 0.2), 200);
+    assert.equal(applyRate(5997, "0.2000"), 1199);
+    assert.equal(applyRate(1001, 0.055), 55);
+  });
+
+  test("arrondit les demi-centimes en s'éloignant de zéro", () => {
+    assert.equal(applyRate(50, 0.055), 3);
+    assert.equal(applyRate(-50, 0.055), -3);
+    assert.equal(applyRate(10, 0.05), 1);
+  });
+
+  test("refuse un taux de plus de 4 décimales", () => {
+    assert.throws(() => applyRate(100, 0.12345), /Taux invalide/);
+  });
+});
+
+describe("applyPercentage", () => {
+  test("applique un pourcentage au centième près", () => {
+    assert.equal(applyPercentage(1999, 10), 200);
+    assert.equal(applyPercentage(1000, 12.5), 125);
+    assert.equal(applyPercentage(333, 50), 167);
+  });
+});
+
+describe("allocate", () => {
+  test("répartit au prorata et la somme des parts est exacte", () => {
+    const shares = allocate(1000, [1, 1, 1]);
+
+    assert.deepEqual(shares, [334, 333, 333]);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 1000);
+  });
+
+  test("donne les centimes restants aux plus grandes parts fractionnaires", () => {
+    assert.deepEqual(allocate(100, [1000, 2999, 1]), [25, 75, 0]);
+  });
+
+  test("renvoie des parts nulles sans poids", () => {
+    assert.deepEqual(allocate(500, [0, 0]), [0, 0]);
+  });
+});
@@ -0,0 +1,56 @@
+const { can, isAdmin } = require("./policies");
+
+const ORDER_STATUSES = ["pending", "paid", "shipped", "delivered", "cancelled", "refunded"];
+
+// Transitions autorisées depuis chaque statut, avec qui peut les déclencher :
+// "owner" pour le client propriétaire de la commande (ou un administrateur),
+// "staff" pour les rôles autorisés par la politique orders:fulfil
+const ORDER_TRANSITIONS = {
+  pending: { paid: "staff", cancelled: "owner" },
+  paid: { shipped: "staff", refunded: "staff" },
+  shipped: { delivered: "staff" },
+  delivered: { refunded: "staff" },
+  cancelled: {},
+  refunded: {}
+};
+
+// Statuts atteignables depuis un statut donné
+function allowedTransitions(from) {
+  return Object.keys(ORDER_TRANSITIONS[from] || {});
+}
+
+function isTransitionAllowed(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+// Indique si l'utilisateur peut faire passer la commande au statut demandé
+function canTransition(order, to, user) {
+  const actor = (ORDER_TRANSITIONS[order.status] || {})[to];
+
+  if (actor === "owner") {
+    return order.user_id === user.id || isAdmin(user);
+  }
+
+  return actor === "staff" && can(user, "orders:fulfil");
+}
+
+// Les lignes d'une commande ne sont modifiables que tant qu'elle n'est pas payée
+function areItemsEditable(order) {
+  return order.status === "pending";
+}
+
+// Le stock réservé est remis en vente quand la commande est annulée,
+// ou remboursée avant d'avoir été expédiée
+function releasesStock(from, to) {
+  return to === "cancelled" || (from === "paid" && to === "refunded");
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  allowedTransitions,
+  isTransitionAllowed,
+  canTransition,
+  areItemsEditable,
+  releasesStock
+};
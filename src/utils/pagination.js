@@ -0,0 +1,213 @@
+const crypto = require("crypto");
+const { sql } = require("../config/database");
+const config = require("../config");
+const { joinFragments } = require("./list-query");
+const { BadRequestError } = require("./errors");
+
+// Modes de comptage du total : exact (COUNT), estimation du planificateur ou aucun comptage
+const COUNT_MODES = ["exact", "estimate", "none"];
+
+// Les curseurs sont signés pour que le client ne puisse pas forger une position arbitraire.
+// Sans JWT_SECRET, le secret est aléatoire et les curseurs expirent au redémarrage du serveur
+const CURSOR_SECRET = crypto
+  .createHmac("sha256", config.auth.jwtSecret || crypto.randomBytes(32))
+  .update("pagination-cursor")
+  .digest();
+
+function signCursor(data) {
+  return crypto.createHmac("sha256", CURSOR_SECRET).update(data).digest("base64url");
+}
+
+// Signature du tri (ex: "-created_at,-id"), enregistrée dans le curseur
+function sortSignature(keys) {
+  return keys.map(({ field, descending }) => (descending ? `-${field}` : field)).join(",");
+}
+
+// Curseur opaque : valeurs des clés de tri d'une ligne et signature du tri, signés en HMAC-SHA256
+function encodeCursor(keys, values) {
+  const data = Buffer.from(JSON.stringify({ s: sortSignature(keys), v: values })).toString("base64url");
+  return `${data}.${signCursor(data)}`;
+}
+
+// Vérifie la signature d'un curseur et qu'il a été émis pour ce tri, renvoie ses valeurs ou null
+function decodeCursor(cursor, keys) {
+  const [data, signature] = cursor.split(".");
+
+  if (!data || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signCursor(data));
+  const received = Buffer.from(signature);
+
+  // Comparaison en temps constant pour ne pas exposer la signature attendue
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const { s, v } = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    return s === sortSignature(keys) && Array.isArray(v) && v.length === keys.length ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+// Valeur d'une clé lue dans un curseur. Une date est convertie par PostgreSQL depuis le texte :
+// passée telle quelle, elle serait convertie en Date JavaScript et perdrait ses microsecondes
+function keyValue({ type }, value) {
+  return type === "date" ? sql`${value}::text::timestamptz` : sql`${value}`;
+}
+
+// Condition « la ligne vient après value » pour une clé de tri. PostgreSQL place les NULL
+// en dernier en ordre croissant et en premier en ordre décroissant
+function keyAfter(key, value) {
+  const { column, descending } = key;
+
+  if (value === null) {
+    return descending ? sql`${column} IS NOT NULL` : sql`FALSE`;
+  }
+
+  return descending
+    ? sql`${column} < ${keyValue(key, value)}`
+    : sql`(${column} > ${keyValue(key, value)} OR ${column} IS NULL)`;
+}
+
+function keyEquals(key, value) {
+  return value === null ? sql`${key.column} IS NULL` : sql`${key.column} = ${keyValue(key, value)}`;
+}
+
+// Condition de keyset : (k1 après v1) OU (k1 = v1 ET k2 après v2) OU ...
+function afterCursor(keys, values) {
+  return joinFragments(
+    keys.map((key, index) => joinFragments(
+      [...keys.slice(0, index).map((previous, i) => keyEquals(previous, values[i])), keyAfter(key, values[index])],
+      sql` AND `
+    )).map(condition => sql`(${condition})`),
+    sql` OR `
+  );
+}
+
+function orderBy(keys) {
+  return joinFragments(keys.map(({ column, descending }) => (descending ? sql`${column} DESC` : sql`${column} ASC`)), sql`, `);
+}
+
+// Taille de page demandée, bornée à PAGINATION_MAX_LIMIT
+function readLimit(query) {
+  const limit = parseInt(query.limit) || config.pagination.defaultLimit;
+  return Math.min(Math.max(limit, 1), config.pagination.maxLimit);
+}
+
+// Lit la pagination d'une requête de liste triée selon keys (voir sortKeys) :
+// - page/limit : pagination par décalage, comme auparavant
+// - after/before : pagination par curseur (keyset), stable quand des lignes sont ajoutées entre deux pages
+// - count : exact (défaut en mode page), estimate ou none (défaut en mode curseur)
+// Renvoie les fragments à insérer dans la requête (cursorColumns, where, orderBy, fetchLimit, offset)
+// ou lève une erreur INVALID_PAGINATION si un paramètre est invalide
+function parsePagination(query, keys) {
+  const errors = [];
+  const limit = readLimit(query);
+  const { after, before } = query;
+  const cursor = after !== undefined ? after : before;
+  const direction = after !== undefined ? "after" : before !== undefined ? "before" : null;
+  let values = null;
+
+  if (after !== undefined && before !== undefined) {
+    errors.push({ parameter: "before", code: "CURSORS_COMBINED" });
+  } else if (direction && query.page !== undefined) {
+    errors.push({ parameter: "page", code: "PAGE_WITH_CURSOR", params: { direction } });
+  } else if (direction) {
+    values = typeof cursor === "string" ? decodeCursor(cursor, keys) : null;
+
+    if (!values) {
+      errors.push({ parameter: direction, code: "INVALID_CURSOR" });
+    }
+  }
+
+  const count = query.count === undefined ? (direction ? "none" : "exact") : query.count;
+
+  if (!COUNT_MODES.includes(count)) {
+    errors.push({ parameter: "count", code: "INVALID_COUNT_MODE", params: { modes: COUNT_MODES } });
+  }
+
+  if (errors.length > 0) {
+    throw new BadRequestError("INVALID_PAGINATION", { errors });
+  }
+
+  // Pour reculer, la requête parcourt le tri inversé puis les lignes sont remises dans l'ordre
+  const scanKeys = direction === "before" ? keys.map(key => ({ ...key, descending: !key.descending })) : keys;
+  const page = direction ? null : Math.max(parseInt(query.page) || 1, 1);
+
+  return {
+    keys,
+    direction,
+    page,
+    limit,
+    count,
+    // Valeurs des clés au format texte de PostgreSQL, pour ne pas perdre les microsecondes des dates
+    cursorColumns: joinFragments(keys.map(({ column }, index) => sql`${column}::text AS ${sql(`cursor_${index}`)}`), sql`, `),
+    where: values ? afterCursor(scanKeys, values) : sql`TRUE`,
+    orderBy: orderBy(scanKeys),
+    // Une ligne de plus que la page indique s'il en reste après
+    fetchLimit: limit + 1,
+    offset: page ? (page - 1) * limit : 0
+  };
+}
+
+// Nombre de lignes de from (ex: sql`FROM orders WHERE ...`) selon le mode de comptage. L'estimation
+// reprend le nombre de lignes prévu par le planificateur, sans parcourir la table
+async function countRows(count, from) {
+  if (count === "exact") {
+    const [{ total }] = await sql`SELECT COUNT(*)::int AS total ${from}`;
+    return total;
+  }
+
+  if (count === "estimate") {
+    const [row] = await sql`EXPLAIN (FORMAT JSON) SELECT 1 ${from}`;
+    const plan = row["QUERY PLAN"];
+    return (typeof plan === "string" ? JSON.parse(plan) : plan)[0].Plan["Plan Rows"];
+  }
+
+  return null;
+}
+
+// Met en forme une page lue avec parsePagination : retire les colonnes de curseur et la ligne
+// en trop, calcule les curseurs next/prev et le total. Renvoie { rows, pagination }
+async function paginate(records, paging, from) {
+  const { keys, direction, page, limit, count } = paging;
+  const hasMore = records.length > limit;
+  const pageRecords = records.slice(0, limit);
+
+  if (direction === "before") {
+    pageRecords.reverse();
+  }
+
+  const cursorOf = record => encodeCursor(keys, keys.map((key, index) => record[`cursor_${index}`]));
+  const rows = pageRecords.map(record => Object.fromEntries(
+    Object.entries(record).filter(([key]) => !key.startsWith("cursor_"))
+  ));
+
+  const hasNext = direction === "before" || hasMore;
+  const hasPrev = direction === "before" ? hasMore : direction === "after" || page > 1;
+  const total = await countRows(count, from);
+
+  const pagination = {
+    ...(page ? { page } : {}),
+    limit,
+    ...(total !== null ? { total } : {}),
+    ...(total !== null && page ? { totalPages: Math.ceil(total / limit) } : {}),
+    count,
+    hasNext,
+    hasPrev,
+    next: hasNext && pageRecords.length > 0 ? cursorOf(pageRecords[pageRecords.length - 1]) : null,
+    prev: hasPrev && pageRecords.length > 0 ? cursorOf(pageRecords[0]) : null
+  };
+
+  return { rows, pagination };
+}
+
+module.exports = {
+  readLimit,
+  parsePagination,
+  paginate
+};
@@ -0,0 +1,132 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { readLimit, parsePagination, paginate } = require("./pagination");
+const { parseListQuery, sortKeys } = require("./list-query");
+
+const RESOURCE = {
+  filters: {
+    id: { type: "integer", operators: ["eq"] },
+    created_at: { type: "date", operators: ["gte", "lte"] }
+  },
+  sort: ["id", "created_at"],
+  defaultSort: "-created_at",
+  fields: ["id", "created_at"]
+};
+
+function keysFor(query) {
+  return sortKeys(parseListQuery(query, RESOURCE), RESOURCE);
+}
+
+// Lignes telles que renvoyées par la requête : colonnes de curseur au format texte de PostgreSQL
+function records(ids) {
+  return ids.map(id => {
+    const createdAt = `2025-01-${String(id).padStart(2, "0")} 10:00:00.123456+00`;
+    return { id, created_at: createdAt, cursor_0: createdAt, cursor_1: String(id) };
+  });
+}
+
+// Page lue sans comptage du total, qui ne demande pas de requête
+async function page(query, ids) {
+  const paging = parsePagination({ count: "none", ...query }, keysFor({}));
+  return paginate(records(ids), paging, null);
+}
+
+function paginationErrors(query, keys = keysFor({})) {
+  try {
+    parsePagination(query, keys);
+  } catch (error) {
+    assert.equal(error.code, "INVALID_PAGINATION");
+    return error.extensions.errors.map(({ parameter, code }) => `${parameter}:${code}`);
+  }
+
+  assert.fail("INVALID_PAGINATION attendue");
+}
+
+describe("readLimit", () => {
+  test("borne la taille de page entre 1 et PAGINATION_MAX_LIMIT", () => {
+    assert.equal(readLimit({}), config.pagination.defaultLimit);
+    assert.equal(readLimit({ limit: "5" }), 5);
+    assert.equal(readLimit({ limit: "-3" }), 1);
+    assert.equal(readLimit({ limit: String(config.pagination.maxLimit + 1) }), config.pagination.maxLimit);
+  });
+});
+
+describe("parsePagination", () => {
+  test("pagine par décalage par défaut, avec comptage exact", () => {
+    const paging = parsePagination({ page: "3", limit: "20" }, keysFor({}));
+
+    assert.equal(paging.direction, null);
+    assert.equal(paging.page, 3);
+    assert.equal(paging.offset, 40);
+    assert.equal(paging.fetchLimit, 21);
+    assert.equal(paging.count, "exact");
+  });
+
+  test("départage le tri par l'ID", () => {
+    assert.deepEqual(
+      keysFor({ sort: "-created_at" }).map(({ field, descending }) => [field, descending]),
+      [["created_at", true], ["id", true]]
+    );
+  });
+
+  test("refuse les combinaisons de paramètres invalides", () => {
+    assert.deepEqual(paginationErrors({ after: "a", before: "b" }), ["before:CURSORS_COMBINED"]);
+    assert.deepEqual(paginationErrors({ after: "a", page: "2" }), ["page:PAGE_WITH_CURSOR"]);
+    assert.deepEqual(paginationErrors({ count: "all" }), ["count:INVALID_COUNT_MODE"]);
+  });
+});
+
+describe("curseurs", () => {
+  test("le curseur next reprend la liste après la dernière ligne de la page", async () => {
+    const { rows, pagination } = await page({ limit: "2" }, [5, 4, 3]);
+
+    assert.deepEqual(rows.map(({ id }) => id), [5, 4]);
+    assert.deepEqual(Object.keys(rows[0]), ["id", "created_at"]);
+    assert.equal(pagination.hasNext, true);
+    assert.equal(pagination.hasPrev, false);
+    assert.equal(pagination.prev, null);
+
+    const next = parsePagination({ after: pagination.next, limit: "2" }, keysFor({}));
+
+    assert.equal(next.direction, "after");
+    assert.equal(next.page, null);
+    assert.equal(next.offset, 0);
+    assert.equal(next.count, "none");
+  });
+
+  test("en reculant, les lignes sont remises dans l'ordre du tri", async () => {
+    const { pagination } = await page({ limit: "2" }, [5, 4, 3]);
+    const { rows, pagination: previous } = await page({ before: pagination.next, limit: "2" }, [4, 5, 6]);
+
+    assert.deepEqual(rows.map(({ id }) => id), [5, 4]);
+    assert.equal(previous.hasNext, true);
+    assert.equal(previous.hasPrev, true);
+  });
+
+  test("refuse un curseur modifié par le client", async () => {
+    const { pagination } = await page({ limit: "2" }, [5, 4, 3]);
+    const [data, signature] = pagination.next.split(".");
+    const forged = Buffer.from(JSON.stringify({ s: "-created_at,-id", v: ["2030-01-01", "1"] })).toString("base64url");
+
+    assert.deepEqual(paginationErrors({ after: `${forged}.${signature}` }), ["after:INVALID_CURSOR"]);
+    assert.deepEqual(paginationErrors({ after: data }), ["after:INVALID_CURSOR"]);
+    assert.deepEqual(paginationErrors({ after: "n'importe quoi" }), ["after:INVALID_CURSOR"]);
+  });
+
+  test("refuse un curseur émis pour un autre tri", async () => {
+    const { pagination } = await page({ limit: "2" }, [5, 4, 3]);
+
+    assert.deepEqual(paginationErrors({ after: pagination.next }, keysFor({ sort: "created_at" })), ["after:INVALID_CURSOR"]);
+  });
+
+  test("une page vide n'a pas de curseur", async () => {
+    const { rows, pagination } = await page({ page: "4" }, []);
+
+    assert.deepEqual(rows, []);
+    assert.equal(pagination.hasNext, false);
+    assert.equal(pagination.hasPrev, true);
+    assert.equal(pagination.next, null);
+    assert.equal(pagination.prev, null);
+  });
+});
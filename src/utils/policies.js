@@ -0,0 +1,58 @@
+// Rôles disponibles pour les utilisateurs
+const ROLES = {
+  ADMIN: "admin",
+  SELLER: "seller",
+  CUSTOMER: "customer",
+  MODERATOR: "moderator"
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Rôles autorisés pour chaque action protégée, déclarés route par route
+const POLICIES = {
+  "products:create": [ROLES.ADMIN, ROLES.SELLER],
+  "products:update": [ROLES.ADMIN, ROLES.SELLER],
+  "products:delete": [ROLES.ADMIN, ROLES.SELLER],
+  "products:manageStock": [ROLES.ADMIN],
+  "orders:fulfil": [ROLES.ADMIN, ROLES.SELLER],
+  "coupons:manage": [ROLES.ADMIN],
+  "tax:manage": [ROLES.ADMIN],
+  "catalog:sync": [ROLES.ADMIN],
+  "reviews:moderate": [ROLES.ADMIN, ROLES.MODERATOR],
+  "users:list": ALL_ROLES,
+  "users:updateRole": [ROLES.ADMIN]
+};
+
+// Indique si un utilisateur peut effectuer une action
+function can(user, action) {
+  const allowedRoles = POLICIES[action];
+
+  if (!allowedRoles) {
+    throw new Error(`Politique d'accès inconnue: ${action}`);
+  }
+
+  return Boolean(user) && allowedRoles.includes(user.role);
+}
+
+function isAdmin(user) {
+  return Boolean(user) && user.role === ROLES.ADMIN;
+}
+
+// Retire l'email d'un enregistrement sauf pour un administrateur ou son propriétaire
+function redactEmail(record, viewer, ownerId) {
+  if (!record || isAdmin(viewer) || (viewer && viewer.id === ownerId)) {
+    return record;
+  }
+
+  const { email, ...redacted } = record;
+  return redacted;
+}
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  POLICIES,
+  can,
+  isAdmin,
+  redactEmail
+};
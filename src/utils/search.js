@@ -0,0 +1,57 @@
+const { sql } = require("../config/database");
+
+// Poids des champs dans products.search_vector
+const SEARCH_WEIGHTS = {
+  name: "A",
+  about: "B"
+};
+
+// Options de mise en évidence des termes trouvés dans les extraits
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2";
+
+// Convertit une recherche saisie par l'utilisateur en expression to_tsquery : les mots sont tous requis,
+// "entre guillemets" cherche une phrase exacte et mot* un préfixe. weights limite les correspondances
+// à certains champs (ex: "A" pour le nom). Renvoie null si la recherche ne contient aucun mot
+function buildSearchQuery(text, weights = "") {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, phrase, word] = match;
+
+    if (phrase !== undefined) {
+      const words = phrase.match(/[\p{L}\p{N}]+/gu) || [];
+      if (words.length > 0) {
+        terms.push(`(${words.map(w => label(w, weights)).join(" <-> ")})`);
+      }
+      continue;
+    }
+
+    const isPrefix = word.endsWith("*");
+    const words = word.match(/[\p{L}\p{N}]+/gu) || [];
+    words.forEach((w, index) => {
+      const prefix = isPrefix && index === words.length - 1 ? "*" : "";
+      terms.push(label(w, prefix + weights));
+    });
+  }
+
+  return terms.length > 0 ? terms.join(" & ") : null;
+}
+
+// Lexème avec ses éventuels marqueurs de préfixe et de poids (ex: chaus:*A)
+function label(word, markers) {
+  return markers ? `${word}:${markers}` : word;
+}
+
+// Requête plein texte combinant les racinisations française et anglaise
+function toTsQuery(query) {
+  return sql`(to_tsquery('french', ${query}) || to_tsquery('english', ${query}))`;
+}
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  HEADLINE_OPTIONS,
+  buildSearchQuery,
+  toTsQuery
+};
@@ -0,0 +1,80 @@
+const { sql } = require("../config/database");
+const { toCents, fromCents, applyRate } = require("./money");
+
+// Taux de TVA en vigueur à une date donnée dans un pays, indexés par classe de taxe
+async function findTaxRates(country, taxClasses, date = new Date(), db = sql) {
+  const rates = await db`
+    SELECT tax_class, rate FROM tax_rates
+    WHERE country = ${country}
+      AND tax_class = ANY(${taxClasses})
+      AND valid_from <= ${date}::date
+      AND (valid_to IS NULL OR valid_to > ${date}::date)
+  `;
+
+  return new Map(rates.map(row => [row.tax_class, Number(row.rate)]));
+}
+
+// Résout le taux applicable à chaque produit pour le pays de livraison,
+// missing liste les classes de taxe sans taux en vigueur dans ce pays
+async function resolveTaxRates(country, products, db = sql) {
+  const taxClasses = [...new Set(products.map(product => product.tax_class))];
+  const rates = await findTaxRates(country, taxClasses, new Date(), db);
+
+  return {
+    rates,
+    missing: taxClasses.filter(taxClass => !rates.has(taxClass))
+  };
+}
+
+// Montants d'une ligne en euros : l'éventuelle remise est déduite avant TVA, puis la taxe
+// est calculée en centimes et arrondie ligne par ligne
+function computeLineAmounts(unitPrice, quantity, rate, discountCents = 0) {
+  const subtotal = toCents(unitPrice) * quantity;
+  const taxable = subtotal - discountCents;
+  const taxAmount = applyRate(taxable, rate);
+
+  return {
+    subtotal: fromCents(subtotal),
+    discount: fromCents(discountCents),
+    tax_amount: fromCents(taxAmount),
+    total: fromCents(taxable + taxAmount)
+  };
+}
+
+// Totaux d'une commande en euros à partir de ses lignes, avec le détail des taxes par taux
+// (subtotal est le montant hors taxes avant remise, la base taxable du détail est après remise)
+function calculateOrderTotals(items) {
+  const byRate = new Map();
+
+  items.forEach(item => {
+    const rate = Number(item.vat_rate);
+    const entry = byRate.get(rate) || { rate, taxableCents: 0, taxCents: 0 };
+    entry.taxableCents += toCents(item.subtotal) - toCents(item.discount || 0);
+    entry.taxCents += toCents(item.tax_amount);
+    byRate.set(rate, entry);
+  });
+
+  const entries = [...byRate.values()].sort((a, b) => b.rate - a.rate);
+  const subtotal = items.reduce((sum, item) => sum + toCents(item.subtotal), 0);
+  const discountTotal = items.reduce((sum, item) => sum + toCents(item.discount || 0), 0);
+  const taxTotal = entries.reduce((sum, entry) => sum + entry.taxCents, 0);
+
+  return {
+    subtotal: fromCents(subtotal),
+    discountTotal: fromCents(discountTotal),
+    taxTotal: fromCents(taxTotal),
+    total: fromCents(subtotal - discountTotal + taxTotal),
+    breakdown: entries.map(({ rate, taxableCents, taxCents }) => ({
+      rate,
+      taxableAmount: fromCents(taxableCents),
+      taxAmount: fromCents(taxCents)
+    }))
+  };
+}
+
+module.exports = {
+  findTaxRates,
+  resolveTaxRates,
+  computeLineAmounts,
+  calculateOrderTotals
+};
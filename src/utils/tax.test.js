@@ -0,0 +1,70 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { computeLineAmounts, calculateOrderTotals } = require("./tax");
+
+describe("computeLineAmounts", () => {
+  test("calcule la TVA de la ligne arrondie au centime", () => {
+    assert.deepEqual(computeLineAmounts(19.99, 3, 0.2), {
+      subtotal: 59.97,
+      discount: 0,
+      tax_amount: 11.99,
+      total: 71.96
+    });
+  });
+
+  test("déduit la remise avant la TVA", () => {
+    assert.deepEqual(computeLineAmounts("10.00", 2, "0.055", 500), {
+      subtotal: 20,
+      discount: 5,
+      tax_amount: 0.83,
+      total: 15.83
+    });
+  });
+
+  test("accepte un taux nul", () => {
+    assert.deepEqual(computeLineAmounts(4.5, 2, 0), { subtotal: 9, discount: 0, tax_amount: 0, total: 9 });
+  });
+});
+
+describe("calculateOrderTotals", () => {
+  test("regroupe les taxes par taux, du plus élevé au plus faible", () => {
+    const items = [
+      { vat_rate: 0.055, ...computeLineAmounts(10, 1, 0.055) },
+      { vat_rate: 0.2, ...computeLineAmounts(19.99, 3, 0.2) },
+      { vat_rate: "0.0550", ...computeLineAmounts(7.3, 2, 0.055) }
+    ];
+
+    assert.deepEqual(calculateOrderTotals(items), {
+      subtotal: 84.57,
+      discountTotal: 0,
+      taxTotal: 13.34,
+      total: 97.91,
+      breakdown: [
+        { rate: 0.2, taxableAmount: 59.97, taxAmount: 11.99 },
+        { rate: 0.055, taxableAmount: 24.6, taxAmount: 1.35 }
+      ]
+    });
+  });
+
+  test("calcule la base taxable après remise", () => {
+    const items = [{ vat_rate: 0.2, ...computeLineAmounts(50, 1, 0.2, 1000) }];
+
+    assert.deepEqual(calculateOrderTotals(items), {
+      subtotal: 50,
+      discountTotal: 10,
+      taxTotal: 8,
+      total: 48,
+      breakdown: [{ rate: 0.2, taxableAmount: 40, taxAmount: 8 }]
+    });
+  });
+
+  test("renvoie des totaux nuls sans ligne", () => {
+    assert.deepEqual(calculateOrderTotals([]), {
+      subtotal: 0,
+      discountTotal: 0,
+      taxTotal: 0,
+      total: 0,
+      breakdown: []
+    });
+  });
+});
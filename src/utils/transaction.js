@@ -0,0 +1,34 @@
+const { sql } = require("../config/database");
+
+// Codes PostgreSQL pour lesquels rejouer la transaction a une chance de réussir
+const RETRYABLE_ERROR_CODES = [
+  "40001", // serialization_failure
+  "40P01"  // deadlock_detected
+];
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Unité de travail : exécute work(tx) dans une transaction, validée si work réussit et
+// annulée s'il lève une erreur. Les échecs de sérialisation et interblocages sont rejoués
+// avec un délai croissant, work doit donc pouvoir être exécuté plusieurs fois.
+async function withTransaction(work, { isolationLevel = "read committed", maxRetries = 3 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await sql.begin(`isolation level ${isolationLevel}`, work);
+    } catch (error) {
+      if (!RETRYABLE_ERROR_CODES.includes(error.code) || attempt >= maxRetries) {
+        throw error;
+      }
+
+      // Attente exponentielle avec une part aléatoire pour désynchroniser les transactions concurrentes
+      const backoff = 20 * 2 ** attempt;
+      console.warn(`🟠 Transaction rejouée (${error.code}), tentative ${attempt + 2}/${maxRetries + 1}`);
+      await delay(backoff + Math.random() * backoff);
+    }
+  }
+}
+
+module.exports = {
+  RETRYABLE_ERROR_CODES,
+  withTransaction
+};